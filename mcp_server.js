@@ -2,10 +2,11 @@
 import { McpServer } from '@modelcontextprotocol/sdk/server/mcp.js';
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
 import { McpError, ErrorCode } from '@modelcontextprotocol/sdk/types.js';
-import puppeteer from 'puppeteer';
+import puppeteer, { KnownDevices, PredefinedNetworkConditions } from 'puppeteer';
 import { z } from 'zod';
 import fs from 'fs';
 import path from 'path';
+import { pathToFileURL } from 'url';
 import Jimp from 'jimp';
 import pixelmatch from 'pixelmatch';
 import fetch from 'node-fetch';
@@ -21,6 +22,18 @@ const CHROME_REMOTE_URL = process.env.CHROME_REMOTE_URL || null;
 // Puppeteer Bridge URL (for WSL environments)
 const BRIDGE_URL = process.env.BRIDGE_URL || null;
 
+// Directory for persistent visual baselines (saveBaseline / compareToBaseline)
+const BASELINE_DIR = process.env.BASELINE_DIR || path.join(process.cwd(), '.devchrome', 'baselines');
+
+// Directory for exported session state files (exportSessionState / importSessionState)
+const SESSION_STATE_DIR = process.env.SESSION_STATE_DIR || path.join(process.cwd(), '.devchrome', 'sessions');
+
+// Directory for exported diagnostics: HAR files, traces, coverage reports
+const ARTIFACTS_DIR = process.env.ARTIFACTS_DIR || path.join(process.cwd(), '.devchrome', 'artifacts');
+
+// Project config with validateHTML rules and other per-project settings
+const PROJECT_CONFIG_FILE = process.env.DEVCHROME_CONFIG || path.join(process.cwd(), 'devchrome.config.json');
+
 /* -------------------- Puppeteer Bridge Detection -------------------- */
 async function detectBridge() {
     // Если явно указан BRIDGE_URL - используем его
@@ -126,48 +139,323 @@ async function getBrowser() {
 }
 
 /* -------------------- Управление вкладками -------------------- */
-// Хранилище открытых страниц по URL
-const openPages = new Map();
+// Реестр открытых страниц: pageId -> { page, contextId, createdAt, lastUsedAt }
+// pageId стабилен на всё время жизни вкладки, в отличие от URL
+const pageRegistry = new Map();
+let pageIdCounter = 0;
+
+// Страница, с которой работали последней (используется, если не переданы url и pageId)
+let activePageId = null;
+
+// Подключить CDP клиент и зарегистрировать страницу в реестре
+async function registerPage(page, contextId = null) {
+    if (page._pageId && pageRegistry.has(page._pageId)) {
+        return page;
+    }
+
+    if (!page._cdpClient) {
+        const client = await page.target().createCDPSession();
+        await client.send('DOM.enable');
+        await client.send('CSS.enable');
+        await client.send('Runtime.enable');
+        page._cdpClient = client;
+    }
+    attachConsoleCapture(page);
+    await attachNetworkCapture(page, page._cdpClient);
+    await installWebVitalsObserver(page);
+
+    const pageId = `page-${++pageIdCounter}`;
+    const now = Date.now();
+    page._pageId = pageId;
+    pageRegistry.set(pageId, { page, contextId, createdAt: now, lastUsedAt: now });
+    activePageId = pageId;
+
+    page.once('close', () => {
+        pageRegistry.delete(pageId);
+        removeInterceptRules(rule => rule.pageId === pageId);
+        if (activePageId === pageId) {
+            activePageId = getRegisteredPages()[0]?.pageId || null;
+        }
+    });
+
+    console.error('[devchrome-mcp] Registered page:', pageId);
+    return page;
+}
+
+// Максимум записей консоли на страницу (старые вытесняются)
+const MAX_CONSOLE_ENTRIES = 1000;
+
+// Подписаться на console.* и необработанные исключения страницы; записи копятся в page._consoleLogs
+function attachConsoleCapture(page) {
+    if (page._consoleLogs) return;
+
+    const buffer = { entries: [], nextId: 1, dropped: 0 };
+    page._consoleLogs = buffer;
+
+    const push = (entry) => {
+        buffer.entries.push({ id: buffer.nextId++, timestamp: Date.now(), url: page.url(), ...entry });
+        if (buffer.entries.length > MAX_CONSOLE_ENTRIES) {
+            buffer.entries.shift();
+            buffer.dropped++;
+        }
+    };
+
+    page.on('console', (msg) => {
+        const location = msg.location();
+        push({
+            level: msg.type(),
+            text: msg.text(),
+            source: location?.url ? `${location.url}:${(location.lineNumber ?? 0) + 1}:${(location.columnNumber ?? 0) + 1}` : null,
+            stackTrace: ['error', 'assert', 'trace'].includes(msg.type())
+                ? msg.stackTrace().map(f => `${f.url || '<anonymous>'}:${(f.lineNumber ?? 0) + 1}:${(f.columnNumber ?? 0) + 1}`)
+                : undefined
+        });
+    });
+
+    page.on('pageerror', (error) => {
+        const err = error instanceof Error ? error : new Error(String(error));
+        push({
+            level: 'pageerror',
+            text: err.message,
+            stack: err.stack || null
+        });
+    });
+}
+
+// Максимум сетевых запросов на страницу (старые вытесняются)
+const MAX_NETWORK_ENTRIES = 2000;
+
+// Записывать сетевые запросы страницы через CDP Network; записи копятся в page._networkLog
+async function attachNetworkCapture(page, client) {
+    if (page._networkLog) return;
+
+    const log = { entries: [], byRequestId: new Map(), nextId: 1, dropped: 0 };
+    page._networkLog = log;
+
+    const mainFrameId = () => page.mainFrame()._id;
+
+    // Ответ (в т.ч. redirectResponse) -> поля записи
+    const applyResponse = (entry, response) => {
+        entry.status = response.status;
+        entry.statusText = response.statusText || '';
+        entry.mimeType = response.mimeType || null;
+        entry.protocol = response.protocol || null;
+        entry.remoteIPAddress = response.remoteIPAddress || null;
+        entry.responseHeaders = { ...response.headers };
+        entry.timing = response.timing || null;
+        entry.fromCache = !!(response.fromDiskCache || response.fromPrefetchCache || response.fromServiceWorker);
+        if (response.requestHeaders) {
+            entry.requestHeaders = { ...entry.requestHeaders, ...response.requestHeaders };
+        }
+    };
+
+    const finish = (entry, timestamp) => {
+        entry.finished = true;
+        entry.endTimestamp = timestamp;
+        entry.durationMs = Math.round((timestamp - entry.startTimestamp) * 1000 * 100) / 100;
+        log.byRequestId.delete(entry.requestId);
+    };
+
+    client.on('Network.requestWillBeSent', (params) => {
+        const previous = log.byRequestId.get(params.requestId);
+        if (previous && params.redirectResponse) {
+            // Редирект приходит тем же requestId - закрываем предыдущую запись
+            applyResponse(previous, params.redirectResponse);
+            previous.redirectURL = params.request.url;
+            previous.transferSize = params.redirectResponse.encodedDataLength || 0;
+            finish(previous, params.timestamp);
+        }
+
+        const initiator = params.initiator || {};
+        const topFrame = initiator.stack?.callFrames?.[0];
+        const entry = {
+            id: log.nextId++,
+            requestId: params.requestId,
+            url: params.request.url,
+            method: params.request.method,
+            resourceType: params.type || 'Other',
+            isNavigation: params.type === 'Document' && params.requestId === params.loaderId && params.frameId === mainFrameId(),
+            documentURL: params.documentURL,
+            requestHeaders: { ...params.request.headers },
+            postData: params.request.postData || null,
+            initiator: {
+                type: initiator.type || 'other',
+                url: initiator.url || topFrame?.url || null,
+                lineNumber: topFrame ? topFrame.lineNumber + 1 : (initiator.lineNumber !== undefined ? initiator.lineNumber + 1 : null),
+                functionName: topFrame?.functionName || null
+            },
+            wallTime: params.wallTime * 1000,
+            startTimestamp: params.timestamp,
+            status: null,
+            statusText: null,
+            responseHeaders: null,
+            transferSize: 0,
+            resourceSize: 0,
+            finished: false,
+            failed: false,
+            errorText: null
+        };
+
+        log.byRequestId.set(params.requestId, entry);
+        log.entries.push(entry);
+        if (log.entries.length > MAX_NETWORK_ENTRIES) {
+            const evicted = log.entries.shift();
+            log.byRequestId.delete(evicted.requestId);
+            log.dropped++;
+        }
+    });
+
+    client.on('Network.requestWillBeSentExtraInfo', (params) => {
+        const entry = log.byRequestId.get(params.requestId);
+        if (entry) entry.requestHeaders = { ...entry.requestHeaders, ...params.headers };
+    });
+
+    client.on('Network.responseReceived', (params) => {
+        const entry = log.byRequestId.get(params.requestId);
+        if (entry) applyResponse(entry, params.response);
+    });
+
+    client.on('Network.responseReceivedExtraInfo', (params) => {
+        const entry = log.byRequestId.get(params.requestId);
+        if (entry) entry.responseHeaders = { ...entry.responseHeaders, ...params.headers };
+    });
+
+    client.on('Network.dataReceived', (params) => {
+        const entry = log.byRequestId.get(params.requestId);
+        if (entry) entry.resourceSize += params.dataLength;
+    });
+
+    client.on('Network.loadingFinished', (params) => {
+        const entry = log.byRequestId.get(params.requestId);
+        if (!entry) return;
+        entry.transferSize = params.encodedDataLength;
+        finish(entry, params.timestamp);
+    });
+
+    client.on('Network.loadingFailed', (params) => {
+        const entry = log.byRequestId.get(params.requestId);
+        if (!entry) return;
+        entry.failed = true;
+        entry.errorText = params.errorText || (params.canceled ? 'canceled' : 'failed');
+        entry.blockedReason = params.blockedReason || null;
+        finish(entry, params.timestamp);
+    });
+
+    await client.send('Network.enable');
+}
+
+// Путь к файлу артефакта: относительные пути считаются от ARTIFACTS_DIR
+function resolveArtifactPath(file, extension) {
+    const withExt = file.endsWith(extension) ? file : `${file}${extension}`;
+    return path.isAbsolute(withExt) ? withExt : path.join(ARTIFACTS_DIR, withExt);
+}
+
+// Отметить страницу как активную
+function touchPage(page) {
+    const entry = pageRegistry.get(page._pageId);
+    if (entry) {
+        entry.lastUsedAt = Date.now();
+        activePageId = page._pageId;
+    }
+    return page;
+}
+
+// Открытые страницы реестра, от последней использованной к первой
+function getRegisteredPages() {
+    for (const [pageId, entry] of pageRegistry.entries()) {
+        if (entry.page.isClosed()) {
+            pageRegistry.delete(pageId);
+        }
+    }
+    return Array.from(pageRegistry.entries())
+        .map(([pageId, entry]) => ({ pageId, ...entry }))
+        .sort((a, b) => b.lastUsedAt - a.lastUsedAt);
+}
+
+// Получить страницу по pageId
+function getPageById(pageId) {
+    const entry = pageRegistry.get(pageId);
+    if (!entry || entry.page.isClosed()) {
+        pageRegistry.delete(pageId);
+        const known = getRegisteredPages().map(p => p.pageId);
+        throw new Error(`Page not found: ${pageId}. Open pages: ${known.length > 0 ? known.join(', ') : 'none'}. Use listSessions to see all pages.`);
+    }
+    return touchPage(entry.page);
+}
+
+// URL в каноническом виде (https://a.com -> https://a.com/), чтобы сравнение не зависело от записи
+function normalizePageUrl(url) {
+    try {
+        return new URL(url).href;
+    } catch {
+        return url;
+    }
+}
+
+// Запомнить, по какому URL открывали страницу: после редиректа page.url() с ним уже не совпадает
+function rememberRequestedUrl(page, url) {
+    const entry = pageRegistry.get(page._pageId);
+    if (entry) {
+        entry.requestedUrl = normalizePageUrl(url);
+        entry.landedUrl = page.url();
+    }
+}
+
+// Страница открыта на этом URL: текущий адрес совпадает или она всё ещё там, куда привёл запрошенный URL
+function pageMatchesUrl(entry, url) {
+    const wanted = normalizePageUrl(url);
+    const current = entry.page.url();
+    return normalizePageUrl(current) === wanted || (entry.requestedUrl === wanted && entry.landedUrl === current);
+}
+
+// Найти зарегистрированную страницу с этим URL в заданном контексте (активная страница в приоритете)
+function findPageByUrl(url, contextId = null) {
+    const matches = getRegisteredPages().filter(p => pageMatchesUrl(p, url) && p.contextId === contextId);
+    const active = matches.find(p => p.pageId === activePageId);
+    return (active || matches[0])?.page || null;
+}
+
+// Открыть новую вкладку (в контексте по умолчанию или в изолированном) и зарегистрировать её
+async function openNewPage(contextId = null) {
+    if (contextId) {
+        const { context, options } = getContextById(contextId);
+        const page = await context.newPage();
+        await registerPage(page, contextId);
+        await applyContextOptions(page, options);
+        await applyStorageSeed(page, contextId);
+        return page;
+    }
 
-// Получить или создать страницу для URL
-async function getOrCreatePage(url) {
     const browser = await getBrowser();
+    const page = await browser.newPage();
+    await registerPage(page);
+    await applyStorageSeed(page, null);
+    return page;
+}
 
+// Получить или создать страницу для URL
+async function getOrCreatePage(url) {
     // Проверяем, есть ли уже открытая страница для этого URL
-    if (openPages.has(url)) {
-        const existingPage = openPages.get(url);
-        // Проверяем, что страница еще открыта
-        if (!existingPage.isClosed()) {
-            console.error('[devchrome-mcp] Reusing existing page for:', url);
-            return existingPage;
-        } else {
-            // Страница закрыта, удаляем из кэша
-            openPages.delete(url);
-        }
+    const existingPage = findPageByUrl(url);
+    if (existingPage) {
+        console.error('[devchrome-mcp] Reusing existing page for:', url, existingPage._pageId);
+        return touchPage(existingPage);
     }
 
     // Создаем новую страницу
     console.error('[devchrome-mcp] Creating new page for:', url);
-    const page = await browser.newPage();
-    const client = await page.target().createCDPSession();
-    await client.send('DOM.enable');
-    await client.send('CSS.enable');
-    await client.send('Runtime.enable');
+    const page = await openNewPage();
 
     // Navigate to the URL
     console.error('[devchrome-mcp] Navigating to:', url);
     await page.goto(url, { waitUntil: 'networkidle0', timeout: 30000 });
-
-    // Сохраняем страницу в кэше
-    openPages.set(url, page);
-
-    // Добавляем свойство client к странице для совместимости
-    page._cdpClient = client;
+    rememberRequestedUrl(page, url);
 
     return page;
 }
 
 // Старая функция createPage для совместимости с существующим кодом
+// (временные страницы для сравнений, в реестр не попадают)
 async function createPage() {
     const browser = await getBrowser();
     const page = await browser.newPage();
@@ -175,24 +463,26 @@ async function createPage() {
     await client.send('DOM.enable');
     await client.send('CSS.enable');
     await client.send('Runtime.enable');
+    attachConsoleCapture(page);
+    await attachNetworkCapture(page, client);
     return { page, client };
 }
 
 // Получить последнюю открытую страницу
 async function getLastOpenPage() {
-    // Если есть страницы в нашем кэше - используем последнюю
-    if (openPages.size > 0) {
-        const pages = Array.from(openPages.values());
-        const lastPage = pages[pages.length - 1];
+    // Если есть страницы в реестре - используем активную или последнюю использованную
+    if (activePageId && pageRegistry.has(activePageId) && !pageRegistry.get(activePageId).page.isClosed()) {
+        return touchPage(pageRegistry.get(activePageId).page);
+    }
 
-        if (!lastPage.isClosed()) {
-            console.error('[devchrome-mcp] Using last open page from cache:', lastPage.url());
-            return lastPage;
-        }
+    const registered = getRegisteredPages();
+    if (registered.length > 0) {
+        console.error('[devchrome-mcp] Using last used page from registry:', registered[0].pageId, registered[0].page.url());
+        return touchPage(registered[0].page);
     }
 
-    // Если кэш пуст или страница закрыта - подключаемся к активной вкладке Chrome
-    console.error('[devchrome-mcp] No cached pages, connecting to active Chrome tab...');
+    // Если реестр пуст - подключаемся к активной вкладке Chrome
+    console.error('[devchrome-mcp] No registered pages, connecting to active Chrome tab...');
     const browser = await getBrowser();
     const targets = await browser.targets();
 
@@ -211,24 +501,24 @@ async function getLastOpenPage() {
         throw new Error('Could not connect to Chrome page. Please provide a URL.');
     }
 
-    // Подключаем CDP клиент
-    const client = await page.target().createCDPSession();
-    await client.send('DOM.enable');
-    await client.send('CSS.enable');
-    await client.send('Runtime.enable');
-    page._cdpClient = client;
+    await registerPage(page);
 
-    // Сохраняем в кэш
-    const pageUrl = page.url();
-    openPages.set(pageUrl, page);
-
-    console.error('[devchrome-mcp] Connected to active Chrome tab:', pageUrl);
+    console.error('[devchrome-mcp] Connected to active Chrome tab:', page.url(), page._pageId);
     return page;
 }
 
-// Получить страницу: либо последнюю открытую, либо создать/переиспользовать по URL
-async function getPageForOperation(url) {
-    if (!url) {
+// Получить страницу: по pageId, либо последнюю открытую, либо создать/переиспользовать по URL
+async function getPageForOperation(url, pageId) {
+    if (pageId) {
+        // pageId имеет приоритет; если передан и url - переводим эту вкладку на него
+        const page = getPageById(pageId);
+        if (url && !pageMatchesUrl(pageRegistry.get(pageId), url)) {
+            await syncInterception(page);
+            await page.goto(url, { waitUntil: 'networkidle0', timeout: 30000 });
+            rememberRequestedUrl(page, url);
+        }
+        return page;
+    } else if (!url) {
         // Если URL не передан, используем последнюю открытую страницу
         return await getLastOpenPage();
     } else {
@@ -239,17 +529,268 @@ async function getPageForOperation(url) {
 
 // Очистить все открытые вкладки
 async function closeAllPages() {
-    console.error('[devchrome-mcp] Closing all pages:', openPages.size);
-    for (const [url, page] of openPages.entries()) {
+    console.error('[devchrome-mcp] Closing all pages:', pageRegistry.size);
+    for (const [pageId, { page }] of pageRegistry.entries()) {
         try {
             if (!page.isClosed()) {
                 await page.close();
             }
         } catch (error) {
-            console.error('[devchrome-mcp] Error closing page:', url, error);
+            console.error('[devchrome-mcp] Error closing page:', pageId, error);
+        }
+    }
+    pageRegistry.clear();
+    activePageId = null;
+}
+
+/* -------------------- Изолированные контексты браузера -------------------- */
+// Реестр incognito-контекстов: contextId -> { context, options, createdAt }
+// У каждого контекста свои cookies, storage и кэш; прокси задаётся при создании
+const contextRegistry = new Map();
+let contextIdCounter = 0;
+
+// Получить контекст по contextId
+function getContextById(contextId) {
+    const entry = contextRegistry.get(contextId);
+    if (!entry || entry.context.closed) {
+        contextRegistry.delete(contextId);
+        const known = Array.from(contextRegistry.keys());
+        throw new Error(`Browser context not found: ${contextId}. Known contexts: ${known.length > 0 ? known.join(', ') : 'none'}. Use createContext first.`);
+    }
+    return entry;
+}
+
+// Описание контекстов для вывода (без объектов puppeteer)
+function listContexts() {
+    return Array.from(contextRegistry.entries())
+        .filter(([, entry]) => !entry.context.closed)
+        .map(([contextId, { options, createdAt }]) => ({
+            contextId,
+            ...options,
+            pages: getRegisteredPages().filter(p => p.contextId === contextId).map(p => p.pageId),
+            createdAt: new Date(createdAt).toISOString()
+        }));
+}
+
+// Применить настройки контекста к новой странице (locale, timezone, geolocation задаются на уровне страницы)
+async function applyContextOptions(page, options) {
+    if (options.locale) {
+        // Intl/ICU locale + navigator.language и заголовок Accept-Language
+        await page._cdpClient.send('Emulation.setLocaleOverride', { locale: options.locale });
+        await page._cdpClient.send('Emulation.setUserAgentOverride', {
+            userAgent: await page.browser().userAgent(),
+            acceptLanguage: options.locale
+        });
+    }
+    if (options.timezone) {
+        await page.emulateTimezone(options.timezone);
+    }
+    if (options.geolocation) {
+        await page.setGeolocation(options.geolocation);
+    }
+}
+
+/* -------------------- Импорт/экспорт состояния сессии -------------------- */
+// localStorage/sessionStorage из importSessionState: contextId (null - контекст по умолчанию) -> origins
+// Хранилище можно заполнить только на странице нужного origin, поэтому оно засевается в каждую новую страницу контекста
+const storageSeeds = new Map();
+
+// Путь к файлу состояния: относительные пути считаются от SESSION_STATE_DIR
+function resolveSessionStatePath(file) {
+    const withExt = file.endsWith('.json') ? file : `${file}.json`;
+    return path.isAbsolute(withExt) ? withExt : path.join(SESSION_STATE_DIR, withExt);
+}
+
+// Записать сохранённый localStorage/sessionStorage для origin документа (overwrite = false - только отсутствующие ключи)
+function seedStorageScript(seedOrigins, overwrite) {
+    const state = seedOrigins.find(o => o.origin === location.origin);
+    if (!state) return;
+    try {
+        for (const { name, value } of state.localStorage || []) {
+            if (overwrite || localStorage.getItem(name) === null) localStorage.setItem(name, value);
+        }
+        for (const { name, value } of state.sessionStorage || []) {
+            if (overwrite || sessionStorage.getItem(name) === null) sessionStorage.setItem(name, value);
+        }
+    } catch (e) {
+        // Хранилище недоступно (opaque origin, sandbox) - пропускаем
+    }
+}
+
+// Засеять сохранённый localStorage/sessionStorage в страницу (при каждой загрузке документа, только отсутствующие ключи).
+// Скрипт прошлого импорта снимаем: он выполнялся бы первым и оставлял устаревшие значения
+async function applyStorageSeed(page, contextId) {
+    const origins = storageSeeds.get(contextId || null);
+    if (page._storageSeedScript) {
+        await page.removeScriptToEvaluateOnNewDocument(page._storageSeedScript).catch(() => {});
+        page._storageSeedScript = null;
+    }
+    if (!origins || origins.length === 0) return;
+
+    const { identifier } = await page.evaluateOnNewDocument(seedStorageScript, origins, false);
+    page._storageSeedScript = identifier;
+}
+
+// Привести cookie из Storage.getCookies к параметрам Storage.setCookies
+function toCookieParam(cookie) {
+    const param = {
+        name: cookie.name,
+        value: cookie.value,
+        domain: cookie.domain,
+        path: cookie.path || '/',
+        secure: !!cookie.secure,
+        httpOnly: !!cookie.httpOnly
+    };
+    if (cookie.sameSite) param.sameSite = cookie.sameSite;
+    if (!cookie.session && typeof cookie.expires === 'number' && cookie.expires > 0) param.expires = cookie.expires;
+    return param;
+}
+
+/* -------------------- Перехват и подмена запросов -------------------- */
+// Правила перехвата: { ruleId, pageId | contextId, urlPattern, method, action, ... }
+// Страница берёт актуальный набор правил при navigateTo (снимок в page._interceptRules), первое совпавшее правило побеждает
+let interceptRules = [];
+let interceptRuleIdCounter = 0;
+
+const FIXTURE_MIME_TYPES = {
+    '.json': 'application/json',
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript',
+    '.css': 'text/css',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.webp': 'image/webp'
+};
+
+// URL-шаблон правила -> RegExp: "/regex/flags" как есть, иначе glob (* - любые символы, ? - один символ)
+function compileUrlPattern(urlPattern) {
+    const regexMatch = urlPattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+        // g и y делают test() зависимым от lastIndex - правило срабатывало бы через раз
+        return new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+    }
+    const source = urlPattern
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*')
+        .replace(/\?/g, '.');
+    return new RegExp(`^${source}$`);
+}
+
+function removeInterceptRules(predicate) {
+    const before = interceptRules.length;
+    interceptRules = interceptRules.filter(rule => !predicate(rule));
+    return before - interceptRules.length;
+}
+
+// Правила, действующие для страницы: свои правила страницы, затем правила её контекста
+function getInterceptRulesForPage(page) {
+    const contextId = pageRegistry.get(page._pageId)?.contextId || 'default';
+    return [
+        ...interceptRules.filter(rule => rule.pageId && rule.pageId === page._pageId),
+        ...interceptRules.filter(rule => rule.contextId && rule.contextId === contextId)
+    ];
+}
+
+// Описание правила для вывода (без скомпилированного RegExp и тела фикстуры)
+function describeInterceptRule(rule) {
+    const { regex, body, ...rest } = rule;
+    return { ...rest, ...(body !== undefined ? { bodyBytes: body.length } : {}) };
+}
+
+// Обработать перехваченный запрос по правилу
+async function handleInterceptedRequest(client, rule, params) {
+    const { requestId, request } = params;
+
+    if (rule.delayMs) {
+        await new Promise(resolve => setTimeout(resolve, rule.delayMs));
+    }
+
+    switch (rule.action) {
+        case 'fulfill': {
+            const headers = { ...(rule.headers || {}) };
+            if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type') && rule.contentType) {
+                headers['Content-Type'] = rule.contentType;
+            }
+            await client.send('Fetch.fulfillRequest', {
+                requestId,
+                responseCode: rule.status || 200,
+                responseHeaders: Object.entries(headers).map(([name, value]) => ({ name, value: String(value) })),
+                body: (rule.body || Buffer.alloc(0)).toString('base64')
+            });
+            break;
+        }
+        case 'abort':
+            await client.send('Fetch.failRequest', { requestId, errorReason: rule.errorReason || 'Failed' });
+            break;
+        case 'rewrite': {
+            const overrides = { requestId };
+            if (rule.rewriteUrl) {
+                // rewriteUrl - новый URL целиком; $1, $2... подставляются из групп regex-шаблона
+                const match = request.url.match(rule.regex);
+                overrides.url = rule.rewriteUrl.replace(/\$(\d+)/g, (_, index) => match?.[index] ?? '');
+            }
+            if (rule.rewriteMethod) overrides.method = rule.rewriteMethod;
+            if (rule.rewritePostData !== undefined) overrides.postData = Buffer.from(rule.rewritePostData).toString('base64');
+            if (rule.requestHeaders) {
+                const merged = { ...request.headers };
+                for (const [name, value] of Object.entries(rule.requestHeaders)) {
+                    const existing = Object.keys(merged).find(key => key.toLowerCase() === name.toLowerCase());
+                    if (existing) delete merged[existing];
+                    if (value !== null) merged[name] = String(value);
+                }
+                overrides.headers = Object.entries(merged).map(([name, value]) => ({ name, value }));
+            }
+            await client.send('Fetch.continueRequest', overrides);
+            break;
         }
+        default:
+            // delay: только задержка, запрос уходит как есть
+            await client.send('Fetch.continueRequest', { requestId });
+    }
+}
+
+// Применить актуальные правила к странице: включить/выключить Fetch и обновить снимок правил
+async function syncInterception(page) {
+    const client = page._cdpClient;
+    if (!client) return [];
+
+    const rules = getInterceptRulesForPage(page);
+    page._interceptRules = rules;
+
+    if (!page._interceptHandlerAttached) {
+        page._interceptHandlerAttached = true;
+        client.on('Fetch.requestPaused', async (params) => {
+            const rule = (page._interceptRules || []).find(r =>
+                (!r.method || r.method === params.request.method) && r.regex.test(params.request.url)
+            );
+            try {
+                if (!rule) {
+                    await client.send('Fetch.continueRequest', { requestId: params.requestId });
+                    return;
+                }
+                rule.hits++;
+                rule.lastHitUrl = params.request.url;
+                await handleInterceptedRequest(client, rule, params);
+            } catch (error) {
+                // Запрос мог быть отменён страницей (навигация, закрытие вкладки)
+                console.error('[devchrome-mcp] Interception failed for', params.request.url, '-', error.message);
+            }
+        });
+    }
+
+    if (rules.length > 0) {
+        await client.send('Fetch.enable', { patterns: [{ urlPattern: '*', requestStage: 'Request' }] });
+        page._interceptionEnabled = true;
+    } else if (page._interceptionEnabled) {
+        await client.send('Fetch.disable');
+        page._interceptionEnabled = false;
     }
-    openPages.clear();
+    return rules;
 }
 
 /* -------------------- MCP Server -------------------- */
@@ -270,6 +811,7 @@ with design systems, CSS modules, and visual regression testing.
 
 1️⃣ BASIC INSPECTION & DEBUGGING:
    • ping - Test server connection and basic functionality
+   • navigateTo / listSessions - Open pages and get stable pageIds (pass pageId to any tool to target a tab)
    • getElement - Inspect single element HTML structure 
    • getElements - Find multiple elements (great for lists, grids)
    • getElementReact/getElementsReact - CSS modules (use when class names have hash suffixes)
@@ -298,14 +840,22 @@ with design systems, CSS modules, and visual regression testing.
    • compareFigmaToElement - ⭐ THE ULTIMATE TOOL for design-to-code validation
 
 6️⃣ PERFORMANCE & QUALITY:
-   • getPerformanceMetrics - Core Web Vitals, loading performance
-   • validateHTML - Semantic markup and accessibility issues
+   • getPerformanceMetrics - Core Web Vitals (LCP, CLS, INP, TTFB, TBT) with ratings
+   • validateHTML - Markup rules with IDs/severities (configurable, custom rules)
    • getAccessibility - WCAG compliance and screen reader compatibility
+   • walkKeyboardNavigation - Real Tab/Shift+Tab focus order, focus traps, invisible stops
 
 7️⃣ INTERACTION TESTING:
    • click, hover, scrollTo - User interaction simulation
-   • screenshot - Visual documentation and evidence
-   • setViewport - Responsive design testing
+   • typeText, fillField, selectOption, setChecked, pressKey - Form input with real events
+   • runScenario - Multi-step flows with assertions in one call, stops at first failure
+   • waitFor - Wait for selector/text/URL/network idle/predicate/animations (also a waitFor option on interaction tools)
+   • screenshot - Element, viewport, full page, clip or stitched scroll container
+   • setViewport - Responsive design testing, device presets (iPhone, Pixel, iPad)
+   • sweepBreakpoints - Element across widths/media-query breakpoints with contact sheet
+   • setEmulation - Dark mode, reduced motion, forced colors, print, color blindness
+   • Web components / iframes: "host >>> inner" pierces shadow roots; pass frame (name, URL substring or index) to target an iframe
+   • Locators: role=button[name="Save"], text=Sign in, label=Email, testid=checkout, xpath=//... work wherever a selector is accepted
 
 🎯 TYPICAL WORKFLOWS FOR AI AGENTS:
 
@@ -443,36 +993,6 @@ server.registerTool(
             // Get all tabs
             const response = await fetch(`${CHROME_REMOTE_URL}/json/list`);
 
-/* Navigate to URL */
-server.registerTool(
-    'navigateTo',
-    {
-        title: 'Navigate to URL',
-        description: 'Navigate the current page to a new URL. Use this tool when you need to open a different page or reload the current page. After navigation, all other tools will work with this new page.',
-        inputSchema: {
-            url: z.string().url().describe('URL to navigate to'),
-            waitUntil: z.enum(['load', 'domcontentloaded', 'networkidle0', 'networkidle2']).optional().describe('Wait until event (default: networkidle2)')
-        }
-    },
-    async ({ url, waitUntil = 'networkidle2' }) => {
-        try {
-            // Get or create page for this URL
-            const page = await getOrCreatePage(url);
-
-            // Navigate to the URL
-            await page.goto(url, { waitUntil });
-
-            return {
-                content: [{
-                    type: 'text',
-                    text: `Successfully navigated to: ${url}\n\nPage title: ${await page.title()}\n\nYou can now use other tools to interact with this page.`
-                }]
-            };
-        } catch (error) {
-            throw new Error(`Failed to navigate to ${url}: ${error.message}`);
-        }
-    }
-);
             const tabs = await response.json();
 
             // Find the active tab (the one that's currently visible)
@@ -499,20 +1019,14 @@ server.registerTool(
                 await page.goto(activeTab.url, { waitUntil: 'networkidle2' });
             }
 
-            // Initialize CDP client
-            const client = await page.target().createCDPSession();
-            await client.send('DOM.enable');
-            await client.send('CSS.enable');
-            await client.send('Runtime.enable');
-            page._cdpClient = client;
-
-            // Store in openPages with the URL
-            openPages.set(activeTab.url, page);
+            // Register in the page registry (reuses the pageId if already known)
+            await registerPage(page);
+            touchPage(page);
 
             return {
                 content: [{
                     type: 'text',
-                    text: `Connected to active tab:\n\nTitle: ${activeTab.title}\nURL: ${activeTab.url}\n\nYou can now use other tools without providing a URL parameter.`
+                    text: `Connected to active tab:\n\nPage ID: ${page._pageId}\nTitle: ${activeTab.title}\nURL: ${activeTab.url}\n\nYou can now use other tools without providing a URL parameter, or pass pageId: "${page._pageId}" to target this tab explicitly.`
                 }]
             };
         } catch (error) {
@@ -521,101 +1035,859 @@ server.registerTool(
     }
 );
 
-/* Вспомогательная утилита: найти nodeId по селектору, если селектора нет — вернуть <body> */
-async function resolveNodeId(client, selector) {
-    const { root } = await client.send('DOM.getDocument');
-    const useSelector = (selector && String(selector).trim().length > 0) ? selector : 'body';
-    const { nodeId } = await client.send('DOM.querySelector', {
-        selector: useSelector,
-        nodeId: root.nodeId
-    });
-    if (!nodeId) {
-        if (!selector || String(selector).trim().length === 0) {
-            // крайне маловероятно, что <body> не найдётся, но на всякий случай:
-            throw new Error( '<body> element not found on the page');
+/* Navigate to URL */
+server.registerTool(
+    'navigateTo',
+    {
+        title: 'Navigate to URL',
+        description: 'Navigate to a URL and return the page ID of the tab used. Without pageId, reuses a tab already open on this URL (in the same browser context) or opens a new one; with pageId, navigates that tab; with newPage: true, always opens a new tab (e.g. two tabs on the same URL); with contextId, the tab is opened inside that isolated context (see createContext). After navigation, other tools work with this page by default, or target it explicitly via pageId.',
+        inputSchema: {
+            url: z.string().url().describe('URL to navigate to'),
+            pageId: z.string().optional().describe('Page ID of the tab to navigate (optional, from navigateTo/listSessions)'),
+            contextId: z.string().optional().describe('Browser context to open the page in (optional, from createContext; ignored when pageId is given)'),
+            newPage: z.boolean().optional().describe('Always open a new tab instead of reusing one (default: false)'),
+            waitUntil: z.enum(['load', 'domcontentloaded', 'networkidle0', 'networkidle2']).optional().describe('Wait until event (default: networkidle2)')
         }
-        
-        // Улучшенная диагностика ошибок
-        const suggestions = await findSimilarSelectors(client, selector);
-        let errorMessage = `Selector not found: ${selector}\n\nTroubleshooting tips:\n`;
-        errorMessage += `- Check if the page is fully loaded\n`;
-        errorMessage += `- Verify the selector syntax\n`;
-        errorMessage += `- Consider using more specific selectors\n\n`;
-        
-        if (suggestions.length > 0) {
-            errorMessage += `Similar elements found:\n${suggestions.join('\n')}`;
-        } else {
-            errorMessage += `No similar elements found. The page might not contain the expected content.`;
+    },
+    async ({ url, pageId, contextId, newPage = false, waitUntil = 'networkidle2' }) => {
+        try {
+            let page;
+            if (pageId) {
+                page = getPageById(pageId);
+            } else if (!newPage) {
+                page = findPageByUrl(url, contextId || null);
+            }
+            if (!page) {
+                page = await openNewPage(contextId || null);
+            }
+            touchPage(page);
+
+            // Правила перехвата, добавленные с прошлой навигации
+            const activeRules = await syncInterception(page);
+
+            // Navigate to the URL
+            await page.goto(url, { waitUntil });
+            rememberRequestedUrl(page, url);
+
+            return {
+                content: [{
+                    type: 'text',
+                    text: `Successfully navigated to: ${url}\n\nPage ID: ${page._pageId}\nContext: ${pageRegistry.get(page._pageId)?.contextId || 'default'}\n${activeRules.length > 0 ? `Interception rules: ${activeRules.map(r => r.ruleId).join(', ')}\n` : ''}Page title: ${await page.title()}\n\nYou can now use other tools to interact with this page (pass pageId: "${page._pageId}" to target it explicitly).`
+                }]
+            };
+        } catch (error) {
+            throw new Error(`Failed to navigate to ${url}: ${error.message}`);
         }
-        
-        throw new Error( errorMessage);
     }
-    return nodeId;
-}
+);
 
-/* Помощник для поиска похожих селекторов */
-async function findSimilarSelectors(client, originalSelector) {
-    const { root } = await client.send('DOM.getDocument');
-    const suggestions = [];
-    
-    try {
-        // Если это CSS модуль селектор, предлагаем более общие варианты
-        if (originalSelector.includes('--')) {
-            const baseClass = originalSelector.split('--')[0];
-            const { nodeIds } = await client.send('DOM.querySelectorAll', {
-                selector: `[class*="${baseClass}"]`,
-                nodeId: root.nodeId
+/* List registered pages (sessions) */
+server.registerTool(
+    'listSessions',
+    {
+        title: 'List Sessions',
+        description: 'List all pages (tabs) controlled by this server with their stable page IDs, browser context, current URL, title and which one is active, plus the isolated browser contexts created with createContext. Tools called without url/pageId use the active page.',
+        inputSchema: {}
+    },
+    async () => {
+        const sessions = [];
+        for (const { pageId, page, contextId, createdAt, lastUsedAt } of getRegisteredPages()) {
+            sessions.push({
+                pageId,
+                contextId: contextId || 'default',
+                url: page.url(),
+                title: await page.title().catch(() => ''),
+                active: pageId === activePageId,
+                createdAt: new Date(createdAt).toISOString(),
+                lastUsedAt: new Date(lastUsedAt).toISOString()
             });
-            if (nodeIds.length > 0) {
-                suggestions.push(`[class*="${baseClass}"] (${nodeIds.length} elements found)`);
-            }
         }
-        
-        // Если это селектор с :nth-child, попробуем без него
-        if (originalSelector.includes(':nth-child')) {
-            const baseSelector = originalSelector.replace(/:nth-child\(\d+\)/g, '');
-            const { nodeIds } = await client.send('DOM.querySelectorAll', {
-                selector: baseSelector,
-                nodeId: root.nodeId
-            });
-            if (nodeIds.length > 0) {
-                suggestions.push(`${baseSelector} (${nodeIds.length} elements found)`);
-            }
+
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify({ activePageId, total: sessions.length, sessions, contexts: listContexts() }, null, 2)
+            }]
+        };
+    }
+);
+
+/* Close a registered page */
+server.registerTool(
+    'closePage',
+    {
+        title: 'Close Page',
+        description: 'Close a page (tab) by its page ID and remove it from the session registry.',
+        inputSchema: {
+            pageId: z.string().describe('Page ID from navigateTo/listSessions')
         }
-        
-        // Если это селектор по атрибуту, попробуем по тегу
-        if (originalSelector.includes('[') && originalSelector.includes(']')) {
-            const tagMatch = originalSelector.match(/^(\w+)\[/);
-            if (tagMatch) {
-                const tag = tagMatch[1];
-                const { nodeIds } = await client.send('DOM.querySelectorAll', {
-                    selector: tag,
-                    nodeId: root.nodeId
-                });
-                if (nodeIds.length > 0) {
-                    suggestions.push(`${tag} (${nodeIds.length} elements found)`);
+    },
+    async ({ pageId }) => {
+        const page = getPageById(pageId);
+        await page.close();
+
+        return {
+            content: [{ type: 'text', text: `Closed page ${pageId}. Active page: ${activePageId || 'none'}` }]
+        };
+    }
+);
+
+/* Create an isolated browser context */
+server.registerTool(
+    'createContext',
+    {
+        title: 'Create Browser Context',
+        description: `Create an isolated (incognito-like) browser context with its own cookies, localStorage, sessionStorage and cache. Returns a contextId - pass it to navigateTo to open pages inside the context.
+
+Use this to inspect e.g. logged-in and logged-out views of the same app side by side. Optional proxy is set for the whole context; locale, timezone and geolocation are applied to every page opened in it; permissions are granted to the given origin (or all origins).`,
+        inputSchema: {
+            name: z.string().optional().describe('Human-readable label shown in listSessions (e.g. "logged-out")'),
+            proxyServer: z.string().optional().describe('Proxy for all requests of this context, e.g. "http://127.0.0.1:8080" or "socks5://host:1080"'),
+            proxyBypassList: z.array(z.string()).optional().describe('Hosts that bypass the proxy, e.g. ["localhost", "*.internal"]'),
+            locale: z.string().optional().describe('Locale for navigator.language, Intl and Accept-Language, e.g. "de-DE"'),
+            timezone: z.string().optional().describe('IANA timezone ID, e.g. "Europe/Berlin"'),
+            geolocation: z.object({
+                latitude: z.number().min(-90).max(90).describe('Latitude'),
+                longitude: z.number().min(-180).max(180).describe('Longitude'),
+                accuracy: z.number().min(0).optional().describe('Accuracy in meters')
+            }).optional().describe('Emulated geolocation (the "geolocation" permission is granted automatically)'),
+            permissions: z.array(z.enum([
+                'geolocation', 'notifications', 'camera', 'microphone', 'clipboard-read', 'clipboard-write',
+                'clipboard-sanitized-write', 'midi', 'midi-sysex', 'background-sync', 'persistent-storage',
+                'accelerometer', 'gyroscope', 'magnetometer', 'ambient-light-sensor', 'payment-handler',
+                'idle-detection', 'keyboard-lock', 'pointer-lock'
+            ])).optional().describe('Permissions to grant'),
+            permissionsOrigin: z.string().optional().describe('Origin the permissions apply to, e.g. "https://example.com" (default: all origins)')
+        }
+    },
+    async ({ name, proxyServer, proxyBypassList, locale, timezone, geolocation, permissions = [], permissionsOrigin }) => {
+        const browser = await getBrowser();
+        const context = await browser.createBrowserContext({ proxyServer, proxyBypassList });
+
+        const granted = geolocation && !permissions.includes('geolocation')
+            ? [...permissions, 'geolocation']
+            : permissions;
+        if (granted.length > 0) {
+            // Без origin CDP выдаёт разрешения для всех origin
+            await context.overridePermissions(permissionsOrigin, granted);
+        }
+
+        const contextId = `ctx-${++contextIdCounter}`;
+        const options = { name, proxyServer, proxyBypassList, locale, timezone, geolocation, permissions: granted, permissionsOrigin };
+        contextRegistry.set(contextId, { context, options, createdAt: Date.now() });
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Created browser context: ${contextId}\n\n${JSON.stringify(options, null, 2)}\n\nOpen pages in it with navigateTo({ url, contextId: "${contextId}" }).`
+            }]
+        };
+    }
+);
+
+/* Destroy a browser context */
+server.registerTool(
+    'destroyContext',
+    {
+        title: 'Destroy Browser Context',
+        description: 'Close an isolated browser context created with createContext, together with all its pages, cookies and storage.',
+        inputSchema: {
+            contextId: z.string().describe('Context ID from createContext/listSessions')
+        }
+    },
+    async ({ contextId }) => {
+        const { context } = getContextById(contextId);
+        const pages = getRegisteredPages().filter(p => p.contextId === contextId).map(p => p.pageId);
+
+        await context.close();
+        contextRegistry.delete(contextId);
+        removeInterceptRules(rule => rule.contextId === contextId);
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Destroyed browser context ${contextId}${pages.length > 0 ? ` (closed pages: ${pages.join(', ')})` : ''}. Active page: ${activePageId || 'none'}`
+            }]
+        };
+    }
+);
+
+/* Export cookies and storage of a page */
+server.registerTool(
+    'exportSessionState',
+    {
+        title: 'Export Session State',
+        description: `Save the authenticated state of a page to a JSON file: all cookies of its browser context plus localStorage and sessionStorage of the page's current origin. Log in once (e.g. through SSO), export, and reuse the state with importSessionState after MCP server restarts.
+
+Relative file paths are resolved against SESSION_STATE_DIR (default: ./.devchrome/sessions). The file contains live credentials - keep it out of version control.`,
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            file: z.string().describe('Target file, e.g. "staging-admin" or an absolute path (".json" is appended if missing)'),
+            merge: z.boolean().optional().describe('Merge into an existing file: storage of other origins is kept, cookies are replaced (default: false)')
+        }
+    },
+    async ({ url, pageId, file, merge = false }) => {
+        const page = await getPageForOperation(url, pageId);
+        const filePath = resolveSessionStatePath(file);
+
+        const cookies = await page.browserContext().cookies();
+        const storage = await page.evaluate(() => {
+            const dump = (store) => {
+                const items = [];
+                for (let i = 0; i < store.length; i++) {
+                    const name = store.key(i);
+                    items.push({ name, value: store.getItem(name) });
+                }
+                return items;
+            };
+            try {
+                return { origin: location.origin, localStorage: dump(localStorage), sessionStorage: dump(sessionStorage) };
+            } catch (e) {
+                return { origin: location.origin, localStorage: [], sessionStorage: [] };
+            }
+        });
+
+        let origins = [storage];
+        if (merge && fs.existsSync(filePath)) {
+            const previous = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            origins = [...(previous.origins || []).filter(o => o.origin !== storage.origin), storage];
+        }
+
+        const state = {
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            url: page.url(),
+            cookies,
+            origins
+        };
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, JSON.stringify(state, null, 2), { mode: 0o600 });
+
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify({
+                    saved: true,
+                    file: filePath,
+                    cookies: cookies.length,
+                    cookieDomains: [...new Set(cookies.map(c => c.domain))],
+                    origins: origins.map(o => ({
+                        origin: o.origin,
+                        localStorageKeys: o.localStorage.length,
+                        sessionStorageKeys: o.sessionStorage.length
+                    }))
+                }, null, 2)
+            }]
+        };
+    }
+);
+
+/* Import cookies and storage into a browser context */
+server.registerTool(
+    'importSessionState',
+    {
+        title: 'Import Session State',
+        description: `Load a file written by exportSessionState into a browser context before navigation: cookies are set immediately, localStorage/sessionStorage are seeded into every page of the context when it loads a matching origin (existing keys are not overwritten).
+
+Call it before navigateTo so the first request is already authenticated. Without contextId the default browser context is used. Pages already open in the context get the imported values written over their current origin's storage right away (a re-import replaces the previous one), other origins on their next navigation.`,
+        inputSchema: {
+            file: z.string().describe('State file from exportSessionState (relative to SESSION_STATE_DIR or absolute)'),
+            contextId: z.string().optional().describe('Target browser context from createContext (optional, default context if not provided)')
+        }
+    },
+    async ({ file, contextId }) => {
+        const filePath = resolveSessionStatePath(file);
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Session state file not found: ${filePath}`);
+        }
+
+        const state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const context = contextId
+            ? getContextById(contextId).context
+            : (await getBrowser()).defaultBrowserContext();
+
+        const cookies = (state.cookies || []).map(toCookieParam);
+        if (cookies.length > 0) {
+            await context.setCookie(...cookies);
+        }
+
+        const origins = (state.origins || []).filter(o => o.origin && o.origin !== 'null');
+        storageSeeds.set(contextId || null, origins);
+
+        const existingPages = getRegisteredPages().filter(p => p.contextId === (contextId || null));
+        for (const { page } of existingPages) {
+            await applyStorageSeed(page, contextId || null);
+            // Открытый документ уже засеян прошлым импортом - новые значения записываем поверх
+            await page.evaluate(seedStorageScript, origins, true).catch(() => {});
+        }
+
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify({
+                    imported: true,
+                    file: filePath,
+                    context: contextId || 'default',
+                    exportedAt: state.exportedAt,
+                    cookies: cookies.length,
+                    storageOrigins: origins.map(o => o.origin),
+                    pagesUpdatedOnNextNavigation: existingPages.map(p => p.pageId),
+                    nextStep: `Open the app with navigateTo({ url: "${state.url || '...'}"${contextId ? `, contextId: "${contextId}"` : ''} })`
+                }, null, 2)
+            }]
+        };
+    }
+);
+
+/* -------------------- Фреймы и shadow DOM -------------------- */
+// Селектор "host >>> inner" проходит сквозь shadow root (как комбинатор >>> в puppeteer): inner ищется
+// в light DOM хоста и во всех открытых shadow root его поддерева. Фрейм задаётся отдельно параметром frame.
+const frameSchema = z
+    .union([z.string(), z.number().int().min(0)])
+    .optional()
+    .describe('Frame to search in: iframe name/id, URL substring or index (0 = first iframe in document order). Default: main frame');
+
+// Все iframe страницы (кроме главного фрейма) в порядке обхода документа
+function listChildFrames(page) {
+    const frames = [];
+    const walk = (frame) => {
+        for (const child of frame.childFrames()) {
+            frames.push(child);
+            walk(child);
+        }
+    };
+    walk(page.mainFrame());
+    return frames;
+}
+
+// Найти фрейм по name/id iframe, подстроке URL или индексу; без frame - главный фрейм
+async function resolveFrame(page, frame) {
+    if (frame === undefined || frame === null || frame === '') {
+        return page.mainFrame();
+    }
+    const frames = listChildFrames(page);
+    const names = await Promise.all(frames.map(async (child) => {
+        const owner = await child.frameElement().catch(() => null);
+        const attrs = owner ? await owner.evaluate(el => [el.getAttribute('name'), el.id]).catch(() => []) : [];
+        return attrs.filter(Boolean);
+    }));
+
+    let found;
+    if (typeof frame === 'number') {
+        found = frames[frame];
+    } else {
+        found = frames.find((child, index) => names[index].includes(frame))
+            || frames.find(child => child.url().includes(frame))
+            || (/^\d+$/.test(frame) ? frames[Number(frame)] : undefined);
+    }
+    if (!found) {
+        const available = frames.map((child, index) => `  [${index}] ${names[index].length > 0 ? `${names[index][0]} ` : ''}${child.url()}`);
+        throw new Error(`Frame not found: ${frame}\n\n${available.length > 0 ? `Available frames:\n${available.join('\n')}` : 'The page has no iframes'}`);
+    }
+    return found;
+}
+
+// CDP-сессия и frameId для DOM-запросов. Фрейм того же процесса ищем через contentDocument в сессии страницы,
+// у out-of-process (кросс-доменного) фрейма своя сессия, где его документ - корень
+async function resolveFrameScope(page, frame) {
+    const client = page._cdpClient || await page.target().createCDPSession();
+    const target = await resolveFrame(page, frame);
+    if (target === page.mainFrame()) {
+        return { client, frameId: null };
+    }
+    if (target.client !== page.mainFrame().client) {
+        await target.client.send('DOM.enable');
+        await target.client.send('CSS.enable');
+        return { client: target.client, frameId: null };
+    }
+    return { client, frameId: target._id };
+}
+
+// Документ фрейма для DOM.querySelector/querySelectorAll: { client, nodeId } (без frame - главный документ)
+async function resolveFrameDocument(page, frame) {
+    const { client, frameId } = await resolveFrameScope(page, frame);
+    if (!frameId) {
+        const { root } = await client.send('DOM.getDocument');
+        return { client, nodeId: root.nodeId };
+    }
+    const { scope } = await getPiercedDocument(client, frameId);
+    return { client, nodeId: scope.nodeId };
+}
+
+// Полный DOM с shadow root и документами фреймов; scope - документ фрейма frameId или главный документ
+async function getPiercedDocument(client, frameId) {
+    const { root } = await client.send('DOM.getDocument', { depth: -1, pierce: true });
+    const nodes = new Map();
+    const parents = new Map();
+    const walk = (node, parent) => {
+        nodes.set(node.nodeId, node);
+        if (parent) parents.set(node.nodeId, parent);
+        const children = [...(node.shadowRoots || []), ...(node.children || [])];
+        if (node.contentDocument) children.push(node.contentDocument);
+        for (const child of children) walk(child, node);
+    };
+    walk(root, null);
+
+    let scope = root;
+    if (frameId) {
+        const { backendNodeId } = await client.send('DOM.getFrameOwner', { frameId });
+        const owner = Array.from(nodes.values()).find(node => node.backendNodeId === backendNodeId);
+        if (!owner?.contentDocument) {
+            throw new Error(`Document of frame ${frameId} is not available yet`);
+        }
+        scope = owner.contentDocument;
+    }
+    return { scope, nodes, parents };
+}
+
+// Открытые shadow root в поддереве узла на любой глубине (без документов вложенных фреймов)
+function collectShadowRoots(node, result = []) {
+    for (const shadowRoot of node.shadowRoots || []) {
+        if (shadowRoot.shadowRootType === 'open') result.push(shadowRoot);
+    }
+    for (const child of [...(node.shadowRoots || []), ...(node.children || [])]) {
+        if (child.shadowRootType && child.shadowRootType !== 'open') continue;
+        collectShadowRoots(child, result);
+    }
+    return result;
+}
+
+// nodeId всех совпадений селектора (с поддержкой ">>>") в документе или во фрейме
+async function queryNodeIds(client, selector, { frameId = null } = {}) {
+    if (!frameId && !selector.includes('>>>')) {
+        const { root } = await client.send('DOM.getDocument');
+        const { nodeIds } = await client.send('DOM.querySelectorAll', { selector, nodeId: root.nodeId });
+        return nodeIds;
+    }
+
+    const segments = selector.split('>>>').map(part => part.trim());
+    if (segments.some(part => part.length === 0)) {
+        throw new Error(`Invalid piercing selector: "${selector}" (expected "host >>> inner")`);
+    }
+    const { scope, nodes } = await getPiercedDocument(client, frameId);
+    let matches = [scope];
+    for (const [index, segment] of segments.entries()) {
+        const found = new Set();
+        for (const host of matches) {
+            const roots = index === 0 ? [host] : [host, ...collectShadowRoots(host)];
+            for (const root of roots) {
+                const { nodeIds } = await client.send('DOM.querySelectorAll', { selector: segment, nodeId: root.nodeId });
+                nodeIds.forEach(id => found.add(id));
+            }
+        }
+        matches = Array.from(found, id => nodes.get(id)).filter(Boolean);
+        if (matches.length === 0) return [];
+    }
+    return matches.map(node => node.nodeId);
+}
+
+/* Вспомогательная утилита: найти nodeId по селектору, если селектора нет — вернуть <body> */
+async function resolveNodeId(client, selector, { frameId = null } = {}) {
+    const useSelector = (selector && String(selector).trim().length > 0) ? selector : 'body';
+    const [nodeId] = await queryNodeIds(client, useSelector, { frameId });
+    if (!nodeId) {
+        if (!selector || String(selector).trim().length === 0) {
+            // крайне маловероятно, что <body> не найдётся, но на всякий случай:
+            throw new Error( '<body> element not found on the page');
+        }
+        
+        // Улучшенная диагностика ошибок
+        const suggestions = await findSimilarSelectors(client, selector, { frameId });
+        let errorMessage = `Selector not found: ${selector}\n\nTroubleshooting tips:\n`;
+        errorMessage += `- Check if the page is fully loaded\n`;
+        errorMessage += `- Verify the selector syntax\n`;
+        errorMessage += `- Consider using more specific selectors\n`;
+        errorMessage += `- For elements inside web components use "host >>> inner"; for iframes pass frame\n\n`;
+        
+        if (suggestions.length > 0) {
+            errorMessage += `Similar elements found:\n${suggestions.join('\n')}`;
+        } else {
+            errorMessage += `No similar elements found. The page might not contain the expected content.`;
+        }
+        
+        throw new Error( errorMessage);
+    }
+    return nodeId;
+}
+
+// ElementHandle по селектору (с ">>>") или локатору в нужном фрейме; если не найден - та же диагностика с похожими селекторами, что и в resolveNodeId
+async function resolveElement(page, selector, frame) {
+    const context = await resolveFrame(page, frame);
+    const element = await locateElement(context, selector);
+    if (element) {
+        return element;
+    }
+    const locator = parseLocator(selector);
+    if (locator) {
+        throw await locatorNotFoundError(context, locator);
+    }
+    const { client, frameId } = await resolveFrameScope(page, frame);
+    await resolveNodeId(client, selector, { frameId });
+    // DOM-запрос нашёл узел, а page.$ нет (например, документ сменился между вызовами)
+    throw new Error(`Selector not found: ${selector}`);
+}
+
+/* Помощник для поиска похожих селекторов (в документе и внутри открытых shadow root) */
+async function findSimilarSelectors(client, originalSelector, { frameId = null } = {}) {
+    const suggestions = [];
+    
+    try {
+        const { scope, parents } = await getPiercedDocument(client, frameId);
+        const shadowRoots = collectShadowRoots(scope);
+        // Цепочка хостов до shadow root: "my-dialog >>> my-button"
+        const hostPath = (shadowRoot) => {
+            const hosts = [];
+            for (let node = shadowRoot; node && node !== scope; node = parents.get(node.nodeId)) {
+                if (node.shadowRootType) {
+                    const host = parents.get(node.nodeId);
+                    const attrs = host.attributes || [];
+                    const idIndex = attrs.findIndex((value, i) => i % 2 === 0 && value === 'id');
+                    const id = idIndex >= 0 ? attrs[idIndex + 1] : '';
+                    hosts.unshift(id ? `${host.localName}#${id}` : host.localName);
+                }
+            }
+            return hosts.join(' >>> ');
+        };
+        // Подсказка с числом совпадений; совпадения в shadow DOM - сразу в виде пробивающего селектора
+        const suggest = async (selector, { shadowOnly = false } = {}) => {
+            if (!shadowOnly) {
+                const { nodeIds } = await client.send('DOM.querySelectorAll', { selector, nodeId: scope.nodeId });
+                if (nodeIds.length > 0) {
+                    suggestions.push(`${selector} (${nodeIds.length} elements found)`);
+                }
+            }
+            for (const shadowRoot of shadowRoots) {
+                const { nodeIds: inside } = await client.send('DOM.querySelectorAll', { selector, nodeId: shadowRoot.nodeId });
+                if (inside.length > 0) {
+                    suggestions.push(`${hostPath(shadowRoot)} >>> ${selector} (${inside.length} elements found inside shadow DOM)`);
                 }
             }
+        };
+        // Эвристики применяем к последнему сегменту пробивающего селектора
+        const baseSelector = originalSelector.split('>>>').pop().trim();
+
+        // Тот же селектор внутри shadow DOM (в light DOM его уже искал исходный запрос)
+        await suggest(baseSelector, { shadowOnly: true });
+
+        // Если это CSS модуль селектор, предлагаем более общие варианты
+        if (baseSelector.includes('--')) {
+            const baseClass = baseSelector.split('--')[0];
+            await suggest(`[class*="${baseClass}"]`);
+        }
+        
+        // Если это селектор с :nth-child, попробуем без него
+        if (baseSelector.includes(':nth-child')) {
+            await suggest(baseSelector.replace(/:nth-child\(\d+\)/g, ''));
+        }
+        
+        // Если это селектор по атрибуту, попробуем по тегу
+        if (baseSelector.includes('[') && baseSelector.includes(']')) {
+            const tagMatch = baseSelector.match(/^(\w+)\[/);
+            if (tagMatch) {
+                await suggest(tagMatch[1]);
+            }
         }
         
         // Если это селектор класса, попробуем найти частичные совпадения
-        const classMatch = originalSelector.match(/\.(\w+)/);
+        const classMatch = baseSelector.match(/\.(\w+)/);
         if (classMatch) {
-            const className = classMatch[1];
-            const { nodeIds } = await client.send('DOM.querySelectorAll', {
-                selector: `[class*="${className}"]`,
-                nodeId: root.nodeId
-            });
-            if (nodeIds.length > 0) {
-                suggestions.push(`[class*="${className}"] (${nodeIds.length} elements found)`);
-            }
+            await suggest(`[class*="${classMatch[1]}"]`);
         }
         
     } catch (e) {
         // Игнорируем ошибки при поиске альтернатив
     }
     
-    return suggestions;
+    return Array.from(new Set(suggestions));
+}
+
+/* -------------------- Локаторы: role=, text=, label=, testid=, XPath -------------------- */
+// Вместо CSS-селектора любой инструмент принимает локатор:
+//   role=button[name="Save"][pressed]  - роль и доступное имя из дерева доступности (плюс состояния checked, level, expanded...)
+//   text=Sign in / text="Sign in"      - самый глубокий элемент с таким текстом
+//   label=Email                        - поле по <label>, aria-labelledby или aria-label
+//   testid=checkout                    - атрибут data-testid (или testIdAttribute из конфига проекта)
+//   xpath=//button или просто //button
+// Без кавычек текст сравнивается без учёта регистра, и совпадение целиком важнее подстроки; в кавычках - только точное совпадение.
+// text/label/testid ищут и внутри открытых shadow root, XPath - только в документе.
+function parseLocator(selector) {
+    if (typeof selector !== 'string') return null;
+    const source = selector.trim();
+    if (/^\(*\//.test(source)) {
+        return { kind: 'xpath', value: source, source };
+    }
+    const match = source.match(/^(role|text|label|testid|xpath)=([\s\S]*)$/);
+    if (!match) return null;
+    const [, kind, rest] = match;
+    const body = rest.trim();
+    if (!body) {
+        throw new Error(`Empty locator: "${source}"`);
+    }
+
+    if (kind === 'role') {
+        const roleMatch = body.match(/^[a-zA-Z]+/);
+        if (!roleMatch) {
+            throw new Error(`Invalid role locator: "${source}" (expected role=button[name="Save"])`);
+        }
+        const locator = { kind, role: roleMatch[0], name: undefined, states: [], source };
+        const attribute = /\[\s*([\w-]+)\s*(?:=\s*(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|([^\]\s]+)))?\s*\]/y;
+        attribute.lastIndex = roleMatch[0].length;
+        while (attribute.lastIndex < body.length) {
+            const part = attribute.exec(body);
+            if (!part) {
+                throw new Error(`Invalid role locator: "${source}" (attributes look like [name="Save"], [level=2], [checked])`);
+            }
+            const value = (part[2] ?? part[3] ?? part[4])?.replace(/\\(.)/g, '$1');
+            if (part[1] === 'name') {
+                locator.name = value ?? '';
+            } else {
+                locator.states.push([part[1], value === undefined ? 'true' : value.toLowerCase()]);
+            }
+        }
+        return locator;
+    }
+
+    if (kind === 'xpath') {
+        return { kind, value: body, source };
+    }
+    const quoted = body.match(/^(["'])([\s\S]*)\1$/);
+    const value = quoted ? quoted[2].replace(/\\(.)/g, '$1') : body;
+    return { kind, value: value.replace(/\s+/g, ' '), exact: !!quoted || kind === 'testid', source };
+}
+
+// Совпадение текста: 2 - целиком, 1 - подстрока, 0 - нет
+function scoreLocatorText(actual, expected, exact) {
+    const text = String(actual || '').replace(/\s+/g, ' ').trim();
+    if (exact) return text === expected ? 2 : 0;
+    const lower = text.toLowerCase();
+    const wanted = expected.toLowerCase();
+    return lower === wanted ? 2 : lower.includes(wanted) ? 1 : 0;
+}
+
+// Поиск по тексту, подписи, test id или XPath в странице; возвращает элементы лучшего уровня совпадения
+function queryDomLocatorScript(kind, value, exact, testIdAttribute) {
+    const score = (actual) => {
+        const text = String(actual || '').replace(/\s+/g, ' ').trim();
+        if (exact) return text === value ? 2 : 0;
+        const lower = text.toLowerCase();
+        const wanted = value.toLowerCase();
+        return lower === wanted ? 2 : lower.includes(wanted) ? 1 : 0;
+    };
+
+    if (kind === 'xpath') {
+        const snapshot = document.evaluate(value, document, null, XPathResult.ORDERED_NODE_SNAPSHOT_TYPE, null);
+        const found = [];
+        for (let i = 0; i < snapshot.snapshotLength; i++) {
+            const node = snapshot.snapshotItem(i);
+            const el = node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+            if (el && !found.includes(el)) found.push(el);
+        }
+        return found;
+    }
+
+    const all = [];
+    const collect = (root) => {
+        for (const el of root.querySelectorAll('*')) {
+            all.push(el);
+            if (el.shadowRoot) collect(el.shadowRoot);
+        }
+    };
+    collect(document);
+
+    if (kind === 'testid') {
+        return all.filter(el => el.getAttribute(testIdAttribute) === value);
+    }
+
+    const scored = [];
+    if (kind === 'text') {
+        const skipped = new Set(['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'HEAD', 'TITLE']);
+        const textOf = el => (el.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(el.type) ? el.value : el.textContent);
+        for (const el of all) {
+            if (skipped.has(el.tagName) || el.closest('head')) continue;
+            const s = score(textOf(el));
+            if (s === 0) continue;
+            // берём самый глубокий элемент: дочерний с тем же уровнем совпадения важнее родителя
+            if (Array.from(el.children).some(child => !skipped.has(child.tagName) && score(textOf(child)) >= s)) continue;
+            scored.push([el, s]);
+        }
+    } else {
+        for (const el of all) {
+            const labels = el.labels ? Array.from(el.labels, label => label.textContent) : [];
+            const labelledBy = el.getAttribute('aria-labelledby');
+            if (labelledBy) {
+                const root = el.getRootNode();
+                labels.push(labelledBy.split(/\s+/).map(id => root.getElementById?.(id)?.textContent || '').join(' '));
+            }
+            if (el.hasAttribute('aria-label')) labels.push(el.getAttribute('aria-label'));
+            const s = Math.max(0, ...labels.map(score));
+            if (s > 0) scored.push([el, s]);
+        }
+    }
+    const best = Math.max(0, ...scored.map(([, s]) => s));
+    return scored.filter(([, s]) => s === best).map(([el]) => el);
+}
+
+// Что есть на странице для подписи или test id: подсказка, когда локатор ничего не нашёл
+function listLocatorValuesScript(kind, testIdAttribute) {
+    const values = new Set();
+    const collect = (root) => {
+        for (const el of root.querySelectorAll('*')) {
+            if (kind === 'testid' && el.hasAttribute(testIdAttribute)) {
+                values.add(el.getAttribute(testIdAttribute));
+            }
+            if (kind === 'label') {
+                for (const label of el.labels || []) values.add(label.textContent.replace(/\s+/g, ' ').trim());
+                if (el.hasAttribute('aria-label')) values.add(el.getAttribute('aria-label').trim());
+            }
+            if (el.shadowRoot) collect(el.shadowRoot);
+        }
+    };
+    collect(document);
+    return Array.from(values).filter(Boolean).slice(0, 20);
+}
+
+// Короткое описание кандидата: CSS-путь (через >>> для shadow DOM) и текст
+function describeLocatorCandidateScript(el) {
+    const segments = [];
+    let node = el;
+    let path = [];
+    while (node) {
+        if (node.id) {
+            path.unshift(`#${CSS.escape(node.id)}`);
+        } else {
+            const tag = node.tagName.toLowerCase();
+            const siblings = node.parentElement ? Array.from(node.parentElement.children).filter(child => child.tagName === node.tagName) : [];
+            path.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+        }
+        const parent = node.id ? null : node.parentElement;
+        if (parent) {
+            node = parent;
+            continue;
+        }
+        segments.unshift(path.join(' > '));
+        path = [];
+        const host = node.getRootNode().host;
+        node = host || null;
+    }
+    const text = (el.innerText || el.value || el.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+    return `${segments.join(' >>> ')}${text ? ` "${text.slice(0, 60)}${text.length > 60 ? '...' : ''}"` : ''}`;
+}
+
+// Все совпадения локатора во фрейме (context - Frame)
+async function queryLocatorAll(context, locator) {
+    if (locator.kind !== 'role') {
+        const testIdAttribute = loadProjectConfig().testIdAttribute || 'data-testid';
+        let list;
+        try {
+            list = await context.evaluateHandle(queryDomLocatorScript, locator.kind, locator.value, locator.exact, testIdAttribute);
+        } catch (error) {
+            if (locator.kind === 'xpath') {
+                throw new Error(`Invalid XPath: ${locator.value} (${error.message.split('\n')[0]})`);
+            }
+            throw error;
+        }
+        const properties = await list.getProperties();
+        await list.dispose();
+        return Array.from(properties.values()).map(handle => handle.asElement()).filter(Boolean);
+    }
+
+    // Кандидаты по роли ищет puppeteer (Accessibility.queryAXTree), имя и состояния берём из узла дерева доступности
+    const handles = await context.$$(`aria/[role="${locator.role}"]`);
+    const entries = [];
+    for (const handle of handles) {
+        const { nodes } = await context.client.send('Accessibility.getPartialAXTree', {
+            objectId: handle.remoteObject().objectId,
+            fetchRelatives: false
+        });
+        const axNode = nodes.find(node => !node.ignored) || nodes[0];
+        const properties = Object.fromEntries((axNode?.properties || []).map(p => [p.name, String(p.value?.value)]));
+        if (!locator.states.every(([key, expected]) => (properties[key] ?? 'false') === expected)) continue;
+        entries.push({ handle, name: axNode?.name?.value || '' });
+    }
+    if (locator.name === undefined) {
+        return entries.map(entry => entry.handle);
+    }
+    const scored = entries.map(entry => ({ ...entry, score: scoreLocatorText(entry.name, locator.name.replace(/\s+/g, ' ').trim(), false) }));
+    const best = Math.max(0, ...scored.map(entry => entry.score));
+    return best === 0 ? [] : scored.filter(entry => entry.score === best).map(entry => entry.handle);
+}
+
+// Ошибка "ничего не найдено" с тем, что на странице есть для этого вида локатора
+async function locatorNotFoundError(context, locator) {
+    let available = [];
+    let what = '';
+    if (locator.kind === 'role') {
+        const names = [];
+        for (const handle of await context.$$(`aria/[role="${locator.role}"]`)) {
+            const { nodes } = await context.client.send('Accessibility.getPartialAXTree', { objectId: handle.remoteObject().objectId, fetchRelatives: false });
+            const name = (nodes.find(node => !node.ignored) || nodes[0])?.name?.value;
+            if (name && !names.includes(name)) names.push(name);
+            if (names.length >= 20) break;
+        }
+        available = names.map(name => `"${name}"`);
+        what = `Accessible names with role "${locator.role}"`;
+    } else if (locator.kind === 'label' || locator.kind === 'testid') {
+        const testIdAttribute = loadProjectConfig().testIdAttribute || 'data-testid';
+        available = (await context.evaluate(listLocatorValuesScript, locator.kind, testIdAttribute)).map(value => `"${value}"`);
+        what = locator.kind === 'label' ? 'Labels on the page' : `${testIdAttribute} values on the page`;
+    }
+    let message = `No element matches locator: ${locator.source}`;
+    if (what) {
+        message += available.length > 0 ? `\n\n${what}:\n${available.join(', ')}` : `\n\n${what}: none`;
+    }
+    return new Error(message);
+}
+
+// Один элемент по CSS-селектору или локатору; null - не найден. Неоднозначный локатор - ошибка со списком кандидатов
+async function locateElement(context, selector) {
+    const locator = parseLocator(selector);
+    if (!locator) {
+        return context.$(selector);
+    }
+    let matches = await queryLocatorAll(context, locator);
+    if (matches.length > 1) {
+        // скрытые дубликаты (мобильное меню, неактивные вкладки) не считаем, если есть видимый вариант
+        const visible = [];
+        for (const handle of matches) {
+            if (await handle.isVisible()) visible.push(handle);
+        }
+        if (visible.length > 0) matches = visible;
+    }
+    if (matches.length > 1) {
+        const shown = matches.slice(0, 10);
+        const descriptions = await Promise.all(shown.map(handle => handle.evaluate(describeLocatorCandidateScript).catch(() => '?')));
+        throw new Error(`Locator ${locator.source} is ambiguous: ${matches.length} elements match\n\n` +
+            descriptions.map((text, i) => `  ${i + 1}. ${text}`).join('\n') +
+            (matches.length > shown.length ? `\n  ... and ${matches.length - shown.length} more` : '') +
+            '\n\nMake it more specific (add [name="..."], quote the text for an exact match) or use one of the CSS paths above.');
+    }
+    return matches[0] || null;
+}
+
+// Все элементы по CSS-селектору или локатору (getElements): неоднозначность здесь не ошибка
+async function locateAllElements(context, selector) {
+    const locator = parseLocator(selector);
+    return locator ? queryLocatorAll(context, locator) : context.$$(selector);
+}
+
+// nodeId в сессии client для ElementHandle: objectId живёт в сессии фрейма, переходим через backendNodeId
+async function elementToNodeId(client, element) {
+    const { node } = await element.frame.client.send('DOM.describeNode', { objectId: element.remoteObject().objectId });
+    await client.send('DOM.getDocument', { depth: -1, pierce: true });
+    const { nodeIds } = await client.send('DOM.pushNodesByBackendIdsToFrontend', { backendNodeIds: [node.backendNodeId] });
+    return nodeIds[0];
+}
+
+// CDP-узел для инструментов инспекции: CSS-селектор (с ">>>") через DOM, локатор - через найденный элемент
+async function resolveNode(page, selector, frame) {
+    const { client, frameId } = await resolveFrameScope(page, frame);
+    if (!parseLocator(selector)) {
+        return { client, frameId, nodeId: await resolveNodeId(client, selector, { frameId }) };
+    }
+    const element = await resolveElement(page, selector, frame);
+    return { client, frameId, nodeId: await elementToNodeId(client, element) };
 }
 
 /* Утилита для сравнения изображений */
@@ -665,19 +1937,20 @@ server.registerTool(
         description:
             'Get the complete HTML markup of an element for layout analysis and debugging. Perfect for inspecting component structure, checking generated HTML, or understanding element hierarchy. Returns outerHTML of the first matched element. If no selector is provided, returns the entire <body> element.',
         inputSchema: {
-            // url parameter removed - uses active tab by default,
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
             // селектор НЕобязательный: если не указан — берётся <body>
             selector: z
                 .string()
                 .optional()
-                .describe('CSS selector (optional). If omitted or empty, the <body> element is used')
+                .describe('CSS selector (optional). If omitted or empty, the <body> element is used'),
+            frame: frameSchema
         }
     },
-    async ({ url, selector }) => {
-        const page = await getPageForOperation(url);
+    async ({ url, pageId, selector, frame }) => {
+        const page = await getPageForOperation(url, pageId);
         try {
-const client = page._cdpClient || await page.target().createCDPSession();
-            const nodeId = await resolveNodeId(client, selector);
+            const { client, nodeId } = await resolveNode(page, selector, frame);
             const { outerHTML } = await client.send('DOM.getOuterHTML', { nodeId });
 
             return {
@@ -700,18 +1973,19 @@ server.registerTool(
         description:
             'Analyze actual computed CSS styles applied to an element. Essential for debugging layout issues, checking responsive design, understanding cascading styles, and verifying CSS properties. Returns all computed CSS properties of the first matched element.',
         inputSchema: {
-            // url parameter removed - uses active tab by default,
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
             selector: z
                 .string()
                 .optional()
-                .describe('CSS selector (optional). If omitted or empty, the <body> element is used')
+                .describe('CSS selector (optional). If omitted or empty, the <body> element is used'),
+            frame: frameSchema
         }
     },
-    async ({ url, selector }) => {
-        const page = await getPageForOperation(url);
+    async ({ url, pageId, selector, frame }) => {
+        const page = await getPageForOperation(url, pageId);
         try {
-const client = page._cdpClient || await page.target().createCDPSession();
-            const nodeId = await resolveNodeId(client, selector);
+            const { client, nodeId } = await resolveNode(page, selector, frame);
             const { computedStyle } = await client.send('CSS.getComputedStyleForNode', { nodeId });
 
             return {
@@ -733,18 +2007,19 @@ server.registerTool(
         description:
             'Return event listeners attached to the first matched element. If no selector is provided, the <body> element is used.',
         inputSchema: {
-            // url parameter removed - uses active tab by default,
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
             selector: z
                 .string()
                 .optional()
-                .describe('CSS selector (optional). If omitted or empty, the <body> element is used')
+                .describe('CSS selector (optional). If omitted or empty, the <body> element is used'),
+            frame: frameSchema
         }
     },
-    async ({ url, selector }) => {
-        const page = await getPageForOperation(url);
+    async ({ url, pageId, selector, frame }) => {
+        const page = await getPageForOperation(url, pageId);
         try {
-const client = page._cdpClient || await page.target().createCDPSession();
-            const nodeId = await resolveNodeId(client, selector);
+            const { client, nodeId } = await resolveNode(page, selector, frame);
             const { object } = await client.send('DOM.resolveNode', { nodeId });
 
             let listeners = [];
@@ -776,22 +2051,30 @@ server.registerTool(
         title: 'Get Elements',
         description: 'Find all elements that match the CSS selector; return an array of outerHTML.',
         inputSchema: {
-            // url parameter removed - uses active tab by default,
             url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
-
-            selector: z.string().describe('CSS selector (required for multiple matches)')
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            selector: z.string().describe('CSS selector (required for multiple matches)'),
+            frame: frameSchema
         }
     },
-    async ({ url, selector }) => {
-        const page = await getPageForOperation(url);
+    async ({ url, pageId, selector, frame }) => {
+        const page = await getPageForOperation(url, pageId);
         try {
-const client = page._cdpClient || await page.target().createCDPSession();
-            const { root } = await client.send('DOM.getDocument');
+            const { client, frameId } = await resolveFrameScope(page, frame);
+            const locator = parseLocator(selector);
+            if (locator) {
+                const context = await resolveFrame(page, frame);
+                const handles = await locateAllElements(context, selector);
+                if (handles.length === 0) {
+                    throw await locatorNotFoundError(context, locator);
+                }
+                const elements = await Promise.all(handles.map(handle => handle.evaluate(el => el.outerHTML)));
+                return {
+                    content: [{ type: 'text', name: 'elements', text: JSON.stringify(elements, null, 2) }]
+                };
+            }
             try {
-                const { nodeIds } = await client.send('DOM.querySelectorAll', {
-                    selector,
-                    nodeId: root.nodeId
-                });
+                const nodeIds = await queryNodeIds(client, selector, { frameId });
 
                 const elements = [];
                 for (const nodeId of nodeIds) {
@@ -800,7 +2083,7 @@ const client = page._cdpClient || await page.target().createCDPSession();
                 }
 
                 if (elements.length === 0) {
-                    const suggestions = await findSimilarSelectors(client, selector);
+                    const suggestions = await findSimilarSelectors(client, selector, { frameId });
                     let errorMessage = `No elements found for selector: "${selector}"`;
 
                     if (suggestions.length > 0) {
@@ -818,7 +2101,7 @@ const client = page._cdpClient || await page.target().createCDPSession();
                     }]
                 };
             } catch (error) {
-                if (error.message && (error.message.includes('No elements found') || error.message.includes('NotFound'))) {
+                if (error.message && (error.message.includes('No elements found') || error.message.includes('NotFound') || error.message.includes('piercing selector'))) {
                     throw error;
                 }
                 throw new Error( `Invalid CSS selector: "${selector}". Error: ${error.message}`);
@@ -883,14 +2166,17 @@ transformations like .someClass → Button_someClass_x7k9p2.
 - Inline styles or styled-components without CSS modules
 - Class names are already fully specified with hashes`,
         inputSchema: {
-            url: z.string().url().describe('Page URL'),
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
             className: z.string().describe('CSS module class name (without dot, e.g. "someClass")'),
-            componentName: z.string().optional().describe('Component name for more specific matching (e.g. "Button" for Button_someClass_xyz)')
+            componentName: z.string().optional().describe('Component name for more specific matching (e.g. "Button" for Button_someClass_xyz)'),
+            frame: frameSchema
         }
     },
-    async ({ className, componentName }) => {
-        const { page, client } = await createPage();
-        try {            const cleanClassName = className.replace(/^\./, '');
+    async ({ url, pageId, className, componentName, frame }) => {
+        const page = await getPageForOperation(url, pageId);
+        try {
+            const cleanClassName = className.replace(/^\./, '');
             let selectors = [];
             
             if (componentName) {
@@ -912,13 +2198,13 @@ transformations like .someClass → Button_someClass_x7k9p2.
                 ];
             }
             
-            const { root } = await client.send('DOM.getDocument');
+            const { client, nodeId: documentNodeId } = await resolveFrameDocument(page, frame);
             
             for (const selector of selectors) {
                 try {
                     const { nodeId } = await client.send('DOM.querySelector', {
                         selector,
-                        nodeId: root.nodeId
+                        nodeId: documentNodeId
                     });
 
                     if (nodeId) {
@@ -947,8 +2233,8 @@ transformations like .someClass → Button_someClass_x7k9p2.
             
             throw new Error( `${searchContext} not found. Tried patterns: ${triedPatterns}`);
             
-        } finally {
-            await page.close().catch(() => {});
+        } catch (error) {
+            throw error;
         }
     }
 );
@@ -960,16 +2246,16 @@ server.registerTool(
         title: 'Get React Elements with CSS Modules',
         description: 'Find all elements by CSS module class name pattern. Supports component-specific search to avoid collisions. Returns array of matched elements with CSS module patterns.',
         inputSchema: {
-            // url parameter removed - uses active tab by default,
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
             className: z.string().describe('CSS module class name (without dot, e.g. "someClass")'),
-            componentName: z.string().optional().describe('Component name for more specific matching (e.g. "Button" for Button_someClass_xyz)')
+            componentName: z.string().optional().describe('Component name for more specific matching (e.g. "Button" for Button_someClass_xyz)'),
+            frame: frameSchema
         }
     },
-    async ({ className, componentName }) => {
-        const page = await getPageForOperation(url);
+    async ({ url, pageId, className, componentName, frame }) => {
+        const page = await getPageForOperation(url, pageId);
         try {
-const client = page._cdpClient || await page.target().createCDPSession();
-
             const cleanClassName = className.replace(/^\./, '');
             let selectors = [];
 
@@ -990,7 +2276,7 @@ const client = page._cdpClient || await page.target().createCDPSession();
                 ];
             }
 
-            const { root } = await client.send('DOM.getDocument');
+            const { client, nodeId: documentNodeId } = await resolveFrameDocument(page, frame);
             let allNodeIds = [];
             let usedPattern = '';
 
@@ -998,7 +2284,7 @@ const client = page._cdpClient || await page.target().createCDPSession();
                 try {
                     const { nodeIds } = await client.send('DOM.querySelectorAll', {
                         selector,
-                        nodeId: root.nodeId
+                        nodeId: documentNodeId
                     });
 
                     if (nodeIds.length > 0) {
@@ -1057,41 +2343,25 @@ server.registerTool(
         title: 'Get Box Model & Layout Metrics',
         description: 'Get precise element positioning, dimensions, margins, padding, and borders. Crucial for layout debugging, responsive design validation, and pixel-perfect positioning. Returns complete box model data including content, padding, border, and margin dimensions.',
         inputSchema: {
-            // url parameter removed - uses active tab by default,
             url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
-
-            selector: z.string().describe('CSS selector')
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            selector: z.string().describe('CSS selector'),
+            frame: frameSchema
         }
     },
-    async ({ url, selector }) => {
-        const page = await getPageForOperation(url);
+    async ({ url, pageId, selector, frame }) => {
+        const page = await getPageForOperation(url, pageId);
         try {
-const client = page._cdpClient || await page.target().createCDPSession();
-
-            const { root } = await client.send('DOM.getDocument');
-            const { nodeId } = await client.send('DOM.querySelector', {
-                selector,
-                nodeId: root.nodeId
-            });
-            if (!nodeId) {
-                throw new Error( `Selector not found: ${selector}`);
-            }
+            const { client, nodeId } = await resolveNode(page, selector, frame);
 
             const boxModel = await client.send('DOM.getBoxModel', { nodeId });
-            const metrics = await page.evaluate((sel) => {
-                const el = document.querySelector(sel);
-                if (!el) return null;
-                return {
-                    offsetWidth: el.offsetWidth,
-                    offsetHeight: el.offsetHeight,
-                    scrollWidth: el.scrollWidth,
-                    scrollHeight: el.scrollHeight
-                };
-            }, selector);
-
-            if (!metrics) {
-                throw new Error( `Selector not found (render): ${selector}`);
-            }
+            const element = await resolveElement(page, selector, frame);
+            const metrics = await element.evaluate((el) => ({
+                offsetWidth: el.offsetWidth,
+                offsetHeight: el.offsetHeight,
+                scrollWidth: el.scrollWidth,
+                scrollHeight: el.scrollHeight
+            }));
 
             return {
                 content: [
@@ -1112,24 +2382,26 @@ server.registerTool(
         description:
             'Retrieve N parent elements with HTML & computed CSS (inline snapshot via getComputedStyle).',
         inputSchema: {
-            url: z.string().url().describe('Page URL'),
             url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
-
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
             selector: z.string().describe('CSS selector'),
-            levels: z.number().int().min(1).describe('How many levels up from the element')
+            levels: z.number().int().min(1).describe('How many levels up from the element (crosses shadow root boundaries to the host)'),
+            frame: frameSchema
         }
     },
-    async ({ selector, levels }) => {
-        const page = await getPageForOperation(url);
-        try {            const parents = await page.evaluate(
-                ({ selector, levels }) => {
-                    const el = document.querySelector(selector);
-                    if (!el) return null;
+    async ({ url, pageId, selector, levels, frame }) => {
+        const page = await getPageForOperation(url, pageId);
+        try {
+            const element = await resolveElement(page, selector, frame);
+            const parents = await element.evaluate(
+                (el, levels) => {
                     const result = [];
                     let curr = el;
                     for (let i = 0; i < levels; i++) {
-                        if (!curr.parentElement) break;
-                        curr = curr.parentElement;
+                        // из shadow DOM поднимаемся к хосту
+                        const parent = curr.parentElement || curr.getRootNode().host;
+                        if (!parent) break;
+                        curr = parent;
                         const cs = window.getComputedStyle(curr);
                         const styles = {};
                         for (const prop of cs) styles[prop] = cs.getPropertyValue(prop);
@@ -1137,18 +2409,14 @@ server.registerTool(
                     }
                     return result;
                 },
-                { selector, levels }
+                levels
             );
 
-            if (parents === null) {
-                throw new Error( `Selector not found: ${selector}`);
-            }
-
             return {
                 content: [{ type: 'text', name: 'parents', text: JSON.stringify(parents) }]
             };
-        } finally {
-            await page.close().catch(() => {});
+        } catch (error) {
+            throw error;
         }
     }
 );
@@ -1161,7 +2429,8 @@ server.registerTool(
         description:
             'Live CSS editing and prototyping tool. Apply inline styles to elements for testing design changes, debugging layout issues, or demonstrating visual modifications. Perfect for rapid prototyping and visual debugging without modifying source code.',
         inputSchema: {
-            url: z.string().url().describe('Page URL'),
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
             selector: z
                 .string()
                 .describe('CSS selector (the first matched element will be modified)'),
@@ -1173,11 +2442,12 @@ server.registerTool(
                     })
                 )
                 .nonempty()
-                .describe('List of inline CSS styles as {name,value} pairs')
+                .describe('List of inline CSS styles as {name,value} pairs'),
+            frame: frameSchema
         }
     },
-    async ({ selector, styles }) => {
-        const page = await getPageForOperation(url);
+    async ({ url, pageId, selector, styles, frame }) => {
+        const page = await getPageForOperation(url, pageId);
         try {            const dict = {};
             for (const item of styles) {
                 if (!item) continue;
@@ -1187,47 +2457,217 @@ server.registerTool(
                 }
             }
 
-            const ok = await page.evaluate((sel, map) => {
-                const el = document.querySelector(sel);
-                if (!el) return false;
+            const element = await resolveElement(page, selector, frame);
+            await element.evaluate((el, map) => {
                 Object.entries(map).forEach(([k, v]) => el.style.setProperty(k, v));
-                return true;
-            }, selector, dict);
-
-            if (!ok) {
-                throw new Error( `Selector not found: ${selector}`);
-            }
+            }, dict);
 
             return { content: [{ type: 'text', text: 'Styles applied' }] };
-        } finally {
-            await page.close().catch(() => {});
+        } catch (error) {
+            throw error;
         }
     }
 );
 
+/* -------------------- Скриншоты: fixed/sticky и склейка скролл-контейнеров -------------------- */
+// Спрятать (hide) или "заморозить" (freeze) fixed/sticky элементы, чтобы они не повторялись на каждом сегменте.
+// freeze: sticky -> static, fixed -> absolute на текущем месте документа. Предки keep (в том числе хосты shadow DOM) не трогаем.
+function prepareFixedElementsScript(mode, keep) {
+    const containsKeep = (el) => {
+        for (let node = keep; node; node = node.parentNode || node.host) {
+            if (node === el) return true;
+        }
+        return false;
+    };
+    const changed = [];
+    for (const el of document.querySelectorAll('body *')) {
+        const position = getComputedStyle(el).position;
+        if (position !== 'fixed' && position !== 'sticky') continue;
+        if (keep && containsKeep(el)) continue;
+        changed.push({ el, style: el.getAttribute('style') });
+        if (mode === 'hide') {
+            el.style.setProperty('visibility', 'hidden', 'important');
+        } else if (position === 'sticky') {
+            el.style.setProperty('position', 'static', 'important');
+        } else {
+            const rect = el.getBoundingClientRect();
+            el.style.setProperty('position', 'absolute', 'important');
+            el.style.setProperty('left', `${rect.left + scrollX}px`, 'important');
+            el.style.setProperty('top', `${rect.top + scrollY}px`, 'important');
+            el.style.setProperty('width', `${rect.width}px`, 'important');
+            el.style.setProperty('height', `${rect.height}px`, 'important');
+            el.style.setProperty('right', 'auto', 'important');
+            el.style.setProperty('bottom', 'auto', 'important');
+        }
+    }
+    window.__devchromeFixedElements = changed;
+    return changed.length;
+}
+
+function restoreFixedElementsScript() {
+    for (const { el, style } of window.__devchromeFixedElements || []) {
+        if (style === null) el.removeAttribute('style');
+        else el.setAttribute('style', style);
+    }
+    delete window.__devchromeFixedElements;
+}
+
+// Элемент главного документа, содержащий element: он сам или iframe верхнего уровня, в котором он лежит
+async function getTopLevelElement(page, element) {
+    let frame = element.frame;
+    if (frame === page.mainFrame()) return element;
+    while (frame.parentFrame() !== page.mainFrame()) frame = frame.parentFrame();
+    return frame.frameElement();
+}
+
+// Область снимка элемента с отступом в координатах документа: boundingBox() даёт координаты viewport,
+// а clip в page.screenshot отсчитывается от начала документа - добавляем прокрутку страницы
+async function getElementClip(page, element, padding = 0) {
+    const box = await element.boundingBox();
+    if (!box) return null;
+    const scroll = await page.evaluate(() => ({ x: scrollX, y: scrollY }));
+    return {
+        x: Math.max(box.x + scroll.x - padding, 0),
+        y: Math.max(box.y + scroll.y - padding, 0),
+        width: Math.max(box.width + padding * 2, 1),
+        height: Math.max(box.height + padding * 2, 1)
+    };
+}
+
+// Склеить снимок внутреннего скролл-контейнера (модалки, виртуальные списки) из сегментов по его видимой области
+async function captureScrollContainer(page, element, { settleMs = 150, maxSegments = 30 } = {}) {
+    const info = await element.evaluate((el) => {
+        el.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        return {
+            scrollWidth: el.scrollWidth,
+            scrollHeight: el.scrollHeight,
+            clientWidth: el.clientWidth,
+            clientHeight: el.clientHeight,
+            initialLeft: el.scrollLeft,
+            initialTop: el.scrollTop
+        };
+    });
+    if (info.clientWidth === 0 || info.clientHeight === 0) {
+        throw new Error('Scroll container has no visible area');
+    }
+
+    // Смещения сегментов; последний выравнивается по концу (перекрытие допустимо)
+    const offsets = (total, visible) => {
+        const list = [];
+        for (let pos = 0; pos < total - visible; pos += visible) list.push(pos);
+        list.push(Math.max(total - visible, 0));
+        return Array.from(new Set(list));
+    };
+    const xs = offsets(info.scrollWidth, info.clientWidth);
+    const ys = offsets(info.scrollHeight, info.clientHeight);
+    const truncated = xs.length * ys.length > maxSegments;
+
+    const segments = [];
+    try {
+        for (const y of ys) {
+            for (const x of xs) {
+                if (segments.length >= maxSegments) break;
+                const state = await element.evaluate((el, left, top) => {
+                    el.scrollLeft = left;
+                    el.scrollTop = top;
+                    return { left: el.scrollLeft, top: el.scrollTop, borderLeft: el.clientLeft, borderTop: el.clientTop };
+                }, x, y);
+                if (settleMs > 0) await new Promise(resolve => setTimeout(resolve, settleMs));
+                // Область контента без рамок и полос прокрутки, в координатах главного документа (boundingBox учитывает фреймы)
+                const box = await element.boundingBox();
+                const scroll = await page.evaluate(() => ({ x: scrollX, y: scrollY }));
+                const clip = {
+                    x: box.x + state.borderLeft + scroll.x,
+                    y: box.y + state.borderTop + scroll.y,
+                    width: info.clientWidth,
+                    height: info.clientHeight
+                };
+                const buffer = await page.screenshot({ clip });
+                segments.push({ left: state.left, top: state.top, buffer });
+            }
+        }
+    } finally {
+        await element.evaluate((el, left, top) => {
+            el.scrollLeft = left;
+            el.scrollTop = top;
+        }, info.initialLeft, info.initialTop).catch(() => {});
+    }
+
+    // Масштаб кадра (deviceScaleFactor) определяем по первому сегменту
+    const first = await Jimp.read(segments[0].buffer);
+    const scale = first.bitmap.width / info.clientWidth;
+    const canvas = new Jimp(Math.round(info.scrollWidth * scale), Math.round(info.scrollHeight * scale), 0xffffffff);
+    for (const segment of segments) {
+        const image = segment === segments[0] ? first : await Jimp.read(segment.buffer);
+        canvas.composite(image, Math.round(segment.left * scale), Math.round(segment.top * scale));
+    }
+
+    return {
+        buffer: await canvas.getBufferAsync(Jimp.MIME_PNG),
+        meta: {
+            scrollSize: { width: info.scrollWidth, height: info.scrollHeight },
+            visibleSize: { width: info.clientWidth, height: info.clientHeight },
+            segments: segments.length,
+            truncated: truncated ? `Stopped after ${maxSegments} segments` : undefined
+        }
+    };
+}
+
 /* 8) screenshot */
 server.registerTool(
     'screenshot',
     {
         title: 'Visual Element Screenshot',
-        description: 'Capture high-quality PNG screenshots of specific elements for visual testing, design reviews, and documentation. Essential for pixel-perfect comparisons, responsive design validation, and visual regression testing. Supports padding for better context.',
+        description: `Capture high-quality PNG screenshots of specific elements for visual testing, design reviews, and documentation. Essential for pixel-perfect comparisons, responsive design validation, and visual regression testing. Supports padding for better context.
+
+Modes (default: "element" with selector, "clip" with clip, otherwise "viewport"):
+- element: the element's bounding box (+ padding)
+- viewport: the visible viewport only
+- fullPage: the whole scrollable document
+- clip: an arbitrary rectangle in document coordinates
+- scrollContainer: stitched capture of an inner scroll container (modal body, virtualized list) given by selector - scrolls it segment by segment, which fullPage cannot reach
+
+fixedElements controls fixed/sticky elements: "keep", "hide" (visibility hidden) or "freeze" (sticky -> static, fixed -> absolute at its current place, so they appear once instead of on every segment). Default: "freeze" for scrollContainer, "keep" otherwise. Everything is restored afterwards.`,
         inputSchema: {
-            // url parameter removed - uses active tab by default,
             url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
-
-            selector: z.string().describe('CSS selector for the element'),
-            padding: z.number().optional().describe('Padding in pixels around the element')
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            selector: z.string().optional().describe('CSS selector for the element (element mode) or the scroll container (scrollContainer mode)'),
+            padding: z.number().optional().describe('Padding in pixels around the element'),
+            mode: z.enum(['element', 'viewport', 'fullPage', 'clip', 'scrollContainer']).optional().describe('Capture mode'),
+            clip: z.object({
+                x: z.number(),
+                y: z.number(),
+                width: z.number().positive(),
+                height: z.number().positive()
+            }).optional().describe('Rectangle in CSS pixels, document coordinates (clip mode)'),
+            fixedElements: z.enum(['keep', 'hide', 'freeze']).optional().describe('What to do with fixed/sticky elements during capture'),
+            settleMs: z.number().min(0).optional().describe('Wait after scrolling each segment in scrollContainer mode (default: 150)'),
+            maxSegments: z.number().int().min(1).optional().describe('Maximum segments in scrollContainer mode (default: 30)'),
+            frame: frameSchema
         }
     },
-    async ({ selector, padding = 0 }) => {
-        const page = await getPageForOperation(url);
-        try {
-const client = page._cdpClient || await page.target().createCDPSession();
+    async ({ url, pageId, selector, padding = 0, mode, clip: userClip, fixedElements, settleMs = 150, maxSegments = 30, frame }) => {
+        const page = await getPageForOperation(url, pageId);
+        const captureMode = mode || (userClip ? 'clip' : selector ? 'element' : 'viewport');
+        const fixedMode = fixedElements || (captureMode === 'scrollContainer' ? 'freeze' : 'keep');
+        if ((captureMode === 'element' || captureMode === 'scrollContainer') && !selector) {
+            throw new Error(`Mode "${captureMode}" requires selector`);
+        }
+        if (captureMode === 'clip' && !userClip) {
+            throw new Error('Mode "clip" requires clip: { x, y, width, height }');
+        }
 
-            const el = await page.$(selector);
-            if (!el) {
+        let fixedChanged = 0;
+        try {
+            const context = await resolveFrame(page, frame);
+            const el = selector ? await locateElement(context, selector) : null;
+            if (selector && !el && parseLocator(selector)) {
+                throw await locatorNotFoundError(context, parseLocator(selector));
+            }
+            if (selector && !el) {
+                const { client, frameId } = await resolveFrameScope(page, frame);
                 await client.send('DOM.enable');
-                const suggestions = await findSimilarSelectors(client, selector);
+                const suggestions = await findSimilarSelectors(client, selector, { frameId });
                 let errorMessage = `Selector not found for screenshot: ${selector}\n\nTroubleshooting tips:\n`;
                 errorMessage += `- Ensure the element is visible and not hidden\n`;
                 errorMessage += `- Check if the element has non-zero dimensions\n`;
@@ -1240,38 +2680,117 @@ const client = page._cdpClient || await page.target().createCDPSession();
                 throw new Error( errorMessage);
             }
 
-            const box = await el.boundingBox();
-            if (!box) {
-                throw new Error(
-                    `Element is not visible or has no bounding box: ${selector}`
-                );
+            if (fixedMode !== 'keep') {
+                const keep = captureMode === 'scrollContainer' ? await getTopLevelElement(page, el) : null;
+                fixedChanged = await page.evaluate(prepareFixedElementsScript, fixedMode, keep);
             }
 
-            const clip = {
-                x: Math.max(box.x - padding, 0),
-                y: Math.max(box.y - padding, 0),
-                width: Math.max(box.width + padding * 2, 1),
-                height: Math.max(box.height + padding * 2, 1)
-            };
+            let buf;
+            let clip = null;
+            let stitched = null;
+            if (captureMode === 'element') {
+                clip = await getElementClip(page, el, padding);
+                if (!clip) {
+                    throw new Error(
+                        `Element is not visible or has no bounding box: ${selector}`
+                    );
+                }
 
-            const buf = await page.screenshot({ clip });
+                buf = await page.screenshot({ clip });
+            } else if (captureMode === 'viewport') {
+                buf = await page.screenshot();
+            } else if (captureMode === 'fullPage') {
+                buf = await page.screenshot({ fullPage: true });
+            } else if (captureMode === 'clip') {
+                clip = userClip;
+                buf = await page.screenshot({ clip });
+            } else {
+                stitched = await captureScrollContainer(page, el, { settleMs, maxSegments });
+                buf = stitched.buffer;
+            }
 
             // ---- ВАЖНО: контент именно 'image' ----
-            return {
-                content: [
-                    {
-                        type: 'image',
-                        data: buf.toString('base64'),
-                        mimeType: 'image/png'
-                    }
-                ]
-            };
+            const content = [
+                {
+                    type: 'image',
+                    data: Buffer.from(buf).toString('base64'),
+                    mimeType: 'image/png'
+                }
+            ];
+
+            // Метаданные для режимов кроме element, а для element - при активной эмуляции
+            const emulation = describeEmulation(page);
+            if (captureMode !== 'element' || emulation) {
+                const metadata = { mode: captureMode, selector, frame, clip: clip || undefined, emulation: emulation || undefined };
+                if (fixedMode !== 'keep') metadata.fixedElements = { mode: fixedMode, affected: fixedChanged };
+                if (stitched) Object.assign(metadata, stitched.meta);
+                content.unshift({ type: 'text', name: 'metadata', text: JSON.stringify(metadata, null, 2) });
+            }
+
+            return { content };
         } catch (error) {
             throw error;
+        } finally {
+            if (fixedMode !== 'keep') {
+                await page.evaluate(restoreFixedElementsScript).catch(() => {});
+            }
         }
     }
 );
 
+/* -------------------- Пресеты устройств -------------------- */
+// Устройства puppeteer (KnownDevices) + пользовательские из секции devices конфига проекта
+// в том же формате: { "My Phone": { "userAgent": "...", "viewport": { width, height, deviceScaleFactor, isMobile, hasTouch } } }
+function getDevicePresets() {
+    const presets = new Map();
+    for (const [name, device] of Object.entries(KnownDevices)) {
+        presets.set(name.toLowerCase(), { name, source: 'puppeteer', ...device });
+    }
+    for (const [name, device] of Object.entries(loadProjectConfig().devices || {})) {
+        if (!device?.viewport?.width || !device?.viewport?.height) {
+            throw new Error(`Invalid device "${name}" in ${PROJECT_CONFIG_FILE}: expected { userAgent, viewport: { width, height, ... } }`);
+        }
+        presets.set(name.toLowerCase(), { name, source: 'config', ...device });
+    }
+    return presets;
+}
+
+// Найти пресет по имени (без учёта регистра); landscape берёт "<name> landscape" или меняет стороны местами
+function resolveDevicePreset(deviceName, landscape = false) {
+    const presets = getDevicePresets();
+    const key = deviceName.toLowerCase();
+    if (landscape && presets.has(`${key} landscape`)) {
+        return presets.get(`${key} landscape`);
+    }
+    const preset = presets.get(key);
+    if (!preset) {
+        const words = key.split(/\s+/).filter(Boolean);
+        const similar = Array.from(presets.values())
+            .filter(p => words.some(word => p.name.toLowerCase().includes(word)) && !p.name.endsWith('landscape'))
+            .map(p => p.name)
+            .slice(0, 15);
+        throw new Error(`Unknown device: "${deviceName}". ${similar.length > 0 ? `Similar devices: ${similar.join(', ')}` : `Examples: iPhone 15, Pixel 5, iPad Pro 11, Galaxy S9+`}`);
+    }
+    if (landscape && !preset.viewport.isLandscape) {
+        return {
+            ...preset,
+            name: `${preset.name} landscape`,
+            viewport: { ...preset.viewport, width: preset.viewport.height, height: preset.viewport.width, isLandscape: true }
+        };
+    }
+    return preset;
+}
+
+// Клик по элементу; на устройствах с тачем (пресеты setViewport) - tap
+async function activateElement(page, element) {
+    if (page.viewport()?.hasTouch) {
+        await element.tap();
+        return 'tap';
+    }
+    await element.click();
+    return 'click';
+}
+
 /* 9) getViewport - получение размеров viewport */
 server.registerTool(
     'getViewport',
@@ -1279,11 +2798,12 @@ server.registerTool(
         title: 'Get Viewport Dimensions',
         description: 'Get current viewport size and device pixel ratio. Essential for responsive design testing and understanding how content fits on different screen sizes.',
         inputSchema: {
-            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)')
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)')
         }
     },
-    async ({ url }) => {
-        const page = await getPageForOperation(url);
+    async ({ url, pageId }) => {
+        const page = await getPageForOperation(url, pageId);
         try {
 const client = page._cdpClient || await page.target().createCDPSession();
 
@@ -1294,6 +2814,9 @@ const client = page._cdpClient || await page.target().createCDPSession();
                 outerWidth: window.outerWidth,
                 outerHeight: window.outerHeight
             }));
+            if (page._device) {
+                viewport.device = page._device;
+            }
 
             return {
                 content: [{ type: 'text', name: 'viewport', text: JSON.stringify(viewport) }]
@@ -1309,19 +2832,52 @@ server.registerTool(
     'setViewport',
     {
         title: 'Set Viewport Size',
-        description: 'Change viewport dimensions for responsive design testing. Test how your layout adapts to different screen sizes, mobile devices, tablets, and desktop resolutions.',
+        description: `Change viewport dimensions for responsive design testing. Test how your layout adapts to different screen sizes, mobile devices, tablets, and desktop resolutions.
+
+Pass "device" to emulate a real device from Puppeteer's KnownDevices (e.g. "iPhone 15", "Pixel 5", "iPad Pro 11", "Galaxy S9+"): sets width/height, deviceScaleFactor, isMobile, hasTouch and the user agent. Custom devices can be added in the "devices" section of ${path.basename(PROJECT_CONFIG_FILE)} using the same format ({ "userAgent": "...", "viewport": { "width", "height", "deviceScaleFactor", "isMobile", "hasTouch" } }). With touch devices, click is performed as a tap. Switching isMobile/hasTouch reloads the page. Calling setViewport without device resets the user agent and touch emulation.`,
         inputSchema: {
-            // url parameter removed - uses active tab by default,
-            width: z.number().min(320).max(4000).describe('Viewport width in pixels (320-4000)'),
-            height: z.number().min(200).max(3000).describe('Viewport height in pixels (200-3000)'),
-            deviceScaleFactor: z.number().min(0.5).max(3).optional().describe('Device pixel ratio (0.5-3, default: 1)')
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            device: z.string().optional().describe('Device preset name (KnownDevices or project config), case-insensitive'),
+            landscape: z.boolean().optional().describe('Use landscape orientation of the device preset'),
+            width: z.number().min(320).max(4000).optional().describe('Viewport width in pixels (320-4000); required without device, overrides the preset width'),
+            height: z.number().min(200).max(3000).optional().describe('Viewport height in pixels (200-3000); required without device, overrides the preset height'),
+            deviceScaleFactor: z.number().min(0.5).max(3).optional().describe('Device pixel ratio (0.5-3, default: 1 or the preset value)')
         }
     },
-    async ({ width, height, deviceScaleFactor = 1 }) => {
-        const page = await getPageForOperation(url);
+    async ({ url, pageId, device, landscape = false, width, height, deviceScaleFactor }) => {
+        const page = await getPageForOperation(url, pageId);
         try {
-            await page.setViewport({ width, height, deviceScaleFactor });
-const client = page._cdpClient || await page.target().createCDPSession();
+            if (!device && (width === undefined || height === undefined)) {
+                throw new Error('Pass width and height, or a device preset name.');
+            }
+
+            let deviceInfo = null;
+            if (device) {
+                const preset = resolveDevicePreset(device, landscape);
+                const viewport = {
+                    ...preset.viewport,
+                    ...(width !== undefined ? { width } : {}),
+                    ...(height !== undefined ? { height } : {}),
+                    ...(deviceScaleFactor !== undefined ? { deviceScaleFactor } : {})
+                };
+                await page.setUserAgent(preset.userAgent || await page.browser().userAgent());
+                await page.setViewport(viewport);
+                deviceInfo = {
+                    name: preset.name,
+                    source: preset.source,
+                    deviceScaleFactor: viewport.deviceScaleFactor || 1,
+                    isMobile: !!viewport.isMobile,
+                    hasTouch: !!viewport.hasTouch
+                };
+                page._device = deviceInfo;
+            } else {
+                await page.setViewport({ width, height, deviceScaleFactor: deviceScaleFactor ?? 1 });
+                if (page._device) {
+                    await page.setUserAgent(await page.browser().userAgent());
+                    delete page._device;
+                }
+            }
 
             const result = await page.evaluate(() => ({
                 actualWidth: window.innerWidth,
@@ -1329,8 +2885,14 @@ const client = page._cdpClient || await page.target().createCDPSession();
                 devicePixelRatio: window.devicePixelRatio
             }));
 
+            const viewport = page.viewport();
+            let text = `Viewport set to ${viewport.width}x${viewport.height} (actual: ${result.actualWidth}x${result.actualHeight})`;
+            if (deviceInfo) {
+                text += `\nDevice: ${deviceInfo.name} (DPR ${deviceInfo.deviceScaleFactor}, ${deviceInfo.isMobile ? 'mobile' : 'desktop'}, ${deviceInfo.hasTouch ? 'touch - click is a tap' : 'no touch'})`;
+            }
+
             return {
-                content: [{ type: 'text', text: `Viewport set to ${width}x${height} (actual: ${result.actualWidth}x${result.actualHeight})` }]
+                content: [{ type: 'text', text }]
             };
         } catch (error) {
             throw error;
@@ -1338,314 +2900,3352 @@ const client = page._cdpClient || await page.target().createCDPSession();
     }
 );
 
-/* 11) hover - наведение мыши для проверки hover-эффектов */
+/* -------------------- Проход по брейкпоинтам -------------------- */
+// Брейкпоинты из медиа-запросов страницы: для min-width X проверяем X-1 и X, для max-width X - X и X+1
+function collectMediaBreakpointsScript() {
+    const result = { breakpoints: [], unreadableStylesheets: 0 };
+    const seen = new Set();
+    const toPx = (value, unit) => (unit === 'em' || unit === 'rem' ? value * 16 : value);
+
+    const addFromMedia = (mediaText) => {
+        const patterns = [
+            // (min-width: 768px), (max-width: 47.9375em)
+            { re: /\((min|max)-width\s*:\s*([\d.]+)(px|em|rem)\)/g, kind: m => m[1], value: m => toPx(parseFloat(m[2]), m[3]) },
+            // (width >= 768px), (width < 1024px)
+            { re: /\(\s*width\s*(>=|>|<=|<)\s*([\d.]+)(px|em|rem)\s*\)/g, kind: m => (m[1].startsWith('>') ? 'min' : 'max'), value: m => toPx(parseFloat(m[2]), m[3]) + (m[1] === '>' ? 1 : m[1] === '<' ? -1 : 0) },
+            // (768px <= width)
+            { re: /\(\s*([\d.]+)(px|em|rem)\s*(<=|<)\s*width/g, kind: () => 'min', value: m => toPx(parseFloat(m[1]), m[2]) + (m[3] === '<' ? 1 : 0) }
+        ];
+        for (const { re, kind, value } of patterns) {
+            for (const match of mediaText.matchAll(re)) {
+                const px = Math.round(value(match));
+                const key = `${kind(match)}:${px}`;
+                if (seen.has(key)) continue;
+                seen.add(key);
+                result.breakpoints.push({ type: kind(match), width: px, media: mediaText });
+            }
+        }
+    };
+
+    const walk = (rules) => {
+        for (const rule of rules) {
+            if (rule.media && rule.cssRules) addFromMedia(rule.media.mediaText);
+            if (rule.styleSheet) {
+                if (rule.media?.mediaText) addFromMedia(rule.media.mediaText);
+                try {
+                    walk(rule.styleSheet.cssRules);
+                } catch (e) {
+                    result.unreadableStylesheets++;
+                }
+            } else if (rule.cssRules) {
+                walk(rule.cssRules);
+            }
+        }
+    };
+
+    for (const sheet of document.styleSheets) {
+        if (sheet.media?.mediaText) addFromMedia(sheet.media.mediaText);
+        try {
+            walk(sheet.cssRules);
+        } catch (e) {
+            // Кросс-доменные таблицы без CORS недоступны
+            result.unreadableStylesheets++;
+        }
+    }
+    result.breakpoints.sort((a, b) => a.width - b.width);
+    return result;
+}
+
+// Метрики раскладки элемента на текущей ширине: рамка, ряды дочерних элементов, переполнение
+function measureLayoutScript(el) {
+    const style = getComputedStyle(el);
+    const rect = el.getBoundingClientRect();
+    const hidden = style.display === 'none' || style.visibility === 'hidden' || rect.width === 0 || rect.height === 0;
+
+    // Ряды: видимые дочерние элементы, сгруппированные по верхней границе
+    const tops = [];
+    for (const child of el.children) {
+        const childRect = child.getBoundingClientRect();
+        if (childRect.width === 0 || childRect.height === 0) continue;
+        if (!tops.some(top => Math.abs(top - childRect.top) < 2)) tops.push(childRect.top);
+    }
+
+    const overflowing = [];
+    for (const child of el.querySelectorAll('*')) {
+        const childRect = child.getBoundingClientRect();
+        if (childRect.width === 0) continue;
+        if (childRect.right > rect.right + 1 || childRect.left < rect.left - 1) {
+            const name = child.tagName.toLowerCase() + (child.id ? `#${child.id}` : child.classList[0] ? `.${child.classList[0]}` : '');
+            overflowing.push(name);
+            if (overflowing.length >= 5) break;
+        }
+    }
+
+    return {
+        hidden,
+        box: { x: Math.round(rect.x), y: Math.round(rect.y + scrollY), width: Math.round(rect.width), height: Math.round(rect.height) },
+        display: style.display,
+        flexDirection: style.display.includes('flex') ? style.flexDirection : undefined,
+        gridColumns: style.display.includes('grid') ? style.gridTemplateColumns.split(/\s+(?![^(]*\))/).filter(Boolean).length : undefined,
+        rows: tops.length,
+        overflowX: el.scrollWidth > el.clientWidth + 1,
+        overflowingChildren: overflowing,
+        pageOverflowX: document.documentElement.scrollWidth > innerWidth + 1
+    };
+}
+
+// Сравнить метрики двух соседних ширин и описать изменения раскладки
+function describeLayoutChanges(prev, next, viewportDelta) {
+    const changes = [];
+    if (prev.hidden !== next.hidden) {
+        changes.push({ type: 'visibility', message: next.hidden ? 'element becomes hidden' : 'element becomes visible' });
+        return changes;
+    }
+    if (next.hidden) return changes;
+
+    const dw = next.box.width - prev.box.width;
+    const dh = next.box.height - prev.box.height;
+    // Ширина меняется сильнее, чем viewport - элемент перескочил на другую раскладку
+    if (Math.abs(dw) > Math.abs(viewportDelta) + 2) {
+        changes.push({ type: 'size-jump', message: `width ${prev.box.width} -> ${next.box.width}px (viewport changed by ${viewportDelta}px)` });
+    }
+    if (Math.abs(dh) >= Math.max(24, prev.box.height * 0.15)) {
+        const pct = prev.box.height > 0 ? ` (${dh > 0 ? '+' : ''}${Math.round(dh / prev.box.height * 100)}%)` : '';
+        changes.push({ type: 'size-jump', message: `height ${prev.box.height} -> ${next.box.height}px${pct}` });
+    }
+    if (prev.rows !== next.rows) {
+        changes.push({ type: 'wrapping', message: `children wrap into ${next.rows} row(s) instead of ${prev.rows}` });
+    }
+    if (prev.display !== next.display || prev.flexDirection !== next.flexDirection || prev.gridColumns !== next.gridColumns) {
+        const describe = (m) => [m.display, m.flexDirection, m.gridColumns !== undefined ? `${m.gridColumns} columns` : null].filter(Boolean).join(' ');
+        changes.push({ type: 'layout', message: `layout ${describe(prev)} -> ${describe(next)}` });
+    }
+    const overflowNow = next.overflowX || next.overflowingChildren.length > 0;
+    const overflowBefore = prev.overflowX || prev.overflowingChildren.length > 0;
+    if (overflowNow !== overflowBefore) {
+        changes.push({
+            type: 'overflow',
+            message: overflowNow
+                ? `content overflows the element${next.overflowingChildren.length > 0 ? `: ${next.overflowingChildren.join(', ')}` : ''}`
+                : 'overflow resolved'
+        });
+    }
+    if (prev.pageOverflowX !== next.pageOverflowX) {
+        changes.push({ type: 'overflow', message: next.pageOverflowX ? 'page gets a horizontal scrollbar' : 'page horizontal scrollbar disappears' });
+    }
+    return changes;
+}
+
+// Контактный лист: снимки в сетке с подписью ширины над каждым
+async function buildContactSheet(cells, { columns = 4, cellWidth = 360, maxCellHeight = 900 } = {}) {
+    const font = await Jimp.loadFont(Jimp.FONT_SANS_16_BLACK);
+    const labelHeight = 26;
+    const gap = 12;
+    const images = await Promise.all(cells.map(async (cell) => {
+        if (!cell.buffer) return null;
+        const image = await Jimp.read(cell.buffer);
+        if (image.bitmap.width > cellWidth) image.resize(cellWidth, Jimp.AUTO);
+        if (image.bitmap.height > maxCellHeight) image.crop(0, 0, image.bitmap.width, maxCellHeight);
+        return image;
+    }));
+
+    const cols = Math.max(1, Math.min(columns, cells.length));
+    const rowHeights = [];
+    for (let i = 0; i < cells.length; i += cols) {
+        const row = images.slice(i, i + cols);
+        rowHeights.push(labelHeight + Math.max(40, ...row.map(image => (image ? image.bitmap.height : 40))));
+    }
+    const width = cols * cellWidth + (cols + 1) * gap;
+    const height = rowHeights.reduce((sum, h) => sum + h + gap, gap);
+    const sheet = new Jimp(width, height, 0xf2f2f2ff);
+
+    let y = gap;
+    rowHeights.forEach((rowHeight, rowIndex) => {
+        for (let col = 0; col < cols; col++) {
+            const index = rowIndex * cols + col;
+            if (index >= cells.length) break;
+            const x = gap + col * (cellWidth + gap);
+            sheet.print(font, x, y + 3, cells[index].label);
+            if (images[index]) {
+                sheet.composite(images[index], x, y + labelHeight);
+            } else {
+                sheet.print(font, x, y + labelHeight + 10, '(hidden)');
+            }
+        }
+        y += rowHeight + gap;
+    });
+    return sheet.getBufferAsync(Jimp.MIME_PNG);
+}
+
+/* sweepBreakpoints - снимки и изменения раскладки элемента на разных ширинах */
 server.registerTool(
-    'hover',
+    'sweepBreakpoints',
     {
-        title: 'Hover Element',
-        description: 'Simulate mouse hover over an element to test hover effects, tooltips, dropdown menus, and interactive states. Essential for testing CSS :hover pseudo-classes and JavaScript hover events.',
+        title: 'Responsive Breakpoint Sweep',
+        description: `Resize the viewport through a list of widths and capture one element at each width. Instead of calling setViewport + screenshot by hand.
+
+Widths are either passed explicitly or auto-detected from the page's media queries (min-width/max-width and range syntax; for min-width X both X-1 and X are checked, for max-width X both X and X+1).
+
+Reports layout changes between consecutive widths: size jumps (width changes more than the viewport, height changes >= 15%), wrapping (children move into more/fewer rows), layout switches (display, flex-direction, grid column count), overflow (content wider than the element, page horizontal scrollbar) and visibility changes. Returns a contact-sheet image with all captures labelled by width. The original viewport is restored afterwards.`,
         inputSchema: {
-            // url parameter removed - uses active tab by default,
             url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
-
-            selector: z.string().describe('CSS selector for the element to hover')
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            selector: z.string().describe('CSS selector for the element to capture'),
+            widths: z.array(z.number().min(200).max(4000)).optional().describe('Viewport widths to check (default: auto-detected from media queries)'),
+            minWidth: z.number().optional().describe('Lowest width for auto-detection (default: 320)'),
+            maxWidth: z.number().optional().describe('Highest width for auto-detection (default: 1920)'),
+            height: z.number().min(200).max(3000).optional().describe('Viewport height during the sweep (default: current height)'),
+            maxSteps: z.number().int().min(2).optional().describe('Maximum number of widths (default: 16)'),
+            settleMs: z.number().min(0).optional().describe('Wait after each resize for transitions and lazy layout (default: 300)'),
+            columns: z.number().int().min(1).optional().describe('Contact sheet columns (default: 4)'),
+            frame: frameSchema
         }
     },
-    async ({ url, selector }) => {
-        const page = await getPageForOperation(url);
+    async ({ url, pageId, selector, widths, minWidth = 320, maxWidth = 1920, height, maxSteps = 16, settleMs = 300, columns = 4, frame }) => {
+        const page = await getPageForOperation(url, pageId);
+        // null - эмуляции нет (defaultViewport: null, подключение к своему Chrome): после прогона её снимаем
+        const emulatedViewport = page.viewport();
+        const originalViewport = await getCurrentViewport(page);
         try {
-const client = page._cdpClient || await page.target().createCDPSession();
+            await resolveElement(page, selector, frame);
+
+            // Ширины: заданные вручную или из медиа-запросов
+            let source = 'manual';
+            let detected = null;
+            let sweepWidths = widths ? [...widths] : [];
+            if (!widths || widths.length === 0) {
+                source = 'media-queries';
+                detected = await page.evaluate(collectMediaBreakpointsScript);
+                const candidates = new Set([minWidth, maxWidth]);
+                for (const { type, width } of detected.breakpoints) {
+                    if (type === 'min') {
+                        candidates.add(width - 1);
+                        candidates.add(width);
+                    } else {
+                        candidates.add(width);
+                        candidates.add(width + 1);
+                    }
+                }
+                sweepWidths = Array.from(candidates).filter(w => w >= minWidth && w <= maxWidth);
+            }
+            sweepWidths = Array.from(new Set(sweepWidths)).sort((a, b) => a - b);
+            let truncated = false;
+            if (sweepWidths.length > maxSteps) {
+                // Равномерная выборка с сохранением крайних ширин
+                const step = (sweepWidths.length - 1) / (maxSteps - 1);
+                sweepWidths = Array.from(new Set(Array.from({ length: maxSteps }, (_, i) => sweepWidths[Math.round(i * step)])));
+                truncated = true;
+            }
 
-            const element = await page.$(selector);
-            if (!element) {
-                throw new Error( `Selector not found: ${selector}`);
+            const viewportHeight = height || originalViewport.height;
+            const steps = [];
+            const cells = [];
+            for (const width of sweepWidths) {
+                await page.setViewport({ ...(emulatedViewport || originalViewport), width, height: viewportHeight });
+                if (settleMs > 0) await new Promise(resolve => setTimeout(resolve, settleMs));
+
+                const element = await locateElement(await resolveFrame(page, frame), selector);
+                if (!element) {
+                    throw new Error(`Element ${selector} disappeared from the DOM at width ${width}px`);
+                }
+                const metrics = await element.evaluate(measureLayoutScript);
+                let buffer = null;
+                if (!metrics.hidden) {
+                    buffer = await element.screenshot({ captureBeyondViewport: true }).catch(() => null);
+                }
+                steps.push({ width, ...metrics });
+                cells.push({ label: `${width}px${metrics.hidden ? '' : ` - ${metrics.box.width}x${metrics.box.height}`}`, buffer });
             }
 
-            await element.hover();
+            const changes = [];
+            for (let i = 1; i < steps.length; i++) {
+                const found = describeLayoutChanges(steps[i - 1], steps[i], steps[i].width - steps[i - 1].width);
+                if (found.length > 0) {
+                    changes.push({ from: steps[i - 1].width, to: steps[i].width, changes: found });
+                }
+            }
 
-            // Небольшая задержка для срабатывания hover эффектов
-            await new Promise(resolve => setTimeout(resolve, 100));
+            const result = {
+                selector,
+                source,
+                widths: sweepWidths,
+                summary: {
+                    steps: steps.length,
+                    transitionsWithChanges: changes.length,
+                    overflowAt: steps.filter(s => s.overflowX || s.overflowingChildren?.length > 0 || s.pageOverflowX).map(s => s.width),
+                    hiddenAt: steps.filter(s => s.hidden).map(s => s.width)
+                },
+                changes,
+                steps
+            };
+            if (detected) {
+                result.detectedBreakpoints = detected.breakpoints.map(({ type, width, media }) => ({ type, width, media }));
+                if (detected.unreadableStylesheets > 0) {
+                    result.note = `${detected.unreadableStylesheets} cross-origin stylesheet(s) could not be read; pass widths explicitly if breakpoints are missing`;
+                }
+            }
+            if (truncated) {
+                result.truncated = `Too many widths; sampled ${sweepWidths.length} (raise maxSteps to check all)`;
+            }
 
+            const sheet = await buildContactSheet(cells, { columns });
             return {
-                content: [{ type: 'text', text: `Hovered over element: ${selector}` }]
+                content: [
+                    { type: 'text', name: 'breakpoints', text: JSON.stringify(result, null, 2) },
+                    { type: 'image', data: sheet.toString('base64'), mimeType: 'image/png' }
+                ]
             };
-        } catch (error) {
-            throw error;
+        } finally {
+            await page.setViewport(emulatedViewport).catch(() => {});
         }
     }
 );
 
-/* 12) click - клик по элементу */
-server.registerTool(
-    'click',
-    {
-        title: 'Click Element',
-        description: 'Simulate mouse click on an element to test buttons, links, form interactions, and JavaScript click handlers. Essential for testing user interactions and form submissions.',
-        inputSchema: {
-            // url parameter removed - uses active tab by default,
-            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
-
-            selector: z.string().describe('CSS selector for the element to click')
-        }
-    },
-    async ({ url, selector }) => {
-        const page = await getPageForOperation(url);
+/* -------------------- Ожидание условий (waitFor) -------------------- */
+// Условия ожидания; если задано несколько - ждём все по очереди в пределах общего таймаута
+const waitConditionFields = {
+    selector: z.string().optional().describe('Wait for this element to reach "state"'),
+    state: z.enum(['visible', 'hidden', 'attached', 'detached']).optional().describe('Element state for selector (default: visible)'),
+    text: z.string().optional().describe('Wait until this text is present (in "within" or the whole page)'),
+    within: z.string().optional().describe('Element to search the text in (default: body)'),
+    frame: frameSchema.describe('Frame for selector, text, predicate and animationsFinished: iframe name/id, URL substring or index (default: main frame)'),
+    urlMatches: z.string().optional().describe('Wait until the page URL contains this substring or matches /regex/flags'),
+    networkIdleMs: z.number().min(0).optional().describe('Wait until there were no network requests for this many ms'),
+    predicate: z.string().optional().describe('JS expression or function evaluated in the page until it returns truthy, e.g. "window.appReady === true"'),
+    animationsFinished: z.boolean().optional().describe('Wait until finite CSS/Web animations finish (inside selector if given, else the whole document)'),
+    timeoutMs: z.number().min(0).optional().describe('Timeout for all conditions together (default: 10000)')
+};
+const waitConditionSchema = z.object(waitConditionFields);
+
+// Опрос условия из Node раз в 100 мс: document.querySelector внутри waitForFunction не понимает ">>>".
+// Пока идёт навигация, контекст страницы пересоздаётся - такие ошибки пропускаем.
+// Возвращает первое truthy-значение check или false, если истёк таймаут
+async function pollUntil(check, timeout) {
+    const startedAt = Date.now();
+    for (;;) {
         try {
-const client = page._cdpClient || await page.target().createCDPSession();
+            const value = await check();
+            if (value) return value;
+        } catch (error) {
+            if (!/context|detached/i.test(error.message)) throw error;
+        }
+        if (Date.now() - startedAt >= timeout) return false;
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+}
 
-            const element = await page.$(selector);
+// Дождаться элемента в нужном состоянии (context - страница или фрейм); ошибка говорит, чего именно ждали
+async function waitForElementState(context, selector, state, timeout) {
+    try {
+        if (state === 'detached') {
+            if (!await pollUntil(async () => !await locateElement(context, selector), timeout)) {
+                throw new Error(`Timed out after ${timeout}ms waiting for ${selector} to be detached`);
+            }
+            return null;
+        }
+        if (parseLocator(selector)) {
+            // локаторы waitForSelector не понимает - опрашиваем сами
+            const element = await pollUntil(async () => {
+                const found = await locateElement(context, selector);
+                if (state === 'hidden') return !found || await found.isHidden();
+                return found && (state === 'attached' || await found.isVisible()) ? found : null;
+            }, timeout);
             if (!element) {
-                throw new Error( `Selector not found: ${selector}`);
+                throw new Error(`Timed out after ${timeout}ms waiting for ${selector} to be ${state}`);
             }
+            return state === 'hidden' ? null : element;
+        }
+        return await context.waitForSelector(selector, {
+            visible: state === 'visible',
+            hidden: state === 'hidden',
+            timeout
+        });
+    } catch (error) {
+        if (error.name === 'TimeoutError') {
+            throw new Error(`Timed out after ${timeout}ms waiting for ${selector} to be ${state}`);
+        }
+        throw error;
+    }
+}
 
-            await element.click();
+// Видимый текст элемента без лишних пробелов; null - элемента нет
+async function readElementText(context, selector) {
+    const element = await locateElement(context, selector);
+    return element ? element.evaluate(el => el.innerText.trim().replace(/\s+/g, ' ')) : null;
+}
 
-            // Ожидаем возможных изменений после клика (увеличено для модалок)
-            await new Promise(resolve => setTimeout(resolve, 1500));
+// Дождаться текста в элементе (по умолчанию body); при неудаче показываем фактический текст
+async function waitForTextContent(context, selector, text, exact, timeout) {
+    const matches = async () => {
+        const actual = await readElementText(context, selector);
+        return actual !== null && (exact ? actual === text : actual.includes(text));
+    };
+    if (await pollUntil(matches, timeout)) {
+        return;
+    }
+    const actual = await readElementText(context, selector).catch(() => null);
+    throw new Error(actual === null
+        ? `Timed out after ${timeout}ms: ${selector} not found while waiting for text "${text}"`
+        : `Timed out after ${timeout}ms waiting for ${selector} to ${exact ? 'equal' : 'contain'} "${text}"; actual: "${actual.slice(0, 200)}${actual.length > 200 ? '...' : ''}"`);
+}
 
-            // Делаем скриншот после клика
-            const screenshot = await page.screenshot({ encoding: 'base64', fullPage: false });
+// Проверить, задано ли хоть одно условие
+function hasWaitCondition(condition) {
+    return !!condition && ['selector', 'text', 'urlMatches', 'networkIdleMs', 'predicate', 'animationsFinished']
+        .some(key => condition[key] !== undefined && condition[key] !== false);
+}
 
-            return {
-                content: [
-                    { type: 'text', text: `Clicked element: ${selector}` },
-                    { type: 'image', data: screenshot, mimeType: 'image/png' }
-                ]
-            };
+// Дождаться всех условий; возвращает { waitedMs, conditions } или бросает ошибку с описанием невыполненного условия
+async function waitForConditions(page, condition) {
+    if (!hasWaitCondition(condition)) {
+        throw new Error('waitFor needs at least one condition: selector, text, urlMatches, networkIdleMs, predicate or animationsFinished');
+    }
+    const timeout = condition.timeoutMs ?? 10000;
+    const startedAt = Date.now();
+    const remaining = () => Math.max(timeout - (Date.now() - startedAt), 1);
+    const satisfied = [];
+    const context = await resolveFrame(page, condition.frame);
+
+    if (condition.urlMatches) {
+        const matches = createUrlMatcher(condition.urlMatches);
+        while (!matches(page.url())) {
+            if (Date.now() - startedAt >= timeout) {
+                throw new Error(`Timed out after ${timeout}ms waiting for URL to match ${condition.urlMatches}; current URL: ${page.url()}`);
+            }
+            await new Promise(resolve => setTimeout(resolve, 100));
+        }
+        satisfied.push(`URL matches ${condition.urlMatches}`);
+    }
+
+    if (condition.selector) {
+        const state = condition.state || 'visible';
+        await waitForElementState(context, condition.selector, state, remaining());
+        satisfied.push(`${condition.selector} is ${state}`);
+    }
+
+    if (condition.text !== undefined) {
+        const within = condition.within || 'body';
+        await waitForTextContent(context, within, condition.text, false, remaining());
+        satisfied.push(`text "${condition.text}" present${condition.within ? ` in ${within}` : ''}`);
+    }
+
+    if (condition.networkIdleMs !== undefined) {
+        try {
+            await page.waitForNetworkIdle({ idleTime: condition.networkIdleMs, timeout: remaining(), concurrency: 0 });
         } catch (error) {
-            throw error;
+            if (error.name !== 'TimeoutError') throw error;
+            const pending = (page._networkLog?.entries || [])
+                .filter(entry => !entry.finished)
+                .slice(-5)
+                .map(entry => entry.url);
+            throw new Error(`Timed out after ${timeout}ms waiting for network idle (${condition.networkIdleMs}ms without requests)${pending.length > 0 ? `; still pending: ${pending.join(', ')}` : ''}`);
         }
+        satisfied.push(`network idle for ${condition.networkIdleMs}ms`);
     }
-);
 
-/* 13) scrollTo - прокрутка к элементу */
-server.registerTool(
-    'scrollTo',
-    {
-        title: 'Scroll to Element',
-        description: 'Scroll page to bring an element into view. Perfect for testing sticky elements, lazy loading, scroll animations, and ensuring elements are properly visible on long pages.',
-        inputSchema: {
-            // url parameter removed - uses active tab by default,
-            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+    if (condition.predicate) {
+        try {
+            // Как в executeScript: eval в странице; если выражение - функция, вызываем её
+            await context.waitForFunction((code) => {
+                // eslint-disable-next-line no-eval
+                const value = eval(code);
+                return typeof value === 'function' ? value() : value;
+            }, { timeout: remaining(), polling: 100 }, condition.predicate);
+        } catch (error) {
+            if (error.name !== 'TimeoutError') {
+                throw new Error(`waitFor predicate failed: ${error.message}`);
+            }
+            throw new Error(`Timed out after ${timeout}ms waiting for predicate to be truthy: ${condition.predicate}`);
+        }
+        satisfied.push(`predicate ${condition.predicate}`);
+    }
 
-            selector: z.string().describe('CSS selector for the element to scroll to'),
-            behavior: z.enum(['auto', 'smooth']).optional().describe('Scroll behavior (auto or smooth)')
+    if (condition.animationsFinished) {
+        const scope = condition.selector || null;
+        // Корень - элемент selector (если он есть на странице), иначе весь документ
+        const root = scope ? await locateElement(context, scope) : null;
+        const runningAnimations = (root) => {
+            const animations = root ? root.getAnimations({ subtree: true }) : document.getAnimations();
+            return animations
+                .filter(animation => animation.playState === 'running' && animation.effect?.getComputedTiming().endTime !== Infinity)
+                .map((animation) => {
+                    const target = animation.effect?.target;
+                    const name = animation.animationName || animation.transitionProperty || animation.id || 'animation';
+                    return `${name} on ${target ? target.tagName.toLowerCase() + (target.id ? `#${target.id}` : '') : '?'}`;
+                });
+        };
+        try {
+            await context.waitForFunction(root => {
+                const animations = root ? root.getAnimations({ subtree: true }) : document.getAnimations();
+                return animations.every(a => a.playState !== 'running' || a.effect?.getComputedTiming().endTime === Infinity);
+            }, { timeout: remaining(), polling: 'raf' }, root);
+        } catch (error) {
+            if (error.name !== 'TimeoutError') throw error;
+            const running = await context.evaluate(runningAnimations, root).catch(() => []);
+            throw new Error(`Timed out after ${timeout}ms waiting for animations to finish${scope ? ` in ${scope}` : ''}; still running: ${running.slice(0, 5).join(', ') || 'unknown'}`);
+        }
+        satisfied.push(`animations finished${scope ? ` in ${scope}` : ''}`);
+    }
+
+    return { waitedMs: Date.now() - startedAt, conditions: satisfied };
+}
+
+// Ожидание после действия инструмента: условия waitFor или прежняя фиксированная пауза
+async function waitAfterAction(page, waitFor, fallbackMs) {
+    if (hasWaitCondition(waitFor)) {
+        const { waitedMs, conditions } = await waitForConditions(page, waitFor);
+        return `\nWaited ${waitedMs}ms for: ${conditions.join(', ')}`;
+    }
+    if (fallbackMs > 0) {
+        await new Promise(resolve => setTimeout(resolve, fallbackMs));
+    }
+    return '';
+}
+
+/* waitFor - явное ожидание условий вместо фиксированных пауз */
+server.registerTool(
+    'waitFor',
+    {
+        title: 'Wait For Condition',
+        description: `Wait until the page reaches a state instead of sleeping a fixed time. Conditions (all given ones must hold): selector visible/hidden/attached/detached, text present (optionally within an element), URL match (substring or /regex/), network idle for N ms, a JS predicate evaluated in the page, finished animations.
+
+On timeout the error says what was being waited for and the current state (actual text, current URL, pending requests, running animations). The same conditions are accepted as the "waitFor" option of click, hover, scrollTo, typeText, fillField, selectOption, setChecked, pressKey and executeScript.`,
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            ...waitConditionFields
+        }
+    },
+    async ({ url, pageId, ...condition }) => {
+        const page = await getPageForOperation(url, pageId);
+        try {
+            const { waitedMs, conditions } = await waitForConditions(page, condition);
+            return {
+                content: [{ type: 'text', text: `Waited ${waitedMs}ms for: ${conditions.join(', ')}` }]
+            };
+        } catch (error) {
+            throw error;
+        }
+    }
+);
+
+/* 11) hover - наведение мыши для проверки hover-эффектов */
+server.registerTool(
+    'hover',
+    {
+        title: 'Hover Element',
+        description: 'Simulate mouse hover over an element to test hover effects, tooltips, dropdown menus, and interactive states. Essential for testing CSS :hover pseudo-classes and JavaScript hover events.',
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            selector: z.string().describe('CSS selector for the element to hover'),
+            frame: frameSchema,
+            waitFor: waitConditionSchema.optional().describe('Conditions to wait for after the action (see waitFor tool)')
+        }
+    },
+    async ({ url, pageId, selector, frame, waitFor }) => {
+        const page = await getPageForOperation(url, pageId);
+        try {
+            const element = await resolveElement(page, selector, frame);
+
+            await element.hover();
+
+            // Небольшая задержка для срабатывания hover эффектов (или явные условия waitFor)
+            const waited = await waitAfterAction(page, waitFor, 100);
+
+            return {
+                content: [{ type: 'text', text: `Hovered over element: ${selector}${waited}` }]
+            };
+        } catch (error) {
+            throw error;
+        }
+    }
+);
+
+/* 12) click - клик по элементу */
+server.registerTool(
+    'click',
+    {
+        title: 'Click Element',
+        description: 'Simulate mouse click on an element to test buttons, links, form interactions, and JavaScript click handlers. Essential for testing user interactions and form submissions. On touch device presets (setViewport device) the click is performed as a tap.',
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            selector: z.string().describe('CSS selector for the element to click'),
+            frame: frameSchema,
+            waitFor: waitConditionSchema.optional().describe('Conditions to wait for after the action (see waitFor tool)')
+        }
+    },
+    async ({ url, pageId, selector, frame, waitFor }) => {
+        const page = await getPageForOperation(url, pageId);
+        try {
+            const element = await resolveElement(page, selector, frame);
+
+            const method = await activateElement(page, element);
+
+            // Ожидаем возможных изменений после клика (увеличено для модалок) или явных условий waitFor
+            const waited = await waitAfterAction(page, waitFor, 1500);
+
+            // Делаем скриншот после клика
+            const screenshot = await page.screenshot({ encoding: 'base64', fullPage: false });
+
+            return {
+                content: [
+                    { type: 'text', text: `${method === 'tap' ? 'Tapped' : 'Clicked'} element: ${selector}${waited}` },
+                    { type: 'image', data: screenshot, mimeType: 'image/png' }
+                ]
+            };
+        } catch (error) {
+            throw error;
+        }
+    }
+);
+
+/* 13) scrollTo - прокрутка к элементу */
+server.registerTool(
+    'scrollTo',
+    {
+        title: 'Scroll to Element',
+        description: 'Scroll page to bring an element into view. Perfect for testing sticky elements, lazy loading, scroll animations, and ensuring elements are properly visible on long pages.',
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            selector: z.string().describe('CSS selector for the element to scroll to'),
+            behavior: z.enum(['auto', 'smooth']).optional().describe('Scroll behavior (auto or smooth)'),
+            frame: frameSchema,
+            waitFor: waitConditionSchema.optional().describe('Conditions to wait for after the action (see waitFor tool)')
+        }
+    },
+    async ({ url, pageId, selector, behavior = 'auto', frame, waitFor }) => {
+        const page = await getPageForOperation(url, pageId);
+        try {
+            const element = await resolveElement(page, selector, frame);
+
+            await element.scrollIntoView({ behavior });
+
+            // Ожидаем завершения скролла (или явных условий waitFor)
+            const waited = await waitAfterAction(page, waitFor, 300);
+
+            const position = await page.evaluate(() => ({
+                x: window.scrollX,
+                y: window.scrollY
+            }));
+
+            return {
+                content: [{ type: 'text', text: `Scrolled to element: ${selector} (position: ${position.x}, ${position.y})${waited}` }]
+            };
+        } catch (error) {
+            throw error;
+        }
+    }
+);
+
+/* -------------------- Ввод в формы -------------------- */
+// Поля, в которые нельзя напечатать значение посимвольно: выставляем через нативный setter + input/change
+const NON_TYPEABLE_INPUT_TYPES = ['color', 'range', 'date', 'time', 'datetime-local', 'month', 'week', 'file'];
+
+// Очистить поле реальными клавишами: выделить содержимое и Backspace (срабатывают keydown/input/change)
+async function clearElement(page, element) {
+    await element.focus();
+    const hasContent = await element.evaluate((el) => {
+        if (el.isContentEditable) {
+            const range = document.createRange();
+            range.selectNodeContents(el);
+            const selection = getSelection();
+            selection.removeAllRanges();
+            selection.addRange(range);
+            return el.textContent.length > 0;
+        }
+        if (typeof el.select === 'function') {
+            el.select();
+            return String(el.value).length > 0;
+        }
+        throw new Error(`Element <${el.tagName.toLowerCase()}> is not a text field`);
+    });
+    if (hasContent) {
+        await page.keyboard.press('Backspace');
+    }
+}
+
+// Напечатать текст в поле: фокус, курсор в конец, посимвольные события клавиатуры
+async function typeIntoElement(page, element, text, { delay = 0, clear = false } = {}) {
+    const inputType = await element.evaluate(el => (el.tagName === 'INPUT' ? el.type : null));
+    if (NON_TYPEABLE_INPUT_TYPES.includes(inputType)) {
+        throw new Error(`Cannot type into input[type=${inputType}]; use fillField to set its value`);
+    }
+    if (clear) {
+        await clearElement(page, element);
+    } else {
+        await element.focus();
+        await element.evaluate((el) => {
+            if (typeof el.setSelectionRange === 'function' && typeof el.value === 'string') {
+                try {
+                    el.setSelectionRange(el.value.length, el.value.length);
+                } catch (e) {
+                    // email/number не поддерживают selection - курсор и так в конце
+                }
+            } else if (el.isContentEditable) {
+                // focus() ставит курсор в начало contenteditable - переносим в конец, чтобы дописывать
+                const range = el.ownerDocument.createRange();
+                range.selectNodeContents(el);
+                range.collapse(false);
+                const selection = el.ownerDocument.getSelection();
+                selection.removeAllRanges();
+                selection.addRange(range);
+            }
+        });
+    }
+    await page.keyboard.type(text, { delay });
+}
+
+// Текущее значение/состояние поля для ответа инструментов
+async function describeFieldValue(element) {
+    return element.evaluate((el) => {
+        if (el.tagName === 'SELECT') {
+            return Array.from(el.selectedOptions).map(option => ({ value: option.value, label: option.label }));
+        }
+        if (el.type === 'checkbox' || el.type === 'radio') return el.checked;
+        if (el.isContentEditable) return el.textContent;
+        return el.value;
+    });
+}
+
+// Синонимы клавиш, привычные по другим инструментам, -> имена клавиш puppeteer
+const KEY_ALIASES = { Ctrl: 'Control', Cmd: 'Meta', Command: 'Meta', Option: 'Alt', Esc: 'Escape', Return: 'Enter', Plus: '+' };
+
+// Нажать клавишу или сочетание вида "Shift+Tab", "Control+A" (модификаторы зажимаются по порядку).
+// Сам "+" - последней клавишей: "+", "Control++" (или "Control+Plus")
+async function pressKeyChord(page, chord) {
+    let body = chord.trim();
+    let plus = false;
+    if (body === '+' || body.endsWith('++')) {
+        body = body.slice(0, -2);
+        plus = true;
+    }
+    const keys = body.split('+').map(key => key.trim()).filter(Boolean).map(key => KEY_ALIASES[key] || key);
+    if (plus) keys.push('+');
+    if (keys.length === 0) {
+        throw new Error(`Invalid key: "${chord}"`);
+    }
+    const key = keys.pop();
+    for (const modifier of keys) await page.keyboard.down(modifier);
+    try {
+        await page.keyboard.press(key);
+    } finally {
+        for (const modifier of keys.reverse()) await page.keyboard.up(modifier);
+    }
+}
+
+/* typeText - ввод текста реальными событиями клавиатуры */
+server.registerTool(
+    'typeText',
+    {
+        title: 'Type Text',
+        description: 'Type text into an input, textarea or contenteditable element with real keyboard events (keydown/keypress/input/keyup per character), unlike executeScript. Appends to the current value unless clear is true. Use delayMs to imitate a human typing speed (debounced search, autocomplete).',
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            selector: z.string().describe('CSS selector for the field'),
+            text: z.string().describe('Text to type'),
+            delayMs: z.number().min(0).optional().describe('Delay between key presses in ms (default: 0)'),
+            clear: z.boolean().optional().describe('Clear the field before typing (default: false)'),
+            frame: frameSchema,
+            waitFor: waitConditionSchema.optional().describe('Conditions to wait for after the action (see waitFor tool)')
+        }
+    },
+    async ({ url, pageId, selector, text, delayMs = 0, clear = false, frame, waitFor }) => {
+        const page = await getPageForOperation(url, pageId);
+        try {
+            const element = await resolveElement(page, selector, frame);
+            await typeIntoElement(page, element, text, { delay: delayMs, clear });
+            const waited = await waitAfterAction(page, waitFor, 0);
+            const value = await describeFieldValue(element);
+
+            return {
+                content: [{ type: 'text', text: `Typed ${text.length} character(s) into ${selector}\nValue: ${JSON.stringify(value)}${waited}` }]
+            };
+        } catch (error) {
+            throw error;
+        }
+    }
+);
+
+/* fillField - очистить поле и задать значение */
+server.registerTool(
+    'fillField',
+    {
+        title: 'Fill Field',
+        description: 'Clear a field and fill it with a new value. Text fields are cleared with real key presses (select all + Backspace) and then typed; an empty value just clears the field. Inputs that cannot be typed into (date, time, color, range, month, week) get the value through the native setter with input and change events.',
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            selector: z.string().describe('CSS selector for the field'),
+            value: z.string().describe('New value ("" to clear the field)'),
+            frame: frameSchema,
+            waitFor: waitConditionSchema.optional().describe('Conditions to wait for after the action (see waitFor tool)')
+        }
+    },
+    async ({ url, pageId, selector, value, frame, waitFor }) => {
+        const page = await getPageForOperation(url, pageId);
+        try {
+            const element = await resolveElement(page, selector, frame);
+            const inputType = await element.evaluate(el => (el.tagName === 'INPUT' ? el.type : null));
+
+            if (inputType === 'file') {
+                throw new Error('fillField cannot set file inputs');
+            }
+            if (NON_TYPEABLE_INPUT_TYPES.includes(inputType)) {
+                const applied = await element.evaluate((el, newValue) => {
+                    const setter = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value').set;
+                    el.focus();
+                    setter.call(el, newValue);
+                    el.dispatchEvent(new Event('input', { bubbles: true }));
+                    el.dispatchEvent(new Event('change', { bubbles: true }));
+                    return el.value;
+                }, value);
+                // браузер нормализует значение (color - в нижний регистр, range - как число): сравниваем в том же виде
+                const normalize = (v) => (inputType === 'range' ? String(Number(v)) : v.toLowerCase());
+                if (value !== '' && normalize(applied) !== normalize(value)) {
+                    throw new Error(`input[type=${inputType}] rejected value "${value}" (got "${applied}"); check the expected format`);
+                }
+            } else {
+                await clearElement(page, element);
+                if (value.length > 0) {
+                    await page.keyboard.type(value);
+                }
+            }
+            const waited = await waitAfterAction(page, waitFor, 0);
+            const result = await describeFieldValue(element);
+
+            return {
+                content: [{ type: 'text', text: `${value === '' ? 'Cleared' : 'Filled'} ${selector}\nValue: ${JSON.stringify(result)}${waited}` }]
+            };
+        } catch (error) {
+            throw error;
+        }
+    }
+);
+
+/* selectOption - выбор опции <select> по value или тексту */
+server.registerTool(
+    'selectOption',
+    {
+        title: 'Select Option',
+        description: 'Choose options of a <select> element by value or by visible label, then fire input and change events like a user selection. For <select multiple> pass several options; the others are deselected. If an option is not found, the error lists the available values and labels.',
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            selector: z.string().describe('CSS selector for the <select> element'),
+            options: z.array(z.string()).min(1).describe('Option values or labels to select'),
+            by: z.enum(['auto', 'value', 'label']).optional().describe('Match options by value, label, or value then label (default: auto)'),
+            frame: frameSchema,
+            waitFor: waitConditionSchema.optional().describe('Conditions to wait for after the action (see waitFor tool)')
+        }
+    },
+    async ({ url, pageId, selector, options, by = 'auto', frame, waitFor }) => {
+        const page = await getPageForOperation(url, pageId);
+        try {
+            const element = await resolveElement(page, selector, frame);
+            const outcome = await element.evaluate((el, wanted, matchBy) => {
+                if (el.tagName !== 'SELECT') {
+                    return { error: `Element is <${el.tagName.toLowerCase()}>, not <select>` };
+                }
+                const all = Array.from(el.options);
+                const normalize = (text) => text.trim().replace(/\s+/g, ' ');
+                const chosen = [];
+                for (const item of wanted) {
+                    const byValue = all.find(option => option.value === item);
+                    const byLabel = all.find(option => normalize(option.label) === normalize(item));
+                    const option = matchBy === 'value' ? byValue : matchBy === 'label' ? byLabel : (byValue || byLabel);
+                    if (!option) {
+                        return {
+                            error: `Option "${item}" not found (by ${matchBy}). Available: ${all.map(o => `${JSON.stringify(o.value)} (${normalize(o.label)})`).join(', ')}`
+                        };
+                    }
+                    if (option.disabled) {
+                        return { error: `Option "${item}" is disabled` };
+                    }
+                    chosen.push(option);
+                }
+                if (!el.multiple && chosen.length > 1) {
+                    return { error: 'Select is not multiple; pass a single option' };
+                }
+                if (el.disabled) {
+                    return { error: 'Select is disabled' };
+                }
+                el.focus();
+                for (const option of all) option.selected = chosen.includes(option);
+                el.dispatchEvent(new Event('input', { bubbles: true }));
+                el.dispatchEvent(new Event('change', { bubbles: true }));
+                return { selected: chosen.map(option => ({ value: option.value, label: normalize(option.label) })) };
+            }, options, by);
+
+            if (outcome.error) {
+                throw new Error(`${outcome.error} (${selector})`);
+            }
+            const waited = await waitAfterAction(page, waitFor, 0);
+
+            return {
+                content: [{ type: 'text', text: `Selected in ${selector}: ${JSON.stringify(outcome.selected)}${waited}` }]
+            };
+        } catch (error) {
+            throw error;
+        }
+    }
+);
+
+/* setChecked - отметить/снять чекбокс или радио */
+server.registerTool(
+    'setChecked',
+    {
+        title: 'Check or Uncheck',
+        description: 'Set a checkbox, radio button or ARIA checkbox/switch (role="checkbox"/"switch" with aria-checked) to the wanted state by clicking it (a tap on touch device presets) only when the state differs. A visually hidden native input is toggled through its <label>. Radios cannot be unchecked directly - check another radio of the group instead.',
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            selector: z.string().describe('CSS selector for the checkbox, radio or ARIA control'),
+            checked: z.boolean().optional().describe('Wanted state (default: true)'),
+            frame: frameSchema,
+            waitFor: waitConditionSchema.optional().describe('Conditions to wait for after the action (see waitFor tool)')
+        }
+    },
+    async ({ url, pageId, selector, checked = true, frame, waitFor }) => {
+        const page = await getPageForOperation(url, pageId);
+        try {
+            const element = await resolveElement(page, selector, frame);
+            const readState = () => element.evaluate((el) => {
+                if (el.tagName === 'INPUT' && (el.type === 'checkbox' || el.type === 'radio')) {
+                    return { kind: el.type, checked: el.checked, disabled: el.disabled };
+                }
+                const role = el.getAttribute('role');
+                if (['checkbox', 'switch', 'radio', 'menuitemcheckbox', 'menuitemradio'].includes(role)) {
+                    return { kind: role, checked: el.getAttribute('aria-checked') === 'true', disabled: el.getAttribute('aria-disabled') === 'true' };
+                }
+                return { kind: null };
+            });
+
+            const before = await readState();
+            if (!before.kind) {
+                throw new Error(`${selector} is not a checkbox, radio or ARIA checkbox/switch`);
+            }
+            if (before.checked === checked) {
+                return {
+                    content: [{ type: 'text', text: `${selector} is already ${checked ? 'checked' : 'unchecked'}` }]
+                };
+            }
+            if (before.disabled) {
+                throw new Error(`${selector} is disabled`);
+            }
+            if (!checked && before.kind.endsWith('radio')) {
+                throw new Error(`Radio ${selector} cannot be unchecked directly; check another option of the group`);
+            }
+
+            // Скрытый нативный input (кастомные чекбоксы) переключаем кликом по label
+            let target = element;
+            const box = await element.boundingBox();
+            if (!box || box.width === 0 || box.height === 0) {
+                const label = await element.evaluateHandle(el => el.labels?.[0] || el.closest('label'));
+                if (!label.asElement()) {
+                    throw new Error(`${selector} is not visible and has no <label> to click`);
+                }
+                target = label.asElement();
+            }
+            await activateElement(page, target);
+
+            const after = await readState();
+            if (after.checked !== checked) {
+                throw new Error(`Clicking ${selector} did not change its state (still ${after.checked ? 'checked' : 'unchecked'}); it may be covered by another element or controlled by a script`);
+            }
+            const waited = await waitAfterAction(page, waitFor, 0);
+
+            return {
+                content: [{ type: 'text', text: `${checked ? 'Checked' : 'Unchecked'} ${selector}${waited}` }]
+            };
+        } catch (error) {
+            throw error;
+        }
+    }
+);
+
+/* pressKey - нажатие клавиши или сочетания */
+server.registerTool(
+    'pressKey',
+    {
+        title: 'Press Key',
+        description: 'Press a key or key chord with real keyboard events: "Enter", "Escape", "Tab", "ArrowDown", "Control+A", "Shift+Tab", "Control+Shift+K" (Ctrl, Cmd and Option are accepted as aliases of Control, Meta and Alt; the plus key itself is "+", "Control++" or "Control+Plus"). Optionally focuses an element first and repeats the press.',
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            key: z.string().describe('Key or chord, e.g. "Enter", "Control+A"'),
+            selector: z.string().optional().describe('Element to focus before pressing (default: the currently focused element)'),
+            repeat: z.number().min(1).max(100).optional().describe('How many times to press (default: 1)'),
+            frame: frameSchema,
+            waitFor: waitConditionSchema.optional().describe('Conditions to wait for after the action (see waitFor tool)')
+        }
+    },
+    async ({ url, pageId, key, selector, repeat = 1, frame, waitFor }) => {
+        const page = await getPageForOperation(url, pageId);
+        try {
+            if (selector) {
+                const element = await resolveElement(page, selector, frame);
+                await element.focus();
+            }
+            for (let i = 0; i < repeat; i++) {
+                await pressKeyChord(page, key);
+            }
+            const waited = await waitAfterAction(page, waitFor, 0);
+            const focused = await page.evaluate(() => {
+                const el = document.activeElement;
+                if (!el || el === document.body) return 'body';
+                return el.tagName.toLowerCase() + (el.id ? `#${el.id}` : '');
+            });
+
+            return {
+                content: [{ type: 'text', text: `Pressed ${key}${repeat > 1 ? ` x${repeat}` : ''}\nFocused element: ${focused}${waited}` }]
+            };
+        } catch (error) {
+            throw error;
+        }
+    }
+);
+
+// Страница журнала после курсора, от старых записей к новым. Курсор - id последней выданной записи
+// (id растут монотонно, в отличие от меток времени, которые совпадают в пределах миллисекунды)
+function pageAfterCursor(matched, cursor, limit, lastId) {
+    const pending = cursor === undefined ? matched : matched.filter(entry => entry.id > cursor);
+    const entries = pending.slice(0, limit);
+    return {
+        entries,
+        hasMore: pending.length > entries.length,
+        cursor: entries.length > 0 ? entries[entries.length - 1].id : Math.max(cursor ?? 0, lastId)
+    };
+}
+
+/* getConsoleLogs - вывод консоли и необработанные исключения страницы */
+server.registerTool(
+    'getConsoleLogs',
+    {
+        title: 'Get Console Logs',
+        description: `Return console.* output and uncaught exceptions (pageerror, with stack traces) captured for a page since it was opened by this server. No more executeScript hacks to read errors.
+
+Filter by level, page through entries oldest first with "cursor" (pass the returned cursor back until hasMore is false), and clear the read entries if needed. The buffer keeps the last ${MAX_CONSOLE_ENTRIES} entries per page.`,
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            levels: z.array(z.enum(['log', 'debug', 'info', 'warn', 'error', 'assert', 'trace', 'dir', 'table', 'pageerror']))
+                .optional().describe('Only return these levels, e.g. ["error", "pageerror"] (default: all)'),
+            cursor: z.number().int().min(0).optional().describe('Only entries after this cursor (the "cursor" returned by the previous call)'),
+            since: z.union([z.number(), z.string()]).optional().describe('Only entries logged at or after this time: epoch milliseconds or ISO date'),
+            search: z.string().optional().describe('Only entries whose text contains this substring (case-insensitive)'),
+            limit: z.number().int().min(1).max(1000).optional().describe('Maximum number of entries, oldest first (default: 200)'),
+            clear: z.boolean().optional().describe('Remove entries up to the returned cursor from the buffer after reading (default: false)')
+        }
+    },
+    async ({ url, pageId, levels, cursor, since, search, limit = 200, clear = false }) => {
+        const page = await getPageForOperation(url, pageId);
+        attachConsoleCapture(page);
+        const buffer = page._consoleLogs;
+
+        let sinceMs = null;
+        if (since !== undefined) {
+            sinceMs = typeof since === 'number' ? since : Date.parse(since);
+            if (Number.isNaN(sinceMs)) {
+                throw new Error(`Invalid "since" value: ${since}. Use epoch milliseconds or an ISO date.`);
+            }
+        }
+
+        const needle = search ? search.toLowerCase() : null;
+        const matched = buffer.entries.filter(entry =>
+            (sinceMs === null || entry.timestamp >= sinceMs) &&
+            (!levels || levels.includes(entry.level)) &&
+            (!needle || entry.text.toLowerCase().includes(needle))
+        );
+        const pageOfEntries = pageAfterCursor(matched, cursor, limit, buffer.nextId - 1);
+        const entries = pageOfEntries.entries;
+
+        const counts = {};
+        for (const entry of buffer.entries) {
+            counts[entry.level] = (counts[entry.level] || 0) + 1;
+        }
+
+        const result = {
+            pageId: page._pageId || null,
+            total: matched.length,
+            returned: entries.length,
+            hasMore: pageOfEntries.hasMore,
+            cursor: pageOfEntries.cursor,
+            countsByLevel: counts,
+            droppedOldEntries: buffer.dropped,
+            entries: entries.map(entry => ({ ...entry, time: new Date(entry.timestamp).toISOString() }))
+        };
+
+        if (clear) {
+            buffer.entries = buffer.entries.filter(entry => entry.id > pageOfEntries.cursor);
+            buffer.dropped = 0;
+        }
+
+        return {
+            content: [{ type: 'text', name: 'consoleLogs', text: JSON.stringify(result, null, 2) }]
+        };
+    }
+);
+
+/* -------------------- Сеть: журнал запросов и HAR -------------------- */
+const NETWORK_RESOURCE_TYPES = ['Document', 'Stylesheet', 'Image', 'Media', 'Font', 'Script', 'TextTrack', 'XHR', 'Fetch', 'Prefetch', 'EventSource', 'WebSocket', 'Manifest', 'SignedExchange', 'Ping', 'CSPViolationReport', 'Preflight', 'Other'];
+
+// Фильтр URL: подстрока (без учёта регистра) или /regex/flags; без шаблона подходит любой URL
+function createUrlMatcher(urlPattern) {
+    if (!urlPattern) return () => true;
+    const regexMatch = urlPattern.match(/^\/(.+)\/([a-z]*)$/);
+    if (regexMatch) {
+        // без g/y: иначе test() помнит lastIndex и пропускает каждую вторую запись
+        const regex = new RegExp(regexMatch[1], regexMatch[2].replace(/[gy]/g, ''));
+        return (u) => regex.test(u);
+    }
+    const needle = urlPattern.toLowerCase();
+    return (u) => u.toLowerCase().includes(needle);
+}
+
+// Отфильтровать записи журнала: urlPattern - подстрока или /regex/flags, status - 404, "4xx", "400-499", "failed", "pending"
+function filterNetworkEntries(entries, { urlPattern, status, resourceTypes, since } = {}) {
+    const urlMatches = createUrlMatcher(urlPattern);
+
+    let statusMatches = () => true;
+    if (status !== undefined) {
+        const value = String(status).trim().toLowerCase();
+        let range;
+        if (value === 'failed') {
+            statusMatches = (e) => e.failed;
+        } else if (value === 'pending') {
+            statusMatches = (e) => !e.finished;
+        } else if (/^\d{3}$/.test(value)) {
+            statusMatches = (e) => e.status === Number(value);
+        } else if (/^\dxx$/.test(value)) {
+            statusMatches = (e) => e.status !== null && Math.floor(e.status / 100) === Number(value[0]);
+        } else if ((range = value.match(/^(\d{3})\s*-\s*(\d{3})$/))) {
+            statusMatches = (e) => e.status !== null && e.status >= Number(range[1]) && e.status <= Number(range[2]);
+        } else {
+            throw new Error(`Invalid status filter: ${status}. Use 404, "4xx", "400-499", "failed" or "pending".`);
+        }
+    }
+
+    let sinceMs = null;
+    if (since !== undefined) {
+        sinceMs = typeof since === 'number' ? since : Date.parse(since);
+        if (Number.isNaN(sinceMs)) {
+            throw new Error(`Invalid "since" value: ${since}. Use epoch milliseconds or an ISO date.`);
+        }
+    }
+
+    return entries.filter(entry =>
+        urlMatches(entry.url) &&
+        statusMatches(entry) &&
+        (!resourceTypes || resourceTypes.includes(entry.resourceType)) &&
+        (sinceMs === null || entry.wallTime >= sinceMs)
+    );
+}
+
+// Фазы запроса в мс (как в HAR timings): -1 - фаза не применима
+function computeNetworkTimings(entry) {
+    const total = entry.durationMs ?? 0;
+    const t = entry.timing;
+    if (!t) {
+        return { blocked: 0, dns: -1, connect: -1, ssl: -1, send: 0, wait: Math.max(0, total), receive: 0 };
+    }
+
+    const round = (value) => Math.round(value * 100) / 100;
+    const phase = (start, end) => (start >= 0 && end >= 0 ? round(end - start) : -1);
+    const firstStart = [t.dnsStart, t.connectStart, t.sendStart].find(v => v >= 0) ?? 0;
+    const sendEnd = t.sendEnd >= 0 ? t.sendEnd : firstStart;
+    const headersEnd = t.receiveHeadersEnd >= 0 ? t.receiveHeadersEnd : sendEnd;
+    // timing отсчитывается от requestTime, а не от requestWillBeSent - добавляем разницу в blocked
+    const queued = Math.max(0, (t.requestTime - entry.startTimestamp) * 1000);
+
+    return {
+        blocked: round(queued + firstStart),
+        dns: phase(t.dnsStart, t.dnsEnd),
+        connect: phase(t.connectStart, t.connectEnd),
+        ssl: phase(t.sslStart, t.sslEnd),
+        send: round(Math.max(0, sendEnd - (t.sendStart >= 0 ? t.sendStart : sendEnd))),
+        wait: round(Math.max(0, headersEnd - sendEnd)),
+        receive: round(Math.max(0, total - queued - headersEnd))
+    };
+}
+
+// Краткое представление записи для ответа инструмента
+function summarizeNetworkEntry(entry, includeHeaders) {
+    const summary = {
+        requestId: entry.requestId,
+        time: new Date(entry.wallTime).toISOString(),
+        method: entry.method,
+        url: entry.url,
+        resourceType: entry.resourceType,
+        status: entry.status,
+        statusText: entry.statusText,
+        mimeType: entry.mimeType || null,
+        durationMs: entry.durationMs ?? null,
+        transferSize: entry.transferSize,
+        resourceSize: entry.resourceSize,
+        fromCache: !!entry.fromCache,
+        initiator: entry.initiator,
+        timings: entry.finished ? computeNetworkTimings(entry) : null
+    };
+    if (entry.redirectURL) summary.redirectURL = entry.redirectURL;
+    if (!entry.finished) summary.pending = true;
+    if (entry.failed) {
+        summary.failed = true;
+        summary.errorText = entry.errorText;
+        if (entry.blockedReason) summary.blockedReason = entry.blockedReason;
+    }
+    if (includeHeaders) {
+        summary.requestHeaders = entry.requestHeaders;
+        summary.responseHeaders = entry.responseHeaders;
+        if (entry.postData) summary.postData = entry.postData;
+    }
+    return summary;
+}
+
+const toHarHeaders = (headers) => Object.entries(headers || {}).flatMap(([name, value]) =>
+    String(value).split('\n').map(v => ({ name, value: v }))
+);
+
+// HAR 1.2 из записей журнала; contents: requestId -> { body, base64Encoded }
+function buildHar(entries, { pageUrl, contents = new Map() } = {}) {
+    const pages = [];
+    const harEntries = [];
+    let currentPageRef = null;
+
+    for (const entry of entries) {
+        if (entry.isNavigation || currentPageRef === null) {
+            currentPageRef = `page_${pages.length + 1}`;
+            pages.push({
+                startedDateTime: new Date(entry.wallTime).toISOString(),
+                id: currentPageRef,
+                title: entry.isNavigation ? entry.url : (pageUrl || entry.documentURL || entry.url),
+                pageTimings: { onContentLoad: -1, onLoad: -1 }
+            });
+        }
+
+        const timings = computeNetworkTimings(entry);
+        const httpVersion = entry.protocol ? entry.protocol.toUpperCase().replace(/^H2$/, 'HTTP/2').replace(/^H3$/, 'HTTP/3') : 'HTTP/1.1';
+        let queryString = [];
+        try {
+            queryString = Array.from(new URL(entry.url).searchParams.entries()).map(([name, value]) => ({ name, value }));
+        } catch (e) {
+            // data:, blob: и прочие URL без query
+        }
+
+        const requestHeaders = entry.requestHeaders || {};
+        const contentTypeKey = Object.keys(requestHeaders).find(k => k.toLowerCase() === 'content-type');
+        const request = {
+            method: entry.method,
+            url: entry.url,
+            httpVersion,
+            cookies: [],
+            headers: toHarHeaders(requestHeaders),
+            queryString,
+            headersSize: -1,
+            bodySize: entry.postData ? Buffer.byteLength(entry.postData) : 0
+        };
+        if (entry.postData) {
+            request.postData = { mimeType: contentTypeKey ? requestHeaders[contentTypeKey] : '', text: entry.postData };
+        }
+
+        const content = { size: entry.resourceSize, mimeType: entry.mimeType || 'x-unknown' };
+        const body = contents.get(entry.requestId);
+        if (body) {
+            content.text = body.body;
+            if (body.base64Encoded) content.encoding = 'base64';
+        }
+
+        const harEntry = {
+            pageref: currentPageRef,
+            startedDateTime: new Date(entry.wallTime).toISOString(),
+            time: Math.round(Object.entries(timings)
+                .filter(([name, value]) => name !== 'ssl' && value > 0)
+                .reduce((sum, [, value]) => sum + value, 0) * 100) / 100,
+            request,
+            response: {
+                status: entry.failed && entry.status === null ? 0 : (entry.status ?? 0),
+                statusText: entry.failed && entry.status === null ? entry.errorText : (entry.statusText || ''),
+                httpVersion,
+                cookies: [],
+                headers: toHarHeaders(entry.responseHeaders),
+                content,
+                redirectURL: entry.redirectURL || '',
+                headersSize: -1,
+                bodySize: entry.transferSize || -1
+            },
+            cache: {},
+            timings,
+            _resourceType: entry.resourceType.toLowerCase(),
+            _initiator: entry.initiator
+        };
+        if (entry.remoteIPAddress) harEntry.serverIPAddress = entry.remoteIPAddress.replace(/^\[|\]$/g, '');
+        if (entry.failed) harEntry._error = entry.errorText;
+        harEntries.push(harEntry);
+    }
+
+    return {
+        log: {
+            version: '1.2',
+            creator: { name: 'devchrome-mcp', version: '1.9.7' },
+            pages,
+            entries: harEntries
+        }
+    };
+}
+
+const networkFilterSchema = {
+    urlPattern: z.string().optional().describe('Only requests whose URL contains this substring, or matches /regex/flags'),
+    status: z.union([z.number(), z.string()]).optional().describe('Status filter: 404, "4xx", "400-499", "failed" (network errors) or "pending"'),
+    resourceTypes: z.array(z.enum(NETWORK_RESOURCE_TYPES)).optional().describe('Only these resource types, e.g. ["XHR", "Fetch"] (default: all)')
+};
+
+/* getNetworkRequests - журнал сетевых запросов страницы */
+server.registerTool(
+    'getNetworkRequests',
+    {
+        title: 'Get Network Requests',
+        description: `Return network requests recorded for a page since it was opened by this server: method, URL, status, resource type, initiator, timing breakdown (blocked/dns/connect/ssl/send/wait/receive), transfer and resource size.
+
+Filter by URL, status and resource type; page through requests oldest first with "cursor" (pass the returned cursor back until hasMore is false). Headers are omitted unless includeHeaders is set. Up to ${MAX_NETWORK_ENTRIES} requests are kept per page. Use exportHAR to save the log as a HAR file.`,
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            ...networkFilterSchema,
+            cursor: z.number().int().min(0).optional().describe('Only requests after this cursor (the "cursor" returned by the previous call)'),
+            since: z.union([z.number(), z.string()]).optional().describe('Only requests started at or after this time: epoch milliseconds or ISO date'),
+            includeHeaders: z.boolean().optional().describe('Include request/response headers and POST data (default: false)'),
+            limit: z.number().int().min(1).max(MAX_NETWORK_ENTRIES).optional().describe('Maximum number of requests, oldest first (default: 200)'),
+            clear: z.boolean().optional().describe('Remove requests up to the returned cursor from the log after reading (default: false)')
+        }
+    },
+    async ({ url, pageId, urlPattern, status, resourceTypes, cursor, since, includeHeaders = false, limit = 200, clear = false }) => {
+        const page = await getPageForOperation(url, pageId);
+        const log = page._networkLog;
+        if (!log) {
+            throw new Error('Network recording is not active for this page. Open it with navigateTo or useActiveTab first.');
+        }
+
+        const matched = filterNetworkEntries(log.entries, { urlPattern, status, resourceTypes, since });
+        const pageOfEntries = pageAfterCursor(matched, cursor, limit, log.nextId - 1);
+        const entries = pageOfEntries.entries;
+
+        const byType = {};
+        let failed = 0;
+        let transferSize = 0;
+        for (const entry of matched) {
+            byType[entry.resourceType] = (byType[entry.resourceType] || 0) + 1;
+            if (entry.failed) failed++;
+            transferSize += entry.transferSize || 0;
+        }
+
+        const result = {
+            pageId: page._pageId || null,
+            total: matched.length,
+            returned: entries.length,
+            hasMore: pageOfEntries.hasMore,
+            cursor: pageOfEntries.cursor,
+            summary: { byResourceType: byType, failed, transferSize },
+            droppedOldEntries: log.dropped,
+            requests: entries.map(entry => summarizeNetworkEntry(entry, includeHeaders))
+        };
+
+        if (clear) {
+            for (const entry of log.entries) {
+                if (entry.id <= pageOfEntries.cursor) log.byRequestId.delete(entry.requestId);
+            }
+            log.entries = log.entries.filter(entry => entry.id > pageOfEntries.cursor);
+            log.dropped = 0;
+        }
+
+        return {
+            content: [{ type: 'text', name: 'networkRequests', text: JSON.stringify(result, null, 2) }]
+        };
+    }
+);
+
+/* exportHAR - сохранить журнал сети в HAR 1.2 */
+server.registerTool(
+    'exportHAR',
+    {
+        title: 'Export HAR',
+        description: `Write the network requests recorded for a page to a HAR 1.2 file that can be opened in Chrome DevTools, Charles or any HAR viewer. Each main-frame navigation becomes a HAR page.
+
+Relative file paths are resolved against ARTIFACTS_DIR (default: ./.devchrome/artifacts). Headers may contain cookies and auth tokens - treat the file as sensitive.`,
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            file: z.string().optional().describe('Output file path, ".har" is appended if missing (default: network-<pageId>-<timestamp>.har)'),
+            ...networkFilterSchema,
+            includeContent: z.boolean().optional().describe('Embed response bodies via Network.getResponseBody (default: false; bodies evicted by Chrome are skipped)')
+        }
+    },
+    async ({ url, pageId, file, urlPattern, status, resourceTypes, includeContent = false }) => {
+        const page = await getPageForOperation(url, pageId);
+        const log = page._networkLog;
+        if (!log) {
+            throw new Error('Network recording is not active for this page. Open it with navigateTo or useActiveTab first.');
+        }
+
+        const entries = filterNetworkEntries(log.entries, { urlPattern, status, resourceTypes });
+
+        const contents = new Map();
+        let skippedContent = 0;
+        if (includeContent) {
+            const client = page._cdpClient || await page.target().createCDPSession();
+            for (const entry of entries) {
+                if (!entry.finished || entry.failed || entry.redirectURL) continue;
+                try {
+                    contents.set(entry.requestId, await client.send('Network.getResponseBody', { requestId: entry.requestId }));
+                } catch (e) {
+                    skippedContent++;
+                }
+            }
+        }
+
+        const har = buildHar(entries, { pageUrl: page.url(), contents });
+        const outputPath = resolveArtifactPath(
+            file || `network-${page._pageId || 'page'}-${new Date().toISOString().replace(/[:.]/g, '-')}`,
+            '.har'
+        );
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, JSON.stringify(har, null, 2));
+
+        const result = {
+            file: outputPath,
+            pageId: page._pageId || null,
+            pages: har.log.pages.length,
+            entries: har.log.entries.length,
+            pendingRequests: entries.filter(e => !e.finished).length,
+            bytes: fs.statSync(outputPath).size
+        };
+        if (includeContent) {
+            result.responseBodies = contents.size;
+            result.skippedBodies = skippedContent;
+        }
+
+        return {
+            content: [{ type: 'text', name: 'harExport', text: JSON.stringify(result, null, 2) }]
+        };
+    }
+);
+
+/* addInterceptRule - подмена/задержка/блокировка запросов */
+server.registerTool(
+    'addInterceptRule',
+    {
+        title: 'Add Intercept Rule',
+        description: `Add a request interception rule for a page or a whole browser context, to test loading, empty and error states without touching the backend.
+
+Requests are matched by URL (glob like "*/api/users*" or "/regex/flags") and optionally by HTTP method. Actions:
+- fulfill: respond with a fixture (body or bodyFile, status, headers)
+- delay: hold the request for delayMs, then send it as is
+- abort: fail the request with a network error (errorReason)
+- rewrite: change URL (regex groups are available as $1, $2...), method, headers or POST body before sending
+
+delayMs also works with the other actions. Rules are evaluated in the order they were added, the first match wins (page rules before context rules). Rules take effect on the next navigateTo of the affected pages.`,
+        inputSchema: {
+            pageId: z.string().optional().describe('Apply to this page (default: last opened page if contextId is not given)'),
+            contextId: z.string().optional().describe('Apply to all pages of this browser context: ID from createContext or "default"'),
+            urlPattern: z.string().describe('URL glob ("*" any characters, "?" one character) or /regex/flags'),
+            method: z.string().optional().describe('Only match this HTTP method, e.g. "POST" (default: any)'),
+            action: z.enum(['fulfill', 'delay', 'abort', 'rewrite']).describe('What to do with matching requests'),
+            status: z.number().int().min(100).max(599).optional().describe('fulfill: response status (default: 200)'),
+            headers: z.record(z.string()).optional().describe('fulfill: response headers'),
+            body: z.string().optional().describe('fulfill: response body text (use JSON.stringify for JSON fixtures)'),
+            bodyFile: z.string().optional().describe('fulfill: path to a fixture file used as the response body (Content-Type is guessed from the extension)'),
+            delayMs: z.number().int().min(0).max(120000).optional().describe('Delay before the action in ms (required for "delay")'),
+            errorReason: z.enum(['Failed', 'Aborted', 'TimedOut', 'AccessDenied', 'ConnectionClosed', 'ConnectionReset', 'ConnectionRefused', 'ConnectionAborted', 'ConnectionFailed', 'NameNotResolved', 'InternetDisconnected', 'AddressUnreachable', 'BlockedByClient', 'BlockedByResponse'])
+                .optional().describe('abort: network error to report (default: Failed)'),
+            rewriteUrl: z.string().optional().describe('rewrite: new full URL; $1, $2... are replaced with groups of a regex urlPattern'),
+            rewriteMethod: z.string().optional().describe('rewrite: new HTTP method'),
+            requestHeaders: z.record(z.string().nullable()).optional().describe('rewrite: request headers to set (null removes a header)'),
+            rewritePostData: z.string().optional().describe('rewrite: new request body')
+        }
+    },
+    async ({ pageId, contextId, urlPattern, method, action, status, headers, body, bodyFile, delayMs, errorReason, rewriteUrl, rewriteMethod, requestHeaders, rewritePostData }) => {
+        if (pageId && contextId) {
+            throw new Error('Pass either pageId or contextId, not both.');
+        }
+        if (contextId && contextId !== 'default') {
+            getContextById(contextId);
+        }
+        const targetPageId = contextId ? null : (pageId ? getPageById(pageId) : await getLastOpenPage())._pageId;
+        if (!contextId && !targetPageId) {
+            throw new Error('No page to attach the rule to. Open one with navigateTo or pass contextId.');
+        }
+
+        let regex;
+        try {
+            regex = compileUrlPattern(urlPattern);
+        } catch (error) {
+            throw new Error(`Invalid urlPattern "${urlPattern}": ${error.message}`);
+        }
+
+        if (action === 'delay' && !delayMs) {
+            throw new Error('Action "delay" requires delayMs.');
+        }
+        if (action === 'rewrite' && !rewriteUrl && !rewriteMethod && !requestHeaders && rewritePostData === undefined) {
+            throw new Error('Action "rewrite" requires at least one of rewriteUrl, rewriteMethod, requestHeaders, rewritePostData.');
+        }
+        if (action === 'fulfill' && body !== undefined && bodyFile) {
+            throw new Error('Pass either body or bodyFile, not both.');
+        }
+
+        const rule = {
+            ruleId: `rule-${++interceptRuleIdCounter}`,
+            ...(contextId ? { contextId } : { pageId: targetPageId }),
+            urlPattern,
+            regex,
+            method: method ? method.toUpperCase() : null,
+            action,
+            hits: 0,
+            createdAt: new Date().toISOString()
+        };
+        if (delayMs) rule.delayMs = delayMs;
+
+        if (action === 'fulfill') {
+            rule.status = status || 200;
+            rule.headers = headers || {};
+            if (bodyFile) {
+                const fixturePath = path.resolve(bodyFile);
+                if (!fs.existsSync(fixturePath)) {
+                    throw new Error(`Fixture file not found: ${fixturePath}`);
+                }
+                rule.body = fs.readFileSync(fixturePath);
+                rule.bodyFile = fixturePath;
+                rule.contentType = FIXTURE_MIME_TYPES[path.extname(fixturePath).toLowerCase()] || 'application/octet-stream';
+            } else {
+                rule.body = Buffer.from(body || '');
+                rule.contentType = 'text/plain; charset=utf-8';
+                try {
+                    if (body) {
+                        JSON.parse(body);
+                        rule.contentType = 'application/json';
+                    }
+                } catch (e) {
+                    // не JSON - оставляем text/plain
+                }
+            }
+        } else if (action === 'abort') {
+            rule.errorReason = errorReason || 'Failed';
+        } else if (action === 'rewrite') {
+            Object.assign(rule,
+                rewriteUrl ? { rewriteUrl } : {},
+                rewriteMethod ? { rewriteMethod: rewriteMethod.toUpperCase() } : {},
+                requestHeaders ? { requestHeaders } : {},
+                rewritePostData !== undefined ? { rewritePostData } : {}
+            );
+        }
+
+        interceptRules.push(rule);
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Added interception rule ${rule.ruleId} for ${contextId ? `context ${contextId}` : `page ${targetPageId}`}. It takes effect on the next navigateTo.\n\n${JSON.stringify(describeInterceptRule(rule), null, 2)}`
+            }]
+        };
+    }
+);
+
+/* listInterceptRules - список правил перехвата */
+server.registerTool(
+    'listInterceptRules',
+    {
+        title: 'List Intercept Rules',
+        description: 'List request interception rules with their scope, match, action and hit count. For each page, shows which rules are active since its last navigateTo.',
+        inputSchema: {
+            pageId: z.string().optional().describe('Only rules that apply to this page (its own and its context rules)'),
+            contextId: z.string().optional().describe('Only rules of this browser context ("default" for the default context)')
+        }
+    },
+    async ({ pageId, contextId }) => {
+        let rules = interceptRules;
+        if (pageId) {
+            rules = getInterceptRulesForPage(getPageById(pageId));
+        } else if (contextId) {
+            rules = rules.filter(rule => rule.contextId === contextId);
+        }
+
+        const pages = getRegisteredPages()
+            .filter(({ page }) => (page._interceptRules || []).length > 0)
+            .map(({ pageId: id, page }) => ({ pageId: id, activeRules: page._interceptRules.map(rule => rule.ruleId) }));
+
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify({ total: rules.length, rules: rules.map(describeInterceptRule), pages }, null, 2)
+            }]
+        };
+    }
+);
+
+/* clearInterceptRules - удалить правила перехвата */
+server.registerTool(
+    'clearInterceptRules',
+    {
+        title: 'Clear Intercept Rules',
+        description: 'Remove request interception rules: one rule by ruleId, all rules of a page or context, or all rules. Pages keep the rules they had until their next navigateTo.',
+        inputSchema: {
+            ruleId: z.string().optional().describe('Remove only this rule'),
+            pageId: z.string().optional().describe('Remove rules attached to this page'),
+            contextId: z.string().optional().describe('Remove rules attached to this browser context ("default" for the default context)')
+        }
+    },
+    async ({ ruleId, pageId, contextId }) => {
+        if (ruleId && !interceptRules.some(rule => rule.ruleId === ruleId)) {
+            const known = interceptRules.map(rule => rule.ruleId);
+            throw new Error(`Interception rule not found: ${ruleId}. Known rules: ${known.length > 0 ? known.join(', ') : 'none'}`);
+        }
+
+        const removed = removeInterceptRules(rule =>
+            (!ruleId || rule.ruleId === ruleId) &&
+            (!pageId || rule.pageId === pageId) &&
+            (!contextId || rule.contextId === contextId)
+        );
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Removed ${removed} interception rule(s), ${interceptRules.length} left. Changes take effect on the next navigateTo.`
+            }]
+        };
+    }
+);
+
+/* -------------------- Троттлинг сети и CPU -------------------- */
+// Пресеты совпадают с DevTools (PredefinedNetworkConditions из puppeteer); throughput в байтах/с
+const NETWORK_PRESETS = {
+    'slow-3g': PredefinedNetworkConditions['Slow 3G'],
+    'fast-3g': PredefinedNetworkConditions['Fast 3G'],
+    '4g': PredefinedNetworkConditions['Fast 4G']
+};
+
+const toKbps = (bytesPerSecond) => (bytesPerSecond > 0 ? Math.round(bytesPerSecond * 8 / 1000) : null);
+
+// Активный профиль троттлинга страницы (для вывода в getPerformanceMetrics и т.п.)
+function describeThrottling(page) {
+    const throttling = page._throttling;
+    if (!throttling) {
+        return { network: 'none', cpuSlowdown: 1 };
+    }
+    return { network: throttling.network || 'none', cpuSlowdown: throttling.cpuSlowdown };
+}
+
+/* setNetworkConditions - троттлинг сети и CPU */
+server.registerTool(
+    'setNetworkConditions',
+    {
+        title: 'Set Network Conditions',
+        description: `Throttle the network and/or CPU of a page to reproduce slow-device behaviour: loading states, timeouts, layout shifts on slow connections.
+
+Network presets (same values as Chrome DevTools): slow-3g (2000ms RTT, ~400 kbps), fast-3g (~563ms RTT, ~1.4 Mbps down), 4g (165ms RTT, ~8 Mbps down), offline, none (disable). Use "custom" with latencyMs/downloadKbps/uploadKbps, or pass them together with a preset to override its values.
+
+cpuSlowdown uses Emulation.setCPUThrottlingRate: 4 means 4x slower than this machine (1 disables). Settings stay active for the page across navigations; the active profile is reported by getPerformanceMetrics.`,
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            preset: z.enum(['none', 'slow-3g', 'fast-3g', '4g', 'offline', 'custom']).optional().describe('Network profile (omit to keep the current network settings)'),
+            latencyMs: z.number().min(0).optional().describe('Additional round-trip latency in ms'),
+            downloadKbps: z.number().min(0).optional().describe('Download throughput in kilobits per second (0 = unlimited)'),
+            uploadKbps: z.number().min(0).optional().describe('Upload throughput in kilobits per second (0 = unlimited)'),
+            cpuSlowdown: z.number().min(1).max(20).optional().describe('CPU slowdown factor, e.g. 4 for a mid-range phone (1 = no throttling; omit to keep current)')
+        }
+    },
+    async ({ url, pageId, preset, latencyMs, downloadKbps, uploadKbps, cpuSlowdown }) => {
+        const page = await getPageForOperation(url, pageId);
+        const client = page._cdpClient || await page.target().createCDPSession();
+        const throttling = page._throttling || { network: null, cpuSlowdown: 1 };
+
+        const hasCustomValues = latencyMs !== undefined || downloadKbps !== undefined || uploadKbps !== undefined;
+        if (preset === undefined && hasCustomValues) {
+            throw new Error('latencyMs/downloadKbps/uploadKbps require a preset ("custom" or one to override).');
+        }
+        if (preset === undefined && cpuSlowdown === undefined) {
+            throw new Error('Nothing to change: pass preset and/or cpuSlowdown.');
+        }
+
+        if (preset === 'none') {
+            await page.setOfflineMode(false);
+            await page.emulateNetworkConditions(null);
+            throttling.network = null;
+        } else if (preset === 'offline') {
+            await page.emulateNetworkConditions(null);
+            await page.setOfflineMode(true);
+            throttling.network = { preset: 'offline', offline: true };
+        } else if (preset !== undefined) {
+            if (preset === 'custom' && !hasCustomValues) {
+                throw new Error('Preset "custom" requires latencyMs, downloadKbps and/or uploadKbps.');
+            }
+            const base = NETWORK_PRESETS[preset] || { download: -1, upload: -1, latency: 0 };
+            const conditions = {
+                latency: latencyMs ?? base.latency,
+                download: downloadKbps !== undefined ? (downloadKbps > 0 ? downloadKbps * 1000 / 8 : -1) : base.download,
+                upload: uploadKbps !== undefined ? (uploadKbps > 0 ? uploadKbps * 1000 / 8 : -1) : base.upload
+            };
+            await page.setOfflineMode(false);
+            await page.emulateNetworkConditions(conditions);
+            throttling.network = {
+                preset: hasCustomValues && preset !== 'custom' ? `${preset} (modified)` : preset,
+                offline: false,
+                latencyMs: Math.round(conditions.latency * 10) / 10,
+                downloadKbps: toKbps(conditions.download),
+                uploadKbps: toKbps(conditions.upload)
+            };
+        }
+
+        if (cpuSlowdown !== undefined) {
+            await client.send('Emulation.setCPUThrottlingRate', { rate: cpuSlowdown });
+            throttling.cpuSlowdown = cpuSlowdown;
+        }
+
+        page._throttling = throttling;
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Throttling updated for ${page._pageId || page.url()}:\n${JSON.stringify(describeThrottling(page), null, 2)}`
+            }]
+        };
+    }
+);
+
+/* -------------------- Эмуляция медиа-фич и нарушений зрения -------------------- */
+const VISION_DEFICIENCIES = ['none', 'blurredVision', 'reducedContrast', 'achromatopsia', 'deuteranopia', 'protanopia', 'tritanopia'];
+
+// Параметры эмуляции; 'default' снимает переопределение, пропущенное поле оставляет текущее значение
+const emulationSchema = {
+    colorScheme: z.enum(['light', 'dark', 'default']).optional().describe('prefers-color-scheme'),
+    reducedMotion: z.enum(['reduce', 'no-preference', 'default']).optional().describe('prefers-reduced-motion'),
+    forcedColors: z.enum(['active', 'none', 'default']).optional().describe('forced-colors (Windows high contrast mode)'),
+    media: z.enum(['screen', 'print', 'default']).optional().describe('CSS media type (print applies @media print styles)'),
+    autoDarkMode: z.boolean().optional().describe('Chrome forced dark mode (auto-darkens pages without dark styles)'),
+    visionDeficiency: z.enum(VISION_DEFICIENCIES).optional().describe('Simulated vision deficiency ("none" to disable)')
+};
+
+// Применить изменения эмуляции к странице; состояние хранится в page._emulation
+async function applyEmulation(page, changes) {
+    const client = page._cdpClient || await page.target().createCDPSession();
+    const emulation = { ...(page._emulation || {}) };
+    for (const [key, value] of Object.entries(changes)) {
+        if (value === undefined) continue;
+        if (value === 'default' || (key === 'visionDeficiency' && value === 'none') || (key === 'autoDarkMode' && value === false)) {
+            delete emulation[key];
+        } else {
+            emulation[key] = value;
+        }
+    }
+
+    const features = [
+        { name: 'prefers-color-scheme', value: emulation.colorScheme || '' },
+        { name: 'prefers-reduced-motion', value: emulation.reducedMotion || '' },
+        { name: 'forced-colors', value: emulation.forcedColors || '' }
+    ];
+    await client.send('Emulation.setEmulatedMedia', { media: emulation.media || '', features });
+    if (changes.autoDarkMode !== undefined) {
+        await client.send('Emulation.setAutoDarkModeOverride', emulation.autoDarkMode ? { enabled: true } : {});
+    }
+    if (changes.visionDeficiency !== undefined) {
+        await client.send('Emulation.setEmulatedVisionDeficiency', { type: emulation.visionDeficiency || 'none' });
+    }
+
+    page._emulation = emulation;
+    return describeEmulation(page);
+}
+
+// Активная эмуляция страницы (null, если ничего не переопределено) - для метаданных скриншотов и сравнений
+function describeEmulation(page) {
+    const emulation = page._emulation;
+    return emulation && Object.keys(emulation).length > 0 ? { ...emulation } : null;
+}
+
+/* setEmulation - тёмная тема, reduced motion, forced colors, print, нарушения цветовосприятия */
+server.registerTool(
+    'setEmulation',
+    {
+        title: 'Emulate Media Features and Vision Deficiencies',
+        description: `Emulate user preferences and vision deficiencies on a page before taking screenshots or comparing designs.
+
+Media features use Emulation.setEmulatedMedia: prefers-color-scheme (light/dark), prefers-reduced-motion, forced-colors (high contrast) and the print media type. autoDarkMode enables Chrome's forced dark mode. visionDeficiency uses Emulation.setEmulatedVisionDeficiency (protanopia, deuteranopia, tritanopia, achromatopsia, blurredVision, reducedContrast) and is visible in screenshots.
+
+Omitted fields keep their current value; "default" (or "none"/false) removes an override; reset clears everything. Settings stay active for the page across navigations and are reported in screenshot metadata.`,
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            ...emulationSchema,
+            reset: z.boolean().optional().describe('Remove all emulation overrides before applying the other fields')
+        }
+    },
+    async ({ url, pageId, reset = false, ...changes }) => {
+        const page = await getPageForOperation(url, pageId);
+        try {
+            if (reset) {
+                await applyEmulation(page, {
+                    colorScheme: 'default',
+                    reducedMotion: 'default',
+                    forcedColors: 'default',
+                    media: 'default',
+                    autoDarkMode: false,
+                    visionDeficiency: 'none'
+                });
+            }
+            const active = await applyEmulation(page, changes);
+
+            return {
+                content: [{
+                    type: 'text',
+                    text: `Emulation updated for ${page._pageId || page.url()}:\n${active ? JSON.stringify(active, null, 2) : 'no overrides active'}`
+                }]
+            };
+        } catch (error) {
+            throw error;
+        }
+    }
+);
+
+/* -------------------- Core Web Vitals -------------------- */
+// Пороги good / poor (web.dev, для TBT - Lighthouse); между ними - needs-improvement
+const WEB_VITALS_THRESHOLDS = {
+    LCP: [2500, 4000],
+    FCP: [1800, 3000],
+    CLS: [0.1, 0.25],
+    INP: [200, 500],
+    TTFB: [800, 1800],
+    TBT: [200, 600]
+};
+
+function rateMetric(name, value) {
+    if (value === null || value === undefined) return null;
+    const [good, poor] = WEB_VITALS_THRESHOLDS[name];
+    if (value <= good) return 'good';
+    if (value <= poor) return 'needs-improvement';
+    return 'poor';
+}
+
+// Наблюдатели LCP / CLS / Event Timing / Long Tasks; внедряются через evaluateOnNewDocument до загрузки документа
+// и копят данные в window.__devchromeVitals
+function webVitalsObserverScript() {
+    if (window.__devchromeVitals || typeof PerformanceObserver === 'undefined') return;
+
+    const selectorFor = (node) => {
+        if (!node || node.nodeType !== 1) {
+            node = node?.parentElement;
+            if (!node) return null;
+        }
+        const parts = [];
+        let current = node;
+        while (current && current.nodeType === 1 && parts.length < 5) {
+            if (current.id) {
+                parts.unshift(`#${CSS.escape(current.id)}`);
+                break;
+            }
+            let part = current.tagName.toLowerCase();
+            const classes = Array.from(current.classList).slice(0, 2);
+            if (classes.length > 0) part += classes.map(c => `.${CSS.escape(c)}`).join('');
+            const parent = current.parentElement;
+            if (parent) {
+                const sameTag = Array.from(parent.children).filter(c => c.tagName === current.tagName);
+                if (sameTag.length > 1) part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+            }
+            parts.unshift(part);
+            current = parent;
+        }
+        return parts.join(' > ');
+    };
+    const rect = (r) => (r ? { x: Math.round(r.x), y: Math.round(r.y), width: Math.round(r.width), height: Math.round(r.height) } : null);
+
+    const vitals = { lcp: null, layoutShifts: [], interactions: {}, longTasks: [] };
+    window.__devchromeVitals = vitals;
+
+    const observe = (type, callback, options = {}) => {
+        try {
+            new PerformanceObserver(list => list.getEntries().forEach(callback)).observe({ type, buffered: true, ...options });
+        } catch (e) {
+            // Тип записей не поддерживается браузером
+        }
+    };
+
+    observe('largest-contentful-paint', (entry) => {
+        vitals.lcp = {
+            value: entry.startTime,
+            selector: selectorFor(entry.element),
+            tagName: entry.element?.tagName.toLowerCase() || null,
+            url: entry.url || null,
+            size: entry.size
+        };
+    });
+
+    observe('layout-shift', (entry) => {
+        if (entry.hadRecentInput) return;
+        vitals.layoutShifts.push({
+            value: entry.value,
+            startTime: entry.startTime,
+            sources: (entry.sources || []).map(source => ({
+                selector: selectorFor(source.node),
+                previousRect: rect(source.previousRect),
+                currentRect: rect(source.currentRect)
+            }))
+        });
+    });
+
+    // INP: события одного взаимодействия (interactionId) объединяются - длительность по самому длинному,
+    // обработка от первого processingStart до последнего processingEnd
+    const recordEvent = (entry) => {
+        if (!entry.interactionId) return;
+        const existing = vitals.interactions[entry.interactionId];
+        if (!existing) {
+            vitals.interactions[entry.interactionId] = {
+                types: [entry.name],
+                selector: selectorFor(entry.target),
+                startTime: entry.startTime,
+                duration: entry.duration,
+                processingStart: entry.processingStart,
+                processingEnd: entry.processingEnd
+            };
+            return;
+        }
+        if (!existing.types.includes(entry.name)) existing.types.push(entry.name);
+        existing.selector = existing.selector || selectorFor(entry.target);
+        existing.duration = Math.max(existing.duration, entry.duration);
+        existing.processingStart = Math.min(existing.processingStart, entry.processingStart);
+        existing.processingEnd = Math.max(existing.processingEnd, entry.processingEnd);
+    };
+    observe('event', recordEvent, { durationThreshold: 16 });
+    observe('first-input', recordEvent);
+
+    observe('longtask', (entry) => {
+        const attribution = entry.attribution?.[0];
+        vitals.longTasks.push({
+            startTime: entry.startTime,
+            duration: entry.duration,
+            container: attribution ? (attribution.containerSrc || attribution.containerName || attribution.containerType || null) : null
+        });
+    });
+}
+
+// Шаг сценария взаимодействия (getPerformanceMetrics, detectMemoryLeaks)
+const interactionSchema = z.object({
+    action: z.enum(['click', 'hover', 'type', 'press']).describe('Interaction type'),
+    selector: z.string().optional().describe('CSS selector of the target (not needed for press)'),
+    text: z.string().optional().describe('Text for "type"'),
+    key: z.string().optional().describe('Key for "press", e.g. "Enter"')
+});
+
+// Выполнить взаимодействие реальными событиями ввода (как инструменты click/hover)
+async function performInteraction(page, interaction) {
+    if (interaction.action === 'press') {
+        if (!interaction.key) throw new Error('Interaction "press" requires key');
+        if (interaction.selector) {
+            const target = await locateElement(page.mainFrame(), interaction.selector);
+            if (!target) throw new Error(`Selector not found: ${interaction.selector}`);
+            await target.focus();
+        }
+        await page.keyboard.press(interaction.key);
+        return;
+    }
+
+    const element = await locateElement(page.mainFrame(), interaction.selector);
+    if (!element) {
+        throw new Error(`Selector not found: ${interaction.selector}`);
+    }
+    if (interaction.action === 'click') {
+        await activateElement(page, element);
+    } else if (interaction.action === 'hover') {
+        await element.hover();
+    } else {
+        await element.type(interaction.text || '');
+    }
+}
+
+// Внедрить наблюдатели Web Vitals в страницу (действуют с ближайшей навигации)
+async function installWebVitalsObserver(page) {
+    if (page._webVitalsInstalled) return;
+    page._webVitalsInstalled = true;
+    await page.evaluateOnNewDocument(webVitalsObserverScript);
+}
+
+/* 14) getPerformanceMetrics - Core Web Vitals */
+server.registerTool(
+    'getPerformanceMetrics',
+    {
+        title: 'Get Performance Metrics',
+        description: `Measure Core Web Vitals with ratings (good / needs-improvement / poor): LCP with the LCP element selector, CLS with the shifting nodes, INP from scripted interactions, TTFB with its phases, FCP and TBT with long tasks.
+
+Observers are injected before navigation into every page opened by this server, so load metrics cover the whole page life. If the page was loaded before the observers existed (e.g. useActiveTab) it is reloaded; pass reload: true to always measure a fresh load.
+
+INP needs interactions: pass "interactions" (click/hover/type/press on selectors) and they are performed with real input events before measuring. The active network/CPU throttling profile (setNetworkConditions) is included in the result.`,
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            reload: z.boolean().optional().describe('Reload the page before measuring (default: only if observers are missing)'),
+            interactions: z.array(interactionSchema).optional().describe('Interactions performed before measuring, used for INP'),
+            settleMs: z.number().int().min(0).max(30000).optional().describe('Wait after load/interactions before reading metrics (default: 1000)')
+        }
+    },
+    async ({ url, pageId, reload, interactions = [], settleMs = 1000 }) => {
+        const page = await getPageForOperation(url, pageId);
+        try {
+            await installWebVitalsObserver(page);
+
+            const hasObservers = await page.evaluate(() => !!window.__devchromeVitals);
+            let reloaded = false;
+            if (reload || !hasObservers) {
+                await page.reload({ waitUntil: 'load' });
+                reloaded = true;
+            }
+
+            for (const interaction of interactions) {
+                await performInteraction(page, interaction);
+                // Даём странице отрисовать результат - event timing фиксируется по следующему кадру
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+
+            await new Promise(resolve => setTimeout(resolve, settleMs));
+
+            const raw = await page.evaluate(() => {
+                const navigation = performance.getEntriesByType('navigation')[0];
+                const fcp = performance.getEntriesByType('paint').find(p => p.name === 'first-contentful-paint');
+                return {
+                    vitals: window.__devchromeVitals || null,
+                    fcp: fcp ? fcp.startTime : null,
+                    navigation: navigation ? navigation.toJSON() : null,
+                    resourceCount: performance.getEntriesByType('resource').length
+                };
+            });
+
+            const round = (value, digits = 0) => (value === null || value === undefined ? null : Math.round(value * 10 ** digits) / 10 ** digits);
+            const vitals = raw.vitals || { lcp: null, layoutShifts: [], interactions: {}, longTasks: [] };
+            const nav = raw.navigation;
+
+            // CLS - максимальное «окно» сдвигов (разрыв < 1с, длина окна < 5с)
+            let bestWindow = { value: 0, shifts: [] };
+            let currentWindow = { value: 0, shifts: [] };
+            for (const shift of vitals.layoutShifts) {
+                const first = currentWindow.shifts[0];
+                const last = currentWindow.shifts[currentWindow.shifts.length - 1];
+                if (last && shift.startTime - last.startTime < 1000 && shift.startTime - first.startTime < 5000) {
+                    currentWindow.value += shift.value;
+                    currentWindow.shifts.push(shift);
+                } else {
+                    currentWindow = { value: shift.value, shifts: [shift] };
+                }
+                if (currentWindow.value > bestWindow.value) {
+                    bestWindow = { value: currentWindow.value, shifts: [...currentWindow.shifts] };
+                }
+            }
+
+            // INP - худшее взаимодействие, без одного выброса на каждые 50 взаимодействий
+            const interactionList = Object.values(vitals.interactions).sort((a, b) => b.duration - a.duration);
+            const inpEntry = interactionList.length > 0
+                ? interactionList[Math.min(Math.floor(interactionList.length / 50), interactionList.length - 1)]
+                : null;
+
+            // TBT - сумма «блокирующей» части long tasks (сверх 50мс) после FCP
+            const blockingTasks = vitals.longTasks.filter(task => raw.fcp === null || task.startTime + task.duration > raw.fcp);
+            const tbt = blockingTasks.reduce((sum, task) => {
+                const start = raw.fcp !== null ? Math.max(task.startTime, raw.fcp) : task.startTime;
+                return sum + Math.max(0, task.startTime + task.duration - start - 50);
+            }, 0);
+
+            const ttfb = nav ? Math.max(0, nav.responseStart - (nav.activationStart || 0)) : null;
+
+            const metrics = {
+                LCP: {
+                    value: round(vitals.lcp?.value),
+                    unit: 'ms',
+                    rating: rateMetric('LCP', vitals.lcp?.value),
+                    element: vitals.lcp ? { selector: vitals.lcp.selector, tagName: vitals.lcp.tagName, url: vitals.lcp.url, size: vitals.lcp.size } : null
+                },
+                CLS: {
+                    value: round(bestWindow.value, 4),
+                    rating: rateMetric('CLS', bestWindow.value),
+                    totalShifts: vitals.layoutShifts.length,
+                    shifts: bestWindow.shifts
+                        .slice()
+                        .sort((a, b) => b.value - a.value)
+                        .slice(0, 10)
+                        .map(shift => ({ value: round(shift.value, 4), time: round(shift.startTime), sources: shift.sources }))
+                },
+                INP: inpEntry ? {
+                    value: round(inpEntry.duration),
+                    unit: 'ms',
+                    rating: rateMetric('INP', inpEntry.duration),
+                    interactionCount: interactionList.length,
+                    interaction: {
+                        events: inpEntry.types,
+                        selector: inpEntry.selector,
+                        inputDelay: round(inpEntry.processingStart - inpEntry.startTime),
+                        processingTime: round(inpEntry.processingEnd - inpEntry.processingStart),
+                        presentationDelay: round(Math.max(0, inpEntry.startTime + inpEntry.duration - inpEntry.processingEnd))
+                    }
+                } : {
+                    value: null,
+                    rating: null,
+                    interactionCount: 0,
+                    note: 'No interactions recorded. Pass "interactions" to measure INP.'
+                },
+                TTFB: {
+                    value: round(ttfb),
+                    unit: 'ms',
+                    rating: rateMetric('TTFB', ttfb),
+                    phases: nav ? {
+                        redirect: round(nav.redirectEnd - nav.redirectStart),
+                        dns: round(nav.domainLookupEnd - nav.domainLookupStart),
+                        connect: round(nav.connectEnd - nav.connectStart),
+                        waiting: round(nav.responseStart - nav.requestStart)
+                    } : null
+                },
+                FCP: {
+                    value: round(raw.fcp),
+                    unit: 'ms',
+                    rating: rateMetric('FCP', raw.fcp)
+                },
+                TBT: {
+                    value: round(tbt),
+                    unit: 'ms',
+                    rating: rateMetric('TBT', tbt),
+                    longTasks: blockingTasks
+                        .slice()
+                        .sort((a, b) => b.duration - a.duration)
+                        .slice(0, 10)
+                        .map(task => ({ startTime: round(task.startTime), duration: round(task.duration), container: task.container }))
+                }
+            };
+
+            const summary = { good: [], 'needs-improvement': [], poor: [] };
+            for (const [name, metric] of Object.entries(metrics)) {
+                if (metric.rating) summary[metric.rating].push(name);
+            }
+
+            const result = {
+                url: page.url(),
+                pageId: page._pageId || null,
+                reloaded,
+                summary,
+                metrics,
+                navigation: nav ? {
+                    domInteractive: round(nav.domInteractive),
+                    domContentLoaded: round(nav.domContentLoadedEventEnd),
+                    loadComplete: round(nav.loadEventEnd),
+                    transferSize: nav.transferSize,
+                    resourceCount: raw.resourceCount
+                } : null,
+                throttling: describeThrottling(page),
+                timestamp: Date.now()
+            };
+
+            return {
+                content: [{ type: 'text', name: 'performance', text: JSON.stringify(result, null, 2) }]
+            };
+        } catch (error) {
+            throw error;
+        }
+    }
+);
+
+/* -------------------- Трассировка (CDP Tracing) -------------------- */
+const DEFAULT_TRACE_CATEGORIES = [
+    '-*',
+    'devtools.timeline',
+    'disabled-by-default-devtools.timeline',
+    'disabled-by-default-devtools.timeline.frame',
+    'toplevel',
+    'v8.execute',
+    'blink.user_timing',
+    'loading',
+    'latencyInfo',
+    '__metadata'
+];
+
+// Категории событий главного потока (по аналогии с Summary в DevTools Performance)
+const TRACE_EVENT_CATEGORIES = {
+    scripting: ['EvaluateScript', 'v8.evaluateModule', 'FunctionCall', 'TimerFire', 'FireIdleCallback', 'FireAnimationFrame', 'EventDispatch',
+        'v8.compile', 'v8.compileModule', 'V8.CompileCode', 'v8.produceCache', 'RunMicrotasks', 'XHRReadyStateChange', 'XHRLoad',
+        'MajorGC', 'MinorGC', 'V8.GCScavenger', 'V8.GCIncrementalMarking', 'V8.GCFinalizeMC', 'V8.GCCompactor', 'BlinkGC.AtomicPhase'],
+    style: ['UpdateLayoutTree', 'RecalculateStyles', 'ParseAuthorStyleSheet'],
+    layout: ['Layout', 'UpdateLayerTree', 'PrePaint', 'HitTest', 'ScrollLayer'],
+    paint: ['Paint', 'PaintImage', 'PaintSetup', 'RasterTask', 'CompositeLayers', 'Commit', 'Layerize', 'Decode Image', 'ImageDecodeTask', 'Draw Frame'],
+    loading: ['ParseHTML', 'ResourceSendRequest', 'ResourceReceiveResponse', 'ResourceFinish']
+};
+const TRACE_CATEGORY_BY_EVENT = new Map(
+    Object.entries(TRACE_EVENT_CATEGORIES).flatMap(([category, names]) => names.map(name => [name, category]))
+);
+
+// URL скрипта из аргументов события (EvaluateScript, FunctionCall, v8.compile и т.п.); служебные скрипты puppeteer (pptr:) не учитываем
+const traceEventUrl = (event) => {
+    const url = event.args?.data?.url || event.args?.data?.scriptName || event.args?.fileName || null;
+    return url && !url.startsWith('pptr:') ? url : null;
+};
+
+// Сводка по трейсу: long tasks главного потока, время по категориям, URL с наибольшим self time
+function analyzeTrace(traceEvents, { topN = 10 } = {}) {
+    // Главный поток страницы: CrRendererMain процесса главного фрейма (или самый загруженный CrRendererMain)
+    const mainThreads = traceEvents.filter(e => e.ph === 'M' && e.name === 'thread_name' && e.args?.name === 'CrRendererMain');
+    const tracingStarted = traceEvents.find(e => e.name === 'TracingStartedInBrowser');
+    const mainFramePid = tracingStarted?.args?.data?.frames?.find(f => !f.parent)?.processId;
+
+    const durationEvents = traceEvents.filter(e => e.ph === 'X' && typeof e.dur === 'number');
+    let mainThread = mainThreads.find(t => t.pid === mainFramePid);
+    if (!mainThread && mainThreads.length > 0) {
+        const load = (t) => durationEvents.filter(e => e.pid === t.pid && e.tid === t.tid).length;
+        mainThread = mainThreads.slice().sort((a, b) => load(b) - load(a))[0];
+    }
+    if (!mainThread) {
+        return { error: 'Renderer main thread not found in trace' };
+    }
+
+    const events = durationEvents
+        .filter(e => e.pid === mainThread.pid && e.tid === mainThread.tid)
+        .sort((a, b) => a.ts - b.ts || b.dur - a.dur);
+
+    const categoryTime = { scripting: 0, style: 0, layout: 0, paint: 0, loading: 0, other: 0 };
+    const urlSelfTime = new Map();
+    const longTasks = [];
+    const stack = [];
+    let currentTask = null;
+
+    // Self time события = длительность минус вложенные события; обход стеком по отсортированным ts
+    const closeEvent = (frame) => {
+        const selfTime = Math.max(0, frame.event.dur - frame.childTime) / 1000;
+        const category = TRACE_CATEGORY_BY_EVENT.get(frame.event.name) || 'other';
+        categoryTime[category] += selfTime;
+        if (category === 'scripting') {
+            const url = frame.url || '(unattributed)';
+            urlSelfTime.set(url, (urlSelfTime.get(url) || 0) + selfTime);
+        }
+        if (frame.task && frame.url && category === 'scripting') {
+            frame.task.scripts.set(frame.url, (frame.task.scripts.get(frame.url) || 0) + selfTime);
+        }
+    };
+
+    for (const event of events) {
+        const end = event.ts + event.dur;
+        while (stack.length > 0 && stack[stack.length - 1].end <= event.ts) {
+            closeEvent(stack.pop());
+        }
+
+        const parent = stack[stack.length - 1];
+        if (parent) {
+            parent.childTime += event.dur;
+        }
+
+        if (!parent) {
+            const isTask = event.name === 'RunTask' || event.name === 'ThreadControllerImpl::RunTask';
+            currentTask = isTask && event.dur > 50000
+                ? { startTime: event.ts, duration: event.dur / 1000, scripts: new Map(), activities: new Map() }
+                : null;
+            if (currentTask) longTasks.push(currentTask);
+        }
+
+        // Активность задачи - верхнее событие известной категории (EventDispatch:click, TimerFire, ParseHTML...)
+        const task = parent ? parent.task : currentTask;
+        const categorized = TRACE_CATEGORY_BY_EVENT.has(event.name);
+        if (task && parent && categorized && !parent.categorized) {
+            const eventType = event.args?.data?.type;
+            const label = eventType ? `${event.name}:${eventType}` : event.name;
+            task.activities.set(label, (task.activities.get(label) || 0) + event.dur / 1000);
+        }
+
+        stack.push({
+            event,
+            end,
+            childTime: 0,
+            url: traceEventUrl(event) || parent?.url || null,
+            categorized: categorized || !!parent?.categorized,
+            task
+        });
+    }
+    while (stack.length > 0) {
+        closeEvent(stack.pop());
+    }
+
+    const round = (value) => Math.round(value * 10) / 10;
+    const traceStart = events.length > 0 ? events[0].ts : 0;
+    const traceEnd = events.reduce((max, e) => Math.max(max, e.ts + e.dur), traceStart);
+    const topEntries = (map, limit) => Array.from(map.entries())
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit);
+
+    return {
+        mainThread: { pid: mainThread.pid, tid: mainThread.tid },
+        durationMs: round((traceEnd - traceStart) / 1000),
+        timeByCategory: Object.fromEntries(Object.entries(categoryTime).map(([category, value]) => [category, round(value)])),
+        longTasks: {
+            count: longTasks.length,
+            totalBlockingTime: round(longTasks.reduce((sum, t) => sum + Math.max(0, t.duration - 50), 0)),
+            tasks: longTasks
+                .slice()
+                .sort((a, b) => b.duration - a.duration)
+                .slice(0, topN)
+                .map(t => ({
+                    startTime: round((t.startTime - traceStart) / 1000),
+                    duration: round(t.duration),
+                    scripts: topEntries(t.scripts, 3).map(([url, selfTime]) => ({ url, selfTime: round(selfTime) })),
+                    activities: topEntries(t.activities, 3).map(([name, time]) => ({ name, time: round(time) }))
+                }))
+        },
+        topUrlsBySelfTime: topEntries(urlSelfTime, topN).map(([url, selfTime]) => ({ url, selfTime: round(selfTime) }))
+    };
+}
+
+/* startTrace - начать запись трейса производительности */
+server.registerTool(
+    'startTrace',
+    {
+        title: 'Start Trace',
+        description: 'Start recording a Chrome performance trace (CDP Tracing) for a page. Perform the actions to analyse (navigateTo with pageId, click, scroll...) and then call stopTrace to save the trace and get a summary of long tasks, rendering costs and the heaviest scripts.',
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            categories: z.array(z.string()).optional().describe('Trace categories (default: DevTools timeline, v8.execute, loading, user timing)')
+        }
+    },
+    async ({ url, pageId, categories }) => {
+        const page = await getPageForOperation(url, pageId);
+        if (page._trace) {
+            throw new Error(`A trace is already being recorded for this page since ${new Date(page._trace.startedAt).toISOString()}. Call stopTrace first.`);
+        }
+
+        const client = page._cdpClient || await page.target().createCDPSession();
+        const traceCategories = categories && categories.length > 0 ? categories : DEFAULT_TRACE_CATEGORIES;
+        await client.send('Tracing.start', {
+            transferMode: 'ReturnAsStream',
+            traceConfig: {
+                includedCategories: traceCategories.filter(c => !c.startsWith('-')),
+                excludedCategories: traceCategories.filter(c => c.startsWith('-')).map(c => c.slice(1))
+            }
+        });
+        page._trace = { startedAt: Date.now(), categories: traceCategories, client };
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Trace recording started for ${page._pageId || page.url()}. Perform the actions to analyse, then call stopTrace${page._pageId ? ` with pageId: "${page._pageId}"` : ''}.`
+            }]
+        };
+    }
+);
+
+/* stopTrace - остановить запись, сохранить трейс и вернуть сводку */
+server.registerTool(
+    'stopTrace',
+    {
+        title: 'Stop Trace',
+        description: `Stop the trace started with startTrace, save it as JSON (open it in Chrome DevTools > Performance > Load profile) and return a summary: long tasks over 50ms with the scripts they ran, main-thread time for scripting / style / layout / paint / loading, and the script URLs with the most self time.
+
+Relative file paths are resolved against ARTIFACTS_DIR (default: ./.devchrome/artifacts).`,
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            file: z.string().optional().describe('Output file path, ".json" is appended if missing (default: trace-<pageId>-<timestamp>.json)'),
+            topN: z.number().int().min(1).max(50).optional().describe('Number of long tasks and URLs in the summary (default: 10)')
+        }
+    },
+    async ({ url, pageId, file, topN = 10 }) => {
+        const page = await getPageForOperation(url, pageId);
+        const trace = page._trace;
+        if (!trace) {
+            throw new Error('No trace is being recorded for this page. Call startTrace first.');
+        }
+        page._trace = null;
+
+        const { client } = trace;
+        const completed = new Promise(resolve => client.once('Tracing.tracingComplete', resolve));
+        await client.send('Tracing.end');
+        const { stream } = await completed;
+
+        // Читаем трейс из IO-потока частями
+        const chunks = [];
+        while (true) {
+            const { data, base64Encoded, eof } = await client.send('IO.read', { handle: stream, size: 1024 * 1024 });
+            chunks.push(base64Encoded ? Buffer.from(data, 'base64') : Buffer.from(data));
+            if (eof) break;
+        }
+        await client.send('IO.close', { handle: stream });
+
+        const raw = Buffer.concat(chunks).toString('utf8');
+        const parsed = JSON.parse(raw);
+        const traceEvents = Array.isArray(parsed) ? parsed : parsed.traceEvents || [];
+
+        const outputPath = resolveArtifactPath(
+            file || `trace-${page._pageId || 'page'}-${new Date().toISOString().replace(/[:.]/g, '-')}`,
+            '.json'
+        );
+        fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+        fs.writeFileSync(outputPath, raw);
+
+        const result = {
+            file: outputPath,
+            pageId: page._pageId || null,
+            recordedMs: Date.now() - trace.startedAt,
+            events: traceEvents.length,
+            bytes: Buffer.byteLength(raw),
+            throttling: describeThrottling(page),
+            ...analyzeTrace(traceEvents, { topN })
+        };
+
+        return {
+            content: [{ type: 'text', name: 'traceSummary', text: JSON.stringify(result, null, 2) }]
+        };
+    }
+);
+
+/* -------------------- Покрытие JS/CSS -------------------- */
+// Число выполнений для каждого символа скрипта по сырому покрытию V8:
+// вложенные диапазоны уточняют внешние, поэтому применяем их от внешних к внутренним
+function computeV8CharCounts(text, functions) {
+    const counts = new Int32Array(text.length);
+    const ranges = functions
+        .flatMap(fn => fn.ranges)
+        .sort((a, b) => a.startOffset - b.startOffset || (b.endOffset - b.startOffset) - (a.endOffset - a.startOffset));
+    for (const range of ranges) {
+        counts.fill(range.count, range.startOffset, Math.min(range.endOffset, text.length));
+    }
+    return counts;
+}
+
+// Смещение в тексте -> { line (с 1), column (с 0) } для Istanbul
+function createOffsetMapper(text) {
+    const lineStarts = [0];
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '\n') lineStarts.push(i + 1);
+    }
+    const toPosition = (offset) => {
+        let low = 0;
+        let high = lineStarts.length - 1;
+        while (low < high) {
+            const mid = (low + high + 1) >> 1;
+            if (lineStarts[mid] <= offset) low = mid; else high = mid - 1;
+        }
+        return { line: low + 1, column: offset - lineStarts[low] };
+    };
+    return { lineStarts, toPosition };
+}
+
+// Истанбул-совместимое покрытие файла (как v8-to-istanbul: строки - statements, функции - fnMap, блоки - branchMap)
+function toIstanbulFileCoverage(fileKey, text, functions, counts) {
+    const { lineStarts, toPosition } = createOffsetMapper(text);
+    const coverage = { path: fileKey, statementMap: {}, fnMap: {}, branchMap: {}, s: {}, f: {}, b: {} };
+
+    lineStarts.forEach((start, index) => {
+        const end = index + 1 < lineStarts.length ? lineStarts[index + 1] - 1 : text.length;
+        const line = text.slice(start, end);
+        const firstCode = line.search(/\S/);
+        if (firstCode === -1) return;
+        const id = String(Object.keys(coverage.statementMap).length);
+        coverage.statementMap[id] = { start: { line: index + 1, column: 0 }, end: { line: index + 1, column: line.length } };
+        coverage.s[id] = counts[start + firstCode] ?? 0;
+    });
+
+    let fnIndex = 0;
+    let branchIndex = 0;
+    for (const fn of functions) {
+        const [body, ...blocks] = fn.ranges;
+        // Диапазон верхнего уровня скрипта (весь файл) - не функция
+        if (body && !(body.startOffset === 0 && body.endOffset >= text.length && !fn.functionName)) {
+            const loc = { start: toPosition(body.startOffset), end: toPosition(body.endOffset) };
+            coverage.fnMap[fnIndex] = { name: fn.functionName || '(anonymous)', decl: loc, loc, line: loc.start.line };
+            coverage.f[fnIndex] = body.count;
+            fnIndex++;
+        }
+        for (const block of blocks) {
+            const loc = { start: toPosition(block.startOffset), end: toPosition(block.endOffset) };
+            coverage.branchMap[branchIndex] = { type: 'branch', line: loc.start.line, loc, locations: [loc] };
+            coverage.b[branchIndex] = [block.count];
+            branchIndex++;
+        }
+    }
+
+    return coverage;
+}
+
+// Правила стилей таблицы: [{ selector, start, end }] (at-правила группировки @media/@supports/@layer/@container раскрываются)
+function parseCssRules(text) {
+    const rules = [];
+    const groupingAtRules = /^@(media|supports|layer|container|document)\b/i;
+    let preludeStart = 0;
+    let i = 0;
+
+    const skipBlock = (from) => {
+        let depth = 0;
+        for (let j = from; j < text.length; j++) {
+            const ch = text[j];
+            if (ch === '/' && text[j + 1] === '*') {
+                const close = text.indexOf('*/', j + 2);
+                j = close === -1 ? text.length : close + 1;
+            } else if (ch === '"' || ch === "'") {
+                let k = j + 1;
+                while (k < text.length && text[k] !== ch) k += text[k] === '\\' ? 2 : 1;
+                j = k;
+            } else if (ch === '{') {
+                depth++;
+            } else if (ch === '}') {
+                depth--;
+                if (depth === 0) return j + 1;
+            }
+        }
+        return text.length;
+    };
+
+    while (i < text.length) {
+        const ch = text[i];
+        if (ch === '/' && text[i + 1] === '*') {
+            const close = text.indexOf('*/', i + 2);
+            i = close === -1 ? text.length : close + 2;
+            if (text.slice(preludeStart, i).trim().startsWith('/*')) preludeStart = i;
+            continue;
+        }
+        if (ch === ';' || ch === '}') {
+            i++;
+            preludeStart = i;
+            continue;
+        }
+        if (ch === '{') {
+            const prelude = text.slice(preludeStart, i).replace(/\/\*[\s\S]*?\*\//g, '').trim();
+            if (groupingAtRules.test(prelude)) {
+                i++;
+                preludeStart = i;
+                continue;
+            }
+            const end = skipBlock(i);
+            if (prelude && !prelude.startsWith('@')) {
+                const leading = Math.max(0, text.slice(preludeStart, i).search(/\S/));
+                rules.push({ selector: prelude.replace(/\s+/g, ' '), start: preludeStart + leading, end });
+            }
+            i = end;
+            preludeStart = i;
+            continue;
+        }
+        i++;
+    }
+    return rules;
+}
+
+const sumRanges = (ranges) => ranges.reduce((sum, range) => sum + (range.end - range.start), 0);
+const percent = (part, total) => (total > 0 ? Math.round(part / total * 1000) / 10 : 0);
+
+/* startCoverage - начать сбор покрытия JS/CSS */
+server.registerTool(
+    'startCoverage',
+    {
+        title: 'Start Coverage',
+        description: 'Start collecting JavaScript and/or CSS coverage for a page. Then navigate (navigateTo with pageId) and perform the interaction sequence to cover (click, hover, scroll...), and call stopCoverage to get used/unused bytes per file and unused CSS selectors. Coverage is kept across navigations until stopCoverage.',
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            js: z.boolean().optional().describe('Collect JavaScript coverage (default: true)'),
+            css: z.boolean().optional().describe('Collect CSS coverage (default: true)'),
+            includeAnonymousScripts: z.boolean().optional().describe('Also report scripts without URL (eval, new Function) (default: false)')
+        }
+    },
+    async ({ url, pageId, js = true, css = true, includeAnonymousScripts = false }) => {
+        const page = await getPageForOperation(url, pageId);
+        if (page._coverage) {
+            throw new Error(`Coverage is already being collected for this page since ${new Date(page._coverage.startedAt).toISOString()}. Call stopCoverage first.`);
+        }
+        if (!js && !css) {
+            throw new Error('Nothing to collect: enable js and/or css.');
+        }
+
+        if (js) {
+            await page.coverage.startJSCoverage({
+                resetOnNavigation: false,
+                reportAnonymousScripts: includeAnonymousScripts,
+                includeRawScriptCoverage: true
+            });
+        }
+        if (css) {
+            await page.coverage.startCSSCoverage({ resetOnNavigation: false });
+        }
+        page._coverage = { startedAt: Date.now(), js, css };
+
+        return {
+            content: [{
+                type: 'text',
+                text: `Coverage collection started for ${page._pageId || page.url()} (${[js && 'JS', css && 'CSS'].filter(Boolean).join(' + ')}). Navigate and interact, then call stopCoverage${page._pageId ? ` with pageId: "${page._pageId}"` : ''}.`
+            }]
+        };
+    }
+);
+
+/* stopCoverage - остановить сбор покрытия и вернуть отчёт */
+server.registerTool(
+    'stopCoverage',
+    {
+        title: 'Stop Coverage',
+        description: `Stop coverage started with startCoverage and report per file: total, used and unused bytes (sorted by unused bytes), plus unused CSS selectors for stylesheets. Use it to find dead CSS and code worth lazy-loading.
+
+Set istanbulFile to also write an Istanbul-compatible coverage JSON for the scripts (lines as statements, functions, blocks as branches), usable with nyc/istanbul reporters. Relative paths are resolved against ARTIFACTS_DIR (default: ./.devchrome/artifacts).`,
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            urlPattern: z.string().optional().describe('Only report files whose URL contains this substring, or matches /regex/flags'),
+            maxSelectors: z.number().int().min(0).max(1000).optional().describe('Maximum unused CSS selectors listed per stylesheet (default: 50)'),
+            istanbulFile: z.string().optional().describe('Write Istanbul-compatible JSON for JS coverage to this file (".json" appended if missing)')
+        }
+    },
+    async ({ url, pageId, urlPattern, maxSelectors = 50, istanbulFile }) => {
+        const page = await getPageForOperation(url, pageId);
+        const coverage = page._coverage;
+        if (!coverage) {
+            throw new Error('No coverage is being collected for this page. Call startCoverage first.');
+        }
+        page._coverage = null;
+
+        const jsEntries = coverage.js ? await page.coverage.stopJSCoverage() : [];
+        const cssEntries = coverage.css ? await page.coverage.stopCSSCoverage() : [];
+
+        const urlMatches = createUrlMatcher(urlPattern);
+
+        const files = [];
+        const istanbul = {};
+        const totals = {
+            js: { files: 0, totalBytes: 0, usedBytes: 0 },
+            css: { files: 0, totalBytes: 0, usedBytes: 0 }
+        };
+
+        for (const entry of jsEntries) {
+            const fileUrl = entry.url || '(anonymous)';
+            if (!urlMatches(fileUrl)) continue;
+
+            const functions = entry.rawScriptCoverage?.functions || [];
+            const counts = computeV8CharCounts(entry.text, functions);
+            const usedBytes = functions.length > 0
+                ? counts.reduce((sum, count) => sum + (count > 0 ? 1 : 0), 0)
+                : sumRanges(entry.ranges);
+
+            files.push({
+                type: 'js',
+                url: fileUrl,
+                totalBytes: entry.text.length,
+                usedBytes,
+                unusedBytes: entry.text.length - usedBytes,
+                unusedPercent: percent(entry.text.length - usedBytes, entry.text.length)
+            });
+            totals.js.files++;
+            totals.js.totalBytes += entry.text.length;
+            totals.js.usedBytes += usedBytes;
+
+            if (istanbulFile && functions.length > 0) {
+                // Несколько inline-скриптов одной страницы различаем по scriptId
+                const key = istanbul[fileUrl] ? `${fileUrl}#${entry.rawScriptCoverage.scriptId}` : fileUrl;
+                istanbul[key] = toIstanbulFileCoverage(key, entry.text, functions, counts);
+            }
+        }
+
+        for (const entry of cssEntries) {
+            const fileUrl = entry.url || '(inline)';
+            if (!urlMatches(fileUrl)) continue;
+
+            const usedBytes = sumRanges(entry.ranges);
+            const unusedSelectors = parseCssRules(entry.text)
+                .filter(rule => !entry.ranges.some(range => range.start < rule.end && range.end > rule.start))
+                .map(rule => rule.selector);
+
+            files.push({
+                type: 'css',
+                url: fileUrl,
+                totalBytes: entry.text.length,
+                usedBytes,
+                unusedBytes: entry.text.length - usedBytes,
+                unusedPercent: percent(entry.text.length - usedBytes, entry.text.length),
+                unusedSelectorCount: unusedSelectors.length,
+                unusedSelectors: unusedSelectors.slice(0, maxSelectors)
+            });
+            totals.css.files++;
+            totals.css.totalBytes += entry.text.length;
+            totals.css.usedBytes += usedBytes;
+        }
+
+        files.sort((a, b) => b.unusedBytes - a.unusedBytes);
+        for (const total of Object.values(totals)) {
+            total.unusedBytes = total.totalBytes - total.usedBytes;
+            total.unusedPercent = percent(total.unusedBytes, total.totalBytes);
+        }
+
+        const result = {
+            pageId: page._pageId || null,
+            collectedMs: Date.now() - coverage.startedAt,
+            totals,
+            files
+        };
+
+        if (istanbulFile) {
+            const outputPath = resolveArtifactPath(istanbulFile, '.json');
+            fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+            fs.writeFileSync(outputPath, JSON.stringify(istanbul, null, 2));
+            result.istanbulFile = outputPath;
+            result.istanbulFiles = Object.keys(istanbul).length;
+        }
+
+        return {
+            content: [{ type: 'text', name: 'coverage', text: JSON.stringify(result, null, 2) }]
+        };
+    }
+);
+
+/* -------------------- Утечки памяти (heap snapshots) -------------------- */
+// Снять heap snapshot через HeapProfiler (после принудительной сборки мусора); возвращает JSON-строку
+async function takeHeapSnapshot(client) {
+    const chunks = [];
+    const onChunk = ({ chunk }) => chunks.push(chunk);
+    client.on('HeapProfiler.addHeapSnapshotChunk', onChunk);
+    try {
+        await client.send('HeapProfiler.collectGarbage');
+        await client.send('HeapProfiler.takeHeapSnapshot', { reportProgress: false, captureNumericValue: false });
+    } finally {
+        client.off('HeapProfiler.addHeapSnapshotChunk', onChunk);
+    }
+    return chunks.join('');
+}
+
+// Разбор heap snapshot: дерево доминаторов (без weak-рёбер) -> retained size,
+// агрегаты по конструкторам и отсоединённые DOM-узлы
+function analyzeHeapSnapshot(json) {
+    const snapshot = JSON.parse(json);
+    const meta = snapshot.snapshot.meta;
+    const nodeFields = meta.node_fields;
+    const edgeFields = meta.edge_fields;
+    const nodeFieldCount = nodeFields.length;
+    const edgeFieldCount = edgeFields.length;
+    const nodeTypes = meta.node_types[nodeFields.indexOf('type')];
+    const edgeTypes = meta.edge_types[edgeFields.indexOf('type')];
+    const { nodes, edges, strings } = snapshot;
+
+    const typeOffset = nodeFields.indexOf('type');
+    const nameOffset = nodeFields.indexOf('name');
+    const selfSizeOffset = nodeFields.indexOf('self_size');
+    const edgeCountOffset = nodeFields.indexOf('edge_count');
+    const detachednessOffset = nodeFields.indexOf('detachedness');
+    const edgeTypeOffset = edgeFields.indexOf('type');
+    const edgeToNodeOffset = edgeFields.indexOf('to_node');
+    const weakEdgeType = edgeTypes.indexOf('weak');
+
+    const nodeCount = nodes.length / nodeFieldCount;
+    const firstEdge = new Uint32Array(nodeCount + 1);
+    for (let i = 0; i < nodeCount; i++) {
+        firstEdge[i + 1] = firstEdge[i] + nodes[i * nodeFieldCount + edgeCountOffset] * edgeFieldCount;
+    }
+
+    const className = (i) => {
+        const type = nodeTypes[nodes[i * nodeFieldCount + typeOffset]];
+        const name = strings[nodes[i * nodeFieldCount + nameOffset]];
+        if (type !== 'object' && type !== 'native') return `(${type})`;
+        return name.startsWith('Detached ') ? name.slice('Detached '.length) : name;
+    };
+    const isDetached = (i) => {
+        if (detachednessOffset !== -1) return nodes[i * nodeFieldCount + detachednessOffset] === 2;
+        return strings[nodes[i * nodeFieldCount + nameOffset]].startsWith('Detached ');
+    };
+
+    // Обход в глубину от корня (узел 0): postorder-нумерация
+    const postorder = new Int32Array(nodeCount).fill(-1);
+    const order = new Uint32Array(nodeCount);
+    const visited = new Uint8Array(nodeCount);
+    const stackNodes = new Uint32Array(nodeCount);
+    const stackEdges = new Uint32Array(nodeCount);
+    let stackSize = 0;
+    let postIndex = 0;
+    stackNodes[stackSize] = 0;
+    stackEdges[stackSize] = firstEdge[0];
+    stackSize++;
+    visited[0] = 1;
+    while (stackSize > 0) {
+        const node = stackNodes[stackSize - 1];
+        const edge = stackEdges[stackSize - 1];
+        if (edge < firstEdge[node + 1]) {
+            stackEdges[stackSize - 1] = edge + edgeFieldCount;
+            if (edges[edge + edgeTypeOffset] === weakEdgeType) continue;
+            const target = edges[edge + edgeToNodeOffset] / nodeFieldCount;
+            if (!visited[target]) {
+                visited[target] = 1;
+                stackNodes[stackSize] = target;
+                stackEdges[stackSize] = firstEdge[target];
+                stackSize++;
+            }
+        } else {
+            postorder[node] = postIndex;
+            order[postIndex] = node;
+            postIndex++;
+            stackSize--;
+        }
+    }
+    const reachable = postIndex;
+
+    // Обратные рёбра (предшественники) для достижимых узлов
+    const predCount = new Uint32Array(reachable + 1);
+    for (let node = 0; node < nodeCount; node++) {
+        if (postorder[node] === -1) continue;
+        for (let edge = firstEdge[node]; edge < firstEdge[node + 1]; edge += edgeFieldCount) {
+            if (edges[edge + edgeTypeOffset] === weakEdgeType) continue;
+            const target = edges[edge + edgeToNodeOffset] / nodeFieldCount;
+            predCount[postorder[target] + 1]++;
+        }
+    }
+    for (let i = 0; i < reachable; i++) predCount[i + 1] += predCount[i];
+    const preds = new Uint32Array(predCount[reachable]);
+    const fill = predCount.slice(0, reachable);
+    for (let node = 0; node < nodeCount; node++) {
+        if (postorder[node] === -1) continue;
+        for (let edge = firstEdge[node]; edge < firstEdge[node + 1]; edge += edgeFieldCount) {
+            if (edges[edge + edgeTypeOffset] === weakEdgeType) continue;
+            const target = postorder[edges[edge + edgeToNodeOffset] / nodeFieldCount];
+            preds[fill[target]++] = postorder[node];
+        }
+    }
+
+    // Доминаторы (Cooper, Harvey, Kennedy) в postorder-индексах; корень - последний
+    const rootIndex = reachable - 1;
+    const idom = new Int32Array(reachable).fill(-1);
+    idom[rootIndex] = rootIndex;
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (let v = rootIndex - 1; v >= 0; v--) {
+            let newIdom = -1;
+            for (let p = predCount[v]; p < predCount[v + 1]; p++) {
+                let u = preds[p];
+                if (idom[u] === -1) continue;
+                if (newIdom === -1) {
+                    newIdom = u;
+                    continue;
+                }
+                let w = newIdom;
+                while (u !== w) {
+                    while (u < w) u = idom[u];
+                    while (w < u) w = idom[w];
+                }
+                newIdom = u;
+            }
+            if (newIdom !== -1 && idom[v] !== newIdom) {
+                idom[v] = newIdom;
+                changed = true;
+            }
+        }
+    }
+
+    // Retained size: собственный размер + retained всех доминируемых узлов
+    const retained = new Float64Array(reachable);
+    for (let v = 0; v < reachable; v++) {
+        retained[v] += nodes[order[v] * nodeFieldCount + selfSizeOffset];
+        if (v !== rootIndex && idom[v] !== -1) retained[idom[v]] += retained[v];
+    }
+
+    // Агрегаты по классам: retained считаем только для «верхних» экземпляров (без предка того же класса в дереве доминаторов)
+    const childCount = new Uint32Array(reachable + 1);
+    for (let v = 0; v < rootIndex; v++) if (idom[v] !== -1) childCount[idom[v] + 1]++;
+    for (let i = 0; i < reachable; i++) childCount[i + 1] += childCount[i];
+    const children = new Uint32Array(childCount[reachable]);
+    const childFill = childCount.slice(0, reachable);
+    for (let v = 0; v < rootIndex; v++) if (idom[v] !== -1) children[childFill[idom[v]]++] = v;
+
+    const classes = new Map();
+    const classOf = new Array(reachable);
+    const detachedByName = new Map();
+    let detachedCount = 0;
+    let detachedRetained = 0;
+    let totalSize = 0;
+    const activeClasses = new Map();
+    const walk = [[rootIndex, 0, false]];
+    while (walk.length > 0) {
+        const frame = walk[walk.length - 1];
+        const [v, childPos] = frame;
+        if (childPos === 0) {
+            const node = order[v];
+            const name = className(node);
+            classOf[v] = name;
+            let entry = classes.get(name);
+            if (!entry) {
+                entry = { count: 0, selfSize: 0, retainedSize: 0 };
+                classes.set(name, entry);
+            }
+            const selfSize = nodes[node * nodeFieldCount + selfSizeOffset];
+            entry.count++;
+            entry.selfSize += selfSize;
+            totalSize += selfSize;
+            if (!activeClasses.get(name)) entry.retainedSize += retained[v];
+            activeClasses.set(name, (activeClasses.get(name) || 0) + 1);
+
+            if (isDetached(node)) {
+                detachedCount++;
+                detachedByName.set(name, (detachedByName.get(name) || 0) + 1);
+                // Корень отсоединённого поддерева: его доминатор не отсоединён
+                if (!frame[2]) detachedRetained += retained[v];
+                frame[2] = true;
+            }
+        }
+        const start = childCount[v] + childPos;
+        if (start < childCount[v + 1]) {
+            frame[1]++;
+            walk.push([children[start], 0, frame[2]]);
+        } else {
+            activeClasses.set(classOf[v], activeClasses.get(classOf[v]) - 1);
+            walk.pop();
+        }
+    }
+
+    return {
+        nodeCount: reachable,
+        totalSize,
+        classes,
+        detached: { count: detachedCount, retainedSize: detachedRetained, byName: detachedByName }
+    };
+}
+
+/* detectMemoryLeaks - heap snapshots до и после повторяющихся действий */
+server.registerTool(
+    'detectMemoryLeaks',
+    {
+        title: 'Detect Memory Leaks',
+        description: `Find memory leaks caused by a repeated user action (open/close a modal, switch tabs, add/remove items). Takes a heap snapshot (HeapProfiler, after forced GC), repeats the action sequence N times with real input events, takes a second snapshot and compares them.
+
+Reports total heap and retained-size growth, detached DOM nodes (removed from the document but still referenced from JS) and the constructors that grew the most. A warm-up run is performed first so lazy initialisation is not reported as a leak. Growth that scales with N is a leak.`,
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            actions: z.array(interactionSchema).min(1).describe('Action sequence repeated on each iteration, e.g. [{action: "click", selector: "#open"}, {action: "click", selector: ".modal .close"}]'),
+            repeat: z.number().int().min(1).max(100).optional().describe('How many times to repeat the sequence (default: 5)'),
+            delayMs: z.number().int().min(0).max(10000).optional().describe('Wait after each action in ms (default: 300)'),
+            warmup: z.boolean().optional().describe('Run the sequence once before the first snapshot (default: true)'),
+            topN: z.number().int().min(1).max(100).optional().describe('Number of growing constructors to report (default: 15)'),
+            saveSnapshots: z.boolean().optional().describe('Save both .heapsnapshot files to ARTIFACTS_DIR for the DevTools Memory panel (default: false)')
+        }
+    },
+    async ({ url, pageId, actions, repeat = 5, delayMs = 300, warmup = true, topN = 15, saveSnapshots = false }) => {
+        const page = await getPageForOperation(url, pageId);
+        const client = page._cdpClient || await page.target().createCDPSession();
+
+        const runSequence = async () => {
+            for (const action of actions) {
+                await performInteraction(page, action);
+                await new Promise(resolve => setTimeout(resolve, delayMs));
+            }
+        };
+
+        await client.send('HeapProfiler.enable');
+        try {
+            if (warmup) {
+                await runSequence();
+            }
+
+            const beforeJson = await takeHeapSnapshot(client);
+            const before = analyzeHeapSnapshot(beforeJson);
+            const savedFiles = [];
+            const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+            if (saveSnapshots) {
+                const file = resolveArtifactPath(`heap-${page._pageId || 'page'}-${stamp}-before`, '.heapsnapshot');
+                fs.mkdirSync(path.dirname(file), { recursive: true });
+                fs.writeFileSync(file, beforeJson);
+                savedFiles.push(file);
+            }
+
+            for (let i = 0; i < repeat; i++) {
+                await runSequence();
+            }
+
+            const afterJson = await takeHeapSnapshot(client);
+            const after = analyzeHeapSnapshot(afterJson);
+            if (saveSnapshots) {
+                const file = resolveArtifactPath(`heap-${page._pageId || 'page'}-${stamp}-after`, '.heapsnapshot');
+                fs.writeFileSync(file, afterJson);
+                savedFiles.push(file);
+            }
+
+            const growth = [];
+            for (const [name, entry] of after.classes) {
+                const previous = before.classes.get(name) || { count: 0, selfSize: 0, retainedSize: 0 };
+                const countDelta = entry.count - previous.count;
+                const retainedDelta = entry.retainedSize - previous.retainedSize;
+                // Растущие конструкторы - те, у которых прибавилось экземпляров (retained корней вроде Window растёт всегда)
+                if (countDelta > 0) {
+                    growth.push({
+                        constructor: name,
+                        countBefore: previous.count,
+                        countAfter: entry.count,
+                        countDelta,
+                        perIteration: Math.round(countDelta / repeat * 10) / 10,
+                        selfSizeDelta: entry.selfSize - previous.selfSize,
+                        retainedSizeDelta: retainedDelta
+                    });
+                }
+            }
+            growth.sort((a, b) => b.retainedSizeDelta - a.retainedSizeDelta || b.countDelta - a.countDelta);
+
+            const detachedDelta = after.detached.count - before.detached.count;
+            const heapDelta = after.totalSize - before.totalSize;
+            const result = {
+                pageId: page._pageId || null,
+                iterations: repeat,
+                heap: {
+                    before: before.totalSize,
+                    after: after.totalSize,
+                    growth: heapDelta,
+                    growthPerIteration: Math.round(heapDelta / repeat),
+                    objectsBefore: before.nodeCount,
+                    objectsAfter: after.nodeCount
+                },
+                detachedDomNodes: {
+                    before: before.detached.count,
+                    after: after.detached.count,
+                    growth: detachedDelta,
+                    retainedSizeAfter: after.detached.retainedSize,
+                    byElement: Array.from(after.detached.byName.entries())
+                        .map(([name, count]) => ({ element: name, count, growth: count - (before.detached.byName.get(name) || 0) }))
+                        .sort((a, b) => b.growth - a.growth || b.count - a.count)
+                        .slice(0, topN)
+                },
+                topGrowingConstructors: growth.slice(0, topN),
+                verdict: detachedDelta > 0
+                    ? `Likely leak: ${detachedDelta} detached DOM node(s) accumulated over ${repeat} iteration(s)`
+                    : heapDelta > 0 && growth.some(g => g.countDelta >= repeat && g.constructor[0] !== '(')
+                        ? 'Possible leak: some constructors grow with each iteration - check topGrowingConstructors'
+                        : 'No significant growth detected'
+            };
+            if (savedFiles.length > 0) result.snapshots = savedFiles;
+
+            return {
+                content: [{ type: 'text', name: 'memoryLeaks', text: JSON.stringify(result, null, 2) }]
+            };
+        } finally {
+            await client.send('HeapProfiler.disable').catch(() => {});
+        }
+    }
+);
+
+/* -------------------- Правила validateHTML -------------------- */
+// Правило: { id, type, severity, description, check(ctx) }. check выполняется в странице (сериализуется через toString,
+// поэтому должна быть самодостаточной) и возвращает [{ message, element }], где element - DOM-элемент или строка.
+// ctx: { snippet(el), selector(el) }
+const HTML_VALIDATION_RULES = [
+    {
+        id: 'img-alt-missing',
+        type: 'accessibility',
+        severity: 'warning',
+        description: 'Images must have an alt attribute',
+        check: () => Array.from(document.querySelectorAll('img:not([alt])')).map((img, index) => ({
+            message: `Image ${index + 1} missing alt attribute`,
+            element: img
+        }))
+    },
+    {
+        id: 'img-alt-empty',
+        type: 'accessibility',
+        severity: 'warning',
+        description: 'Empty alt is only expected on decorative images (role="presentation")',
+        check: () => Array.from(document.querySelectorAll('img[alt=""]'))
+            .filter(img => img.getAttribute('role') !== 'presentation')
+            .map((img, index) => ({ message: `Image ${index + 1} has empty alt attribute`, element: img }))
+    },
+    {
+        id: 'title-missing',
+        type: 'seo',
+        severity: 'error',
+        description: 'The document must have a non-empty <title>',
+        check: () => (!document.title || document.title.trim().length === 0
+            ? [{ message: 'Missing or empty page title', element: '<title>' }]
+            : [])
+    },
+    {
+        id: 'heading-empty',
+        type: 'accessibility',
+        severity: 'warning',
+        description: 'Headings must have text content',
+        check: () => Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+            .filter(heading => !heading.textContent.trim())
+            .map(heading => ({ message: `Empty ${heading.tagName.toLowerCase()} heading`, element: heading }))
+    },
+    {
+        id: 'h1-missing',
+        type: 'seo',
+        severity: 'warning',
+        description: 'The page should have an <h1>',
+        check: () => (document.querySelector('h1') ? [] : [{ message: 'Missing H1 heading on page', element: 'page structure' }])
+    },
+    {
+        id: 'heading-level-skipped',
+        type: 'accessibility',
+        severity: 'warning',
+        description: 'Heading levels should increase one at a time (h2 -> h3, not h2 -> h4)',
+        check: () => {
+            const issues = [];
+            let previous = 0;
+            for (const heading of document.querySelectorAll('h1, h2, h3, h4, h5, h6')) {
+                const level = Number(heading.tagName[1]);
+                if (previous > 0 && level > previous + 1) {
+                    issues.push({ message: `Heading level skipped: h${previous} followed by h${level}`, element: heading });
+                }
+                previous = level;
+            }
+            return issues;
+        }
+    },
+    {
+        id: 'input-label-missing',
+        type: 'accessibility',
+        severity: 'error',
+        description: 'Form fields must have a label (label[for], wrapping label, aria-label or aria-labelledby)',
+        check: () => Array.from(document.querySelectorAll('input:not([type="hidden"]):not([type="submit"]):not([type="button"])'))
+            .map((input, index) => ({ input, index }))
+            .filter(({ input }) => !((input.id && document.querySelector(`label[for="${CSS.escape(input.id)}"]`)) ||
+                input.closest('label') ||
+                input.hasAttribute('aria-label') ||
+                input.hasAttribute('aria-labelledby')))
+            .map(({ input, index }) => ({ message: `Input field ${index + 1} missing label`, element: input }))
+    },
+    {
+        id: 'duplicate-id',
+        type: 'markup',
+        severity: 'error',
+        description: 'id attributes must be unique in the document',
+        check: () => {
+            const seen = new Map();
+            for (const el of document.querySelectorAll('[id]')) {
+                if (!el.id) continue;
+                seen.set(el.id, [...(seen.get(el.id) || []), el]);
+            }
+            return Array.from(seen.entries())
+                .filter(([, elements]) => elements.length > 1)
+                .map(([id, elements]) => ({ message: `Duplicate id "${id}" used by ${elements.length} elements`, element: elements[1] }));
+        }
+    },
+    {
+        id: 'interactive-nesting',
+        type: 'markup',
+        severity: 'error',
+        description: 'Interactive elements (links, buttons, form fields) must not be nested inside each other',
+        check: () => {
+            const interactive = 'a[href], button, input:not([type="hidden"]), select, textarea, details, iframe, embed, label, audio[controls], video[controls], [role="button"], [role="link"], [tabindex]:not([tabindex="-1"])';
+            const issues = [];
+            for (const outer of document.querySelectorAll('a[href], button, [role="button"], [role="link"]')) {
+                const inner = Array.from(outer.querySelectorAll(interactive)).find(el => el !== outer);
+                if (inner) {
+                    issues.push({
+                        message: `<${inner.tagName.toLowerCase()}> nested inside interactive <${outer.tagName.toLowerCase()}>`,
+                        element: outer
+                    });
+                }
+            }
+            return issues;
         }
     },
-    async ({ selector, behavior = 'auto' }) => {
-        const page = await getPageForOperation(url);
-        try {
-const client = page._cdpClient || await page.target().createCDPSession();
-
-            const element = await page.$(selector);
-            if (!element) {
-                throw new Error( `Selector not found: ${selector}`);
-            }
-
-            await element.scrollIntoView({ behavior });
-
-            // Ожидаем завершения скролла
-            await new Promise(resolve => setTimeout(resolve, 300));
-
-            const position = await page.evaluate(() => ({
-                x: window.scrollX,
-                y: window.scrollY
-            }));
-
-            return {
-                content: [{ type: 'text', text: `Scrolled to element: ${selector} (position: ${position.x}, ${position.y})` }]
+    {
+        id: 'html-lang-missing',
+        type: 'accessibility',
+        severity: 'error',
+        description: 'The <html> element must have a lang attribute',
+        check: () => (document.documentElement.getAttribute('lang')?.trim()
+            ? []
+            : [{ message: 'Missing lang attribute on <html>', element: '<html>' }])
+    },
+    {
+        id: 'button-name-missing',
+        type: 'accessibility',
+        severity: 'error',
+        description: 'Buttons must have an accessible name (text, aria-label, aria-labelledby, title or img alt)',
+        check: () => {
+            const nameOf = (el) => {
+                const labelledBy = el.getAttribute('aria-labelledby');
+                const fromLabelledBy = labelledBy
+                    ? labelledBy.split(/\s+/).map(id => document.getElementById(id)?.textContent || '').join(' ')
+                    : '';
+                const imageAlt = Array.from(el.querySelectorAll('img[alt], svg[aria-label]'))
+                    .map(img => img.getAttribute('alt') || img.getAttribute('aria-label'))
+                    .join(' ');
+                const inputValue = el.tagName === 'INPUT' ? (el.value || (el.type === 'submit' ? 'Submit' : el.type === 'reset' ? 'Reset' : '')) : '';
+                return [el.getAttribute('aria-label'), fromLabelledBy, el.textContent, inputValue, imageAlt, el.getAttribute('title')]
+                    .filter(Boolean)
+                    .join(' ')
+                    .trim();
             };
-        } catch (error) {
-            throw error;
+            return Array.from(document.querySelectorAll('button, [role="button"], input[type="button"], input[type="submit"], input[type="reset"]'))
+                .filter(el => !nameOf(el))
+                .map((el, index) => ({ message: `Button ${index + 1} has no accessible name`, element: el }));
         }
-    }
-);
-
-/* 14) getPerformanceMetrics - Core Web Vitals */
-server.registerTool(
-    'getPerformanceMetrics',
+    },
     {
-        title: 'Get Performance Metrics',
-        description: 'Measure Core Web Vitals and performance metrics including LCP, CLS, FID, and page load times. Critical for optimizing user experience and SEO performance.',
-        inputSchema: {
-            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)')
+        id: 'meta-viewport-missing',
+        type: 'mobile',
+        severity: 'warning',
+        description: 'Responsive pages need <meta name="viewport" content="width=device-width, initial-scale=1">',
+        check: () => {
+            const meta = document.querySelector('meta[name="viewport"]');
+            if (!meta) return [{ message: 'Missing <meta name="viewport">', element: '<head>' }];
+            return /width\s*=\s*device-width/.test(meta.getAttribute('content') || '')
+                ? []
+                : [{ message: 'Viewport meta does not set width=device-width', element: meta }];
         }
-    },
-    async ({ url }) => {
-        const page = await getPageForOperation(url);
-        try {
-const client = page._cdpClient || await page.target().createCDPSession();
-
-            const metrics = await page.evaluate(() => {
-                return new Promise((resolve) => {
-                    // Получаем Navigation Timing API
-                    const navigation = performance.getEntriesByType('navigation')[0];
-                    const paint = performance.getEntriesByType('paint');
-
-                    const result = {
-                        // Navigation timing
-                        domContentLoaded: navigation.domContentLoadedEventEnd - navigation.domContentLoadedEventStart,
-                        loadComplete: navigation.loadEventEnd - navigation.loadEventStart,
-                        domInteractive: navigation.domInteractive - navigation.fetchStart,
-
-                        // Paint timing
-                        firstPaint: paint.find(p => p.name === 'first-paint')?.startTime || null,
-                        firstContentfulPaint: paint.find(p => p.name === 'first-contentful-paint')?.startTime || null,
-
-                        // Layout metrics
-                        layoutShiftScore: 0, // Будет обновлено через PerformanceObserver
-
-                        // Resource timing
-                        resourceCount: performance.getEntriesByType('resource').length,
-
-                        timestamp: Date.now()
-                    };
+    }
+];
 
-                    // Пытаемся получить CLS через PerformanceObserver
-                    if ('PerformanceObserver' in window) {
-                        try {
-                            let cumulativeLayoutShift = 0;
-                            const observer = new PerformanceObserver((list) => {
-                                for (const entry of list.getEntries()) {
-                                    if (!entry.hadRecentInput) {
-                                        cumulativeLayoutShift += entry.value;
-                                    }
-                                }
-                            });
-                            observer.observe({ entryTypes: ['layout-shift'] });
+// Конфиг проекта (devchrome.config.json): секции validateHTML, devices и т.п.
+function loadProjectConfig() {
+    if (!fs.existsSync(PROJECT_CONFIG_FILE)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(PROJECT_CONFIG_FILE, 'utf8'));
+    } catch (error) {
+        throw new Error(`Invalid project config ${PROJECT_CONFIG_FILE}: ${error.message}`);
+    }
+}
 
-                            setTimeout(() => {
-                                result.layoutShiftScore = cumulativeLayoutShift;
-                                observer.disconnect();
-                                resolve(result);
-                            }, 1000);
-                        } catch (e) {
-                            resolve(result);
-                        }
-                    } else {
-                        resolve(result);
-                    }
-                });
-            });
+// Исходник check для передачи в страницу. Метод объекта (check(ctx) { ... }) сам по себе не выражение -
+// такой берём как значение из объектного литерала. null - исходник не разбирается (например, bound-функция)
+function ruleCheckSource(check) {
+    const source = check.toString();
+    for (const candidate of [`(${source})`, `Object.values({ ${source} })[0]`]) {
+        try {
+            new Function(`return ${candidate};`);
+            return candidate;
+        } catch {
+            // пробуем следующий вариант
+        }
+    }
+    return null;
+}
 
-            return {
-                content: [{ type: 'text', name: 'performance', text: JSON.stringify(metrics, null, 2) }]
-            };
-        } catch (error) {
-            throw error;
+// Загрузить пользовательские правила из локальных модулей (default export: правило или массив правил)
+async function loadCustomHtmlRules(modulePaths, baseDir) {
+    const rules = [];
+    for (const modulePath of modulePaths) {
+        const resolved = path.resolve(baseDir, modulePath);
+        if (!fs.existsSync(resolved)) {
+            throw new Error(`Custom rule module not found: ${resolved}`);
+        }
+        // mtime в query - чтобы подхватывать изменения модуля без перезапуска сервера
+        const module = await import(`${pathToFileURL(resolved).href}?mtime=${fs.statSync(resolved).mtimeMs}`);
+        const exported = module.default ?? module.rules;
+        for (const rule of Array.isArray(exported) ? exported : [exported]) {
+            if (!rule || typeof rule.id !== 'string' || typeof rule.check !== 'function') {
+                throw new Error(`Invalid rule in ${resolved}: expected { id, check(ctx) } (optional: type, severity, description)`);
+            }
+            if (!ruleCheckSource(rule.check)) {
+                throw new Error(`Invalid rule "${rule.id}" in ${resolved}: check must be a plain function, arrow function or method (its source is sent to the page)`);
+            }
+            rules.push({ type: 'custom', severity: 'warning', description: '', ...rule, source: resolved });
         }
     }
-);
+    return rules;
+}
+
+// Выполнить набор правил в странице одним вызовом; каждое правило изолировано от ошибок других
+async function runHtmlValidationRules(page, rules) {
+    const runner = (ruleList) => {
+        const snippet = (el) => (el.outerHTML.length > 100 ? el.outerHTML.substring(0, 100) + '...' : el.outerHTML);
+        const selector = (el) => {
+            if (el.id) return `#${CSS.escape(el.id)}`;
+            const parts = [];
+            let current = el;
+            while (current && current.nodeType === 1 && parts.length < 4) {
+                let part = current.tagName.toLowerCase();
+                if (current.id) {
+                    parts.unshift(`#${CSS.escape(current.id)}`);
+                    break;
+                }
+                if (current.classList.length > 0) part += `.${CSS.escape(current.classList[0])}`;
+                parts.unshift(part);
+                current = current.parentElement;
+            }
+            return parts.join(' > ');
+        };
+        const ctx = { snippet, selector };
+        return ruleList.map(({ id, check }) => {
+            try {
+                const found = check(ctx) || [];
+                return {
+                    id,
+                    issues: found.map(issue => ({
+                        message: issue.message,
+                        element: issue.element instanceof Element ? snippet(issue.element) : (issue.element ?? null),
+                        selector: issue.element instanceof Element ? selector(issue.element) : undefined
+                    }))
+                };
+            } catch (error) {
+                return { id, error: error.message, issues: [] };
+            }
+        });
+    };
+
+    const expression = `(${runner.toString()})([${rules
+        .map(rule => `{ id: ${JSON.stringify(rule.id)}, check: ${ruleCheckSource(rule.check)} }`)
+        .join(',\n')}])`;
+    return page.evaluate(expression);
+}
 
 /* 15) validateHTML - валидация разметки */
 server.registerTool(
     'validateHTML',
     {
         title: 'Validate HTML',
-        description: 'Check HTML markup for syntax errors, accessibility issues, and semantic problems. Identifies missing alt attributes, invalid nesting, unclosed tags, and other markup issues.',
+        description: `Check HTML markup for syntax errors, accessibility issues, and semantic problems. Identifies missing alt attributes, invalid nesting, unclosed tags, and other markup issues.
+
+Checks are rules with IDs and severities: ${HTML_VALIDATION_RULES.map(rule => rule.id).join(', ')}. Each issue reports its ruleId. Turn rules off or change their severity per call with "rules" ({ "h1-missing": "off", "duplicate-id": "warning" }) or per project in ${path.basename(PROJECT_CONFIG_FILE)} ({ "validateHTML": { "rules": {...}, "customRules": ["./html-rules.js"] } }). Custom rule modules export default { id, type, severity, description, check(ctx) } (or an array); check runs in the page, must be self-contained and returns [{ message, element }].`,
         inputSchema: {
-            // url parameter removed - uses active tab by default
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            rules: z.record(z.enum(['off', 'info', 'warning', 'error'])).optional().describe('Per-call rule settings by rule ID: "off" disables, a severity overrides it (applied over the project config)'),
+            customRules: z.array(z.string()).optional().describe('Paths to custom rule modules (relative to the working directory), in addition to the project config')
         }
     },
-    async ({ url }) => {
-        const page = await getPageForOperation(url);
+    async ({ url, pageId, rules: ruleSettings = {}, customRules = [] }) => {
+        const page = await getPageForOperation(url, pageId);
         try {
-const client = page._cdpClient || await page.target().createCDPSession();
+            const config = loadProjectConfig().validateHTML || {};
+            const custom = [
+                ...await loadCustomHtmlRules(config.customRules || [], path.dirname(PROJECT_CONFIG_FILE)),
+                ...await loadCustomHtmlRules(customRules, process.cwd())
+            ];
 
-            const validation = await page.evaluate(() => {
-                const issues = [];
-                
-                // Проверка отсутствующих alt атрибутов у изображений
-                const imagesWithoutAlt = document.querySelectorAll('img:not([alt])');
-                imagesWithoutAlt.forEach((img, index) => {
-                    issues.push({
-                        type: 'accessibility',
-                        severity: 'warning',
-                        message: `Image ${index + 1} missing alt attribute`,
-                        element: img.outerHTML.substring(0, 100) + (img.outerHTML.length > 100 ? '...' : '')
-                    });
-                });
-                
-                // Проверка пустых alt атрибутов (когда должны быть заполнены)
-                const imagesWithEmptyAlt = document.querySelectorAll('img[alt=""]');
-                imagesWithEmptyAlt.forEach((img, index) => {
-                    // Исключаем декоративные изображения
-                    if (!img.hasAttribute('role') || img.getAttribute('role') !== 'presentation') {
-                        issues.push({
-                            type: 'accessibility',
-                            severity: 'warning',
-                            message: `Image ${index + 1} has empty alt attribute`,
-                            element: img.outerHTML.substring(0, 100) + (img.outerHTML.length > 100 ? '...' : '')
-                        });
-                    }
-                });
-                
-                // Проверка отсутствующих заголовков страницы
-                if (!document.title || document.title.trim().length === 0) {
-                    issues.push({
-                        type: 'seo',
-                        severity: 'error',
-                        message: 'Missing or empty page title',
-                        element: '<title>'
-                    });
+            // Настройки: конфиг проекта, затем параметры вызова
+            const settings = { ...(config.rules || {}), ...ruleSettings };
+            const allRules = [...HTML_VALIDATION_RULES, ...custom];
+            const knownIds = new Set(allRules.map(rule => rule.id));
+            const unknown = Object.keys(settings).filter(id => !knownIds.has(id));
+            if (unknown.length > 0) {
+                throw new Error(`Unknown validateHTML rule(s): ${unknown.join(', ')}. Available rules: ${Array.from(knownIds).join(', ')}`);
+            }
+
+            const activeRules = allRules
+                .filter(rule => settings[rule.id] !== 'off')
+                .map(rule => ({ ...rule, severity: settings[rule.id] || rule.severity }));
+            const results = await runHtmlValidationRules(page, activeRules);
+
+            const issues = [];
+            const ruleErrors = [];
+            results.forEach((ruleResult, index) => {
+                const rule = activeRules[index];
+                if (ruleResult.error) {
+                    ruleErrors.push({ ruleId: rule.id, error: ruleResult.error });
                 }
-                
-                // Проверка структуры заголовков (h1-h6)
-                const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6');
-                let hasH1 = false;
-                headings.forEach(heading => {
-                    if (heading.tagName === 'H1') {
-                        hasH1 = true;
-                    }
-                    if (!heading.textContent.trim()) {
-                        issues.push({
-                            type: 'accessibility',
-                            severity: 'warning',
-                            message: `Empty ${heading.tagName.toLowerCase()} heading`,
-                            element: heading.outerHTML
-                        });
-                    }
-                });
-                
-                if (!hasH1) {
-                    issues.push({
-                        type: 'seo',
-                        severity: 'warning',
-                        message: 'Missing H1 heading on page',
-                        element: 'page structure'
-                    });
+                for (const issue of ruleResult.issues) {
+                    issues.push({ ruleId: rule.id, type: rule.type, severity: rule.severity, ...issue });
                 }
-                
-                // Проверка форм без labels
-                const inputs = document.querySelectorAll('input:not([type="hidden"]):not([type="submit"]):not([type="button"])');
-                inputs.forEach((input, index) => {
-                    const hasLabel = document.querySelector(`label[for="${input.id}"]`) || 
-                                   input.closest('label') || 
-                                   input.hasAttribute('aria-label') || 
-                                   input.hasAttribute('aria-labelledby');
-                    
-                    if (!hasLabel) {
-                        issues.push({
-                            type: 'accessibility',
-                            severity: 'error',
-                            message: `Input field ${index + 1} missing label`,
-                            element: input.outerHTML.substring(0, 100) + (input.outerHTML.length > 100 ? '...' : '')
-                        });
-                    }
-                });
-                
-                return {
-                    totalIssues: issues.length,
-                    issues: issues,
-                    summary: {
-                        errors: issues.filter(i => i.severity === 'error').length,
-                        warnings: issues.filter(i => i.severity === 'warning').length,
-                        accessibilityIssues: issues.filter(i => i.type === 'accessibility').length,
-                        seoIssues: issues.filter(i => i.type === 'seo').length
-                    }
-                };
             });
 
+            const byRule = {};
+            for (const issue of issues) {
+                byRule[issue.ruleId] = (byRule[issue.ruleId] || 0) + 1;
+            }
+
+            const validation = {
+                totalIssues: issues.length,
+                issues: issues,
+                summary: {
+                    errors: issues.filter(i => i.severity === 'error').length,
+                    warnings: issues.filter(i => i.severity === 'warning').length,
+                    infos: issues.filter(i => i.severity === 'info').length,
+                    accessibilityIssues: issues.filter(i => i.type === 'accessibility').length,
+                    seoIssues: issues.filter(i => i.type === 'seo').length,
+                    byRule
+                },
+                rules: {
+                    applied: activeRules.map(rule => `${rule.id}:${rule.severity}${rule.source ? ` (${rule.source})` : ''}`),
+                    disabled: allRules.filter(rule => settings[rule.id] === 'off').map(rule => rule.id)
+                }
+            };
+            if (ruleErrors.length > 0) validation.ruleErrors = ruleErrors;
+
             return {
                 content: [{ type: 'text', name: 'validation', text: JSON.stringify(validation, null, 2) }]
             };
@@ -1660,21 +6260,25 @@ server.registerTool(
     'getAccessibility',
     {
         title: 'Get Accessibility Info',
-        description: 'Analyze page accessibility including ARIA attributes, contrast ratios, keyboard navigation, and screen reader compatibility. Essential for WCAG compliance and inclusive design.',
+        description: `Analyze page accessibility including ARIA attributes, contrast ratios, keyboard navigation, and screen reader compatibility. Essential for WCAG compliance and inclusive design.
+
+Contrast is checked for every visible text element: the effective background is resolved through ancestor backgrounds and opacity, and each failure is tagged AA/AAA for normal or large text (>= 24px, or >= 18.66px bold) with its selector, text and foreground/background colors. Text over background images or gradients cannot be measured and is listed in contrastNeedsReview.`,
         inputSchema: {
-            // url parameter removed - uses active tab by default,
             url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
-
-            selector: z.string().optional().describe('CSS selector to analyze specific element (optional)')
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            selector: z.string().optional().describe('CSS selector to analyze specific element (optional)'),
+            contrastLevel: z.enum(['AA', 'AAA']).optional().describe('Report contrast failures of this WCAG level (default: AA; AAA also lists elements that pass AA)'),
+            maxContrastIssues: z.number().int().min(1).max(500).optional().describe('Maximum contrast issues returned (default: 50, worst first)'),
+            frame: frameSchema
         }
     },
-    async ({ url, selector }) => {
-        const page = await getPageForOperation(url);
+    async ({ url, pageId, selector, contrastLevel = 'AA', maxContrastIssues = 50, frame }) => {
+        const page = await getPageForOperation(url, pageId);
         try {
-const client = page._cdpClient || await page.target().createCDPSession();
-
-            const accessibility = await page.evaluate((targetSelector) => {
-                const target = targetSelector ? document.querySelector(targetSelector) : document.body;
+            const context = await resolveFrame(page, frame);
+            const targetElement = selector ? await resolveElement(page, selector, frame) : null;
+            const accessibility = await context.evaluate((targetElement, targetSelector, level, maxIssues) => {
+                const target = targetElement || document.body;
                 if (!target) return null;
 
                 const result = {
@@ -1713,8 +6317,152 @@ const client = page._cdpClient || await page.target().createCDPSession();
                 result.semanticStructure.images = images.length;
                 result.semanticStructure.imagesWithAlt = target.querySelectorAll('img[alt]').length;
 
+                // ---- Контраст текста (WCAG 2.x) ----
+                const canvas = document.createElement('canvas');
+                canvas.width = canvas.height = 1;
+                const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+                // CSS-цвет -> [r, g, b, a]; нестандартные форматы (oklch, color()) через canvas
+                const parseColor = (value) => {
+                    const match = value.match(/^rgba?\(([\d.]+),\s*([\d.]+),\s*([\d.]+)(?:,\s*([\d.]+))?\)$/);
+                    if (match) return [Number(match[1]), Number(match[2]), Number(match[3]), match[4] === undefined ? 1 : Number(match[4])];
+                    ctx.clearRect(0, 0, 1, 1);
+                    ctx.fillStyle = '#000';
+                    ctx.fillStyle = value;
+                    ctx.fillRect(0, 0, 1, 1);
+                    const [r, g, b, a] = ctx.getImageData(0, 0, 1, 1).data;
+                    return [r, g, b, a / 255];
+                };
+                // Наложение цвета top поверх непрозрачного bottom
+                const over = (top, bottom) => [0, 1, 2].map(i => top[i] * top[3] + bottom[i] * (1 - top[3])).concat(1);
+                const mix = (color, backdrop, opacity) => [0, 1, 2].map(i => color[i] * opacity + backdrop[i] * (1 - opacity)).concat(1);
+                const luminance = ([r, g, b]) => {
+                    const channel = (v) => {
+                        const c = v / 255;
+                        return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+                    };
+                    return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+                };
+                const toHex = (color) => '#' + color.slice(0, 3).map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+                const selectorFor = (el) => {
+                    const parts = [];
+                    let current = el;
+                    while (current && current.nodeType === 1 && parts.length < 5) {
+                        if (current.id) {
+                            parts.unshift(`#${CSS.escape(current.id)}`);
+                            break;
+                        }
+                        let part = current.tagName.toLowerCase();
+                        const classes = Array.from(current.classList).slice(0, 2);
+                        if (classes.length > 0) part += classes.map(c => `.${CSS.escape(c)}`).join('');
+                        const parent = current.parentElement;
+                        if (parent) {
+                            const sameTag = Array.from(parent.children).filter(c => c.tagName === current.tagName);
+                            if (sameTag.length > 1) part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+                        }
+                        parts.unshift(part);
+                        current = parent;
+                    }
+                    return parts.join(' > ');
+                };
+
+                const issues = [];
+                const needsReview = [];
+                let checked = 0;
+                const candidates = [target, ...target.querySelectorAll('*')];
+                for (const el of candidates) {
+                    const ownText = Array.from(el.childNodes)
+                        .filter(node => node.nodeType === Node.TEXT_NODE)
+                        .map(node => node.textContent)
+                        .join('')
+                        .trim();
+                    if (!ownText) continue;
+                    if (['SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'OPTION'].includes(el.tagName)) continue;
+                    // Неактивные элементы управления не требуют контраста (WCAG 1.4.3)
+                    if (el.closest(':disabled, [aria-disabled="true"]')) continue;
+
+                    const style = getComputedStyle(el);
+                    if (style.visibility !== 'visible' || el.getClientRects().length === 0) continue;
+                    const box = el.getBoundingClientRect();
+                    if (box.width === 0 || box.height === 0) continue;
+
+                    // Цепочка от корня к элементу: фоны накладываются внутри групп, opacity сворачивает группы наружу
+                    const chain = [];
+                    for (let node = el; node && node.nodeType === 1; node = node.parentElement) chain.unshift(node);
+                    let current = [255, 255, 255, 1];
+                    const backdrops = [];
+                    let imageBackground = null;
+                    for (const node of chain) {
+                        const nodeStyle = node === el ? style : getComputedStyle(node);
+                        backdrops.push({ color: current, opacity: Number(nodeStyle.opacity) });
+                        if (nodeStyle.backgroundImage && nodeStyle.backgroundImage !== 'none') imageBackground = node;
+                        const bg = parseColor(nodeStyle.backgroundColor);
+                        if (bg[3] > 0) {
+                            current = over(bg, current);
+                            if (bg[3] === 1) imageBackground = nodeStyle.backgroundImage !== 'none' ? node : null;
+                        }
+                    }
+                    const fg = parseColor(style.color);
+                    let textPixel = over(fg, current);
+                    let bgPixel = current;
+                    for (let i = backdrops.length - 1; i >= 0; i--) {
+                        const { color, opacity } = backdrops[i];
+                        if (opacity < 1) {
+                            textPixel = mix(textPixel, color, opacity);
+                            bgPixel = mix(bgPixel, color, opacity);
+                        }
+                    }
+                    if (backdrops.some(b => b.opacity === 0)) continue;
+                    checked++;
+
+                    const fontSize = parseFloat(style.fontSize);
+                    const fontWeight = Number(style.fontWeight) || (style.fontWeight === 'bold' ? 700 : 400);
+                    const largeText = fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+                    const l1 = luminance(textPixel);
+                    const l2 = luminance(bgPixel);
+                    const ratio = (Math.max(l1, l2) + 0.05) / (Math.min(l1, l2) + 0.05);
+                    const required = largeText ? { AA: 3, AAA: 4.5 } : { AA: 4.5, AAA: 7 };
+
+                    const entry = {
+                        selector: selectorFor(el),
+                        text: ownText.length > 60 ? ownText.slice(0, 57) + '...' : ownText,
+                        foreground: toHex(textPixel),
+                        background: toHex(bgPixel),
+                        ratio: Math.round(ratio * 100) / 100,
+                        fontSize: `${fontSize}px`,
+                        fontWeight,
+                        largeText
+                    };
+
+                    if (imageBackground) {
+                        const { ratio: ratioWithoutImage, ...rest } = entry;
+                        needsReview.push({ ...rest, ratioWithoutImage, reason: `background image/gradient on ${selectorFor(imageBackground)}` });
+                        continue;
+                    }
+
+                    const failures = ['AA', 'AAA'].filter(l => ratio < required[l]);
+                    if (failures.includes(level)) {
+                        issues.push({
+                            ...entry,
+                            failures: failures.map(l => `${l}-${largeText ? 'large' : 'normal'}`),
+                            required: required[level]
+                        });
+                    }
+                }
+
+                issues.sort((a, b) => a.ratio - b.ratio);
+                result.contrastIssues = issues.slice(0, maxIssues);
+                result.contrastSummary = {
+                    level,
+                    textElementsChecked: checked,
+                    failing: issues.length,
+                    failingAA: issues.filter(i => i.failures.some(f => f.startsWith('AA-'))).length,
+                    needsReview: needsReview.length
+                };
+                result.contrastNeedsReview = needsReview.slice(0, maxIssues);
+
                 return result;
-            }, selector);
+            }, targetElement, selector, contrastLevel, maxContrastIssues);
 
             return {
                 content: [{ type: 'text', name: 'accessibility', text: JSON.stringify(accessibility, null, 2) }]
@@ -1725,6 +6473,147 @@ const client = page._cdpClient || await page.target().createCDPSession();
     }
 );
 
+/* getAccessibilityTree - дерево доступности (как его видят скринридеры) */
+// Роли, которые показываем в interestingOnly даже без имени
+const AX_STRUCTURAL_ROLES = new Set(['main', 'navigation', 'banner', 'contentinfo', 'complementary', 'region', 'form', 'search',
+    'dialog', 'alertdialog', 'alert', 'heading', 'list', 'listitem', 'table', 'row', 'cell', 'columnheader', 'rowheader',
+    'grid', 'tree', 'treeitem', 'tablist', 'tab', 'tabpanel', 'menu', 'menubar', 'menuitem', 'img', 'image', 'figure', 'article']);
+// Свойства AX-узла, которые выводим как состояния
+const AX_STATE_PROPERTIES = ['focused', 'disabled', 'expanded', 'selected', 'checked', 'pressed', 'required', 'invalid', 'readonly',
+    'multiselectable', 'modal', 'hidden', 'busy', 'level', 'valuemin', 'valuemax', 'valuetext', 'autocomplete', 'haspopup', 'live'];
+const AX_TOGGLE_STATES = new Set(['expanded', 'checked', 'pressed', 'selected']);
+
+server.registerTool(
+    'getAccessibilityTree',
+    {
+        title: 'Get Accessibility Tree',
+        description: 'Return the accessibility tree computed by Chrome (Accessibility.getFullAXTree), i.e. what screen readers see: role, accessible name, description, value, states (disabled, expanded, checked, level...) and focusable for every node. Scope it to an element with selector; interestingOnly (default) drops ignored and purely presentational nodes like unnamed generic containers, lifting their children. Use format "outline" for a compact indented view.',
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            selector: z.string().optional().describe('CSS selector of the subtree root (default: whole document)'),
+            interestingOnly: z.boolean().optional().describe('Only nodes that matter to assistive technology (default: true)'),
+            maxDepth: z.number().int().min(1).max(100).optional().describe('Maximum depth of the returned tree (default: unlimited)'),
+            format: z.enum(['json', 'outline']).optional().describe('json - nested nodes, outline - indented text lines (default: json)'),
+            frame: frameSchema
+        }
+    },
+    async ({ url, pageId, selector, interestingOnly = true, maxDepth, format = 'json', frame }) => {
+        const page = await getPageForOperation(url, pageId);
+        try {
+            const { client, frameId } = await resolveFrameScope(page, frame);
+
+            const { nodes } = await client.send('Accessibility.getFullAXTree', frameId ? { frameId } : {});
+            const byId = new Map(nodes.map(node => [node.nodeId, node]));
+
+            let root = nodes.find(node => !node.parentId) || nodes[0];
+            if (selector) {
+                const { nodeId } = await resolveNode(page, selector, frame);
+                const { node } = await client.send('DOM.describeNode', { nodeId });
+                root = nodes.find(axNode => axNode.backendDOMNodeId === node.backendNodeId);
+                if (!root) {
+                    throw new Error(`Element ${selector} is not part of the accessibility tree (it may be hidden with display: none or aria-hidden).`);
+                }
+            }
+
+            const axValue = (field) => (field && field.value !== undefined && field.value !== '' ? field.value : undefined);
+            const describe = (axNode) => {
+                const properties = Object.fromEntries((axNode.properties || []).map(p => [p.name, p.value?.value]));
+                const states = {};
+                for (const name of AX_STATE_PROPERTIES) {
+                    let value = properties[name];
+                    if (value === 'true' || value === 'false') value = value === 'true';
+                    // false важен только для переключаемых состояний (aria-expanded="false", не отмечен)
+                    if (value === undefined || (value === false && !AX_TOGGLE_STATES.has(name))) continue;
+                    states[name] = value;
+                }
+                return {
+                    role: axValue(axNode.role) || 'unknown',
+                    name: axValue(axNode.name),
+                    description: axValue(axNode.description),
+                    value: axValue(axNode.value),
+                    focusable: properties.focusable === true,
+                    states
+                };
+            };
+            const isInteresting = (info) =>
+                info.focusable ||
+                !!info.name ||
+                info.value !== undefined ||
+                AX_STRUCTURAL_ROLES.has(info.role) ||
+                Object.keys(info.states).length > 0;
+
+            let nodeCount = 0;
+            // Возвращает массив узлов: неинтересные узлы заменяются своими детьми
+            const build = (axNode, depth) => {
+                const children = () => (axNode.childIds || [])
+                    .map(id => byId.get(id))
+                    .filter(Boolean);
+
+                if (axNode.ignored) {
+                    if (interestingOnly) return children().flatMap(child => build(child, depth));
+                }
+
+                const info = describe(axNode);
+                const keep = !interestingOnly || axNode === root || isInteresting(info);
+                // Текстовые узлы и маркеры списков дублируют имя родителя
+                if (interestingOnly && ['StaticText', 'InlineTextBox', 'ListMarker'].includes(info.role) && axNode !== root) {
+                    return [];
+                }
+                if (!keep) {
+                    return children().flatMap(child => build(child, depth));
+                }
+
+                nodeCount++;
+                const result = { role: info.role };
+                if (info.name) result.name = info.name;
+                if (info.description) result.description = info.description;
+                if (info.value !== undefined) result.value = info.value;
+                if (info.focusable) result.focusable = true;
+                if (Object.keys(info.states).length > 0) result.states = info.states;
+                if (axNode.ignored) result.ignored = true;
+
+                if (maxDepth === undefined || depth < maxDepth) {
+                    const childNodes = children().flatMap(child => build(child, depth + 1));
+                    if (childNodes.length > 0) result.children = childNodes;
+                } else if ((axNode.childIds || []).length > 0) {
+                    result.truncated = true;
+                }
+                return [result];
+            };
+
+            const tree = build(root, 1);
+
+            if (format === 'outline') {
+                const lines = [];
+                const walk = (node, indent) => {
+                    const flags = [
+                        node.focusable ? 'focusable' : null,
+                        ...Object.entries(node.states || {}).map(([key, value]) => (value === true ? key : `${key}=${value}`)),
+                        node.truncated ? '…' : null
+                    ].filter(Boolean);
+                    lines.push(`${'  '.repeat(indent)}- ${node.role}${node.name ? ` "${node.name}"` : ''}${node.value !== undefined ? ` value="${node.value}"` : ''}${node.description ? ` (${node.description})` : ''}${flags.length > 0 ? ` [${flags.join(', ')}]` : ''}`);
+                    (node.children || []).forEach(child => walk(child, indent + 1));
+                };
+                tree.forEach(node => walk(node, 0));
+                return {
+                    content: [{ type: 'text', name: 'accessibilityTree', text: `${nodeCount} nodes${selector ? ` under ${selector}` : ''}\n\n${lines.join('\n')}` }]
+                };
+            }
+
+            return {
+                content: [{
+                    type: 'text',
+                    name: 'accessibilityTree',
+                    text: JSON.stringify({ root: selector || 'document', interestingOnly, nodeCount, tree: tree.length === 1 ? tree[0] : tree }, null, 2)
+                }]
+            };
+        } catch (error) {
+            throw error;
+        }
+    }
+);
+
 /* 17) compareVisual - сравнение скриншотов для pixel-perfect */
 server.registerTool(
     'compareVisual',
@@ -1754,8 +6643,8 @@ server.registerTool(
             
             // Находим элементы
             const [element1, element2] = await Promise.all([
-                page1.$(selector),
-                page2.$(selector)
+                locateElement(page1.mainFrame(), selector),
+                locateElement(page2.mainFrame(), selector)
             ]);
             
             if (!element1) throw new Error( `Selector not found on first page: ${selector}`);
@@ -1843,20 +6732,17 @@ server.registerTool(
         title: 'Measure Element Precisely',
         description: 'Get precise pixel measurements of an element including sub-pixel positioning, computed dimensions, and visual boundaries. Essential for pixel-perfect layout validation and design system compliance.',
         inputSchema: {
-            // url parameter removed - uses active tab by default,
             url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
-
-            selector: z.string().describe('CSS selector for the element to measure')
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            selector: z.string().describe('CSS selector for the element to measure'),
+            frame: frameSchema
         }
     },
-    async ({ url, selector }) => {
-        const page = await getPageForOperation(url);
+    async ({ url, pageId, selector, frame }) => {
+        const page = await getPageForOperation(url, pageId);
         try {
-const client = page._cdpClient || await page.target().createCDPSession();
-
-            const measurements = await page.evaluate((sel) => {
-                const element = document.querySelector(sel);
-                if (!element) return null;
+            const target = await resolveElement(page, selector, frame);
+            const measurements = await target.evaluate((element) => {
                 
                 const rect = element.getBoundingClientRect();
                 const computedStyle = window.getComputedStyle(element);
@@ -1922,11 +6808,7 @@ const client = page._cdpClient || await page.target().createCDPSession();
                         zIndex: computedStyle.zIndex
                     }
                 };
-            }, selector);
-            
-            if (!measurements) {
-                throw new Error( `Selector not found: ${selector}`);
-            }
+            });
 
             return {
                 content: [{ type: 'text', name: 'measurements', text: JSON.stringify(measurements, null, 2) }]
@@ -1992,6 +6874,89 @@ function calculateSSIM(img1Data, img2Data, width, height) {
     return validWindows > 0 ? ssimSum / validWindows : 0;
 }
 
+/* Утилита: pixelmatch + SSIM анализ двух PNG буферов (общий конвейер для визуальных сравнений) */
+async function analyzeImageDifference(buffer1, buffer2, { threshold = 0.01, generateHeatMap = true } = {}) {
+    // Загружаем изображения через Jimp для детального анализа
+    const [img1, img2] = await Promise.all([
+        Jimp.read(buffer1),
+        Jimp.read(buffer2)
+    ]);
+
+    const originalDimensions = {
+        image1: { width: img1.bitmap.width, height: img1.bitmap.height },
+        image2: { width: img2.bitmap.width, height: img2.bitmap.height }
+    };
+
+    // Приводим к одинаковым размерам
+    const finalWidth = Math.max(img1.bitmap.width, img2.bitmap.width);
+    const finalHeight = Math.max(img1.bitmap.height, img2.bitmap.height);
+
+    img1.resize(finalWidth, finalHeight);
+    img2.resize(finalWidth, finalHeight);
+
+    const img1Data = new Uint8ClampedArray(img1.bitmap.data);
+    const img2Data = new Uint8ClampedArray(img2.bitmap.data);
+
+    // Создаем изображение различий
+    const diffData = new Uint8ClampedArray(finalWidth * finalHeight * 4);
+    const diffPixels = pixelmatch(img1Data, img2Data, diffData, finalWidth, finalHeight, {
+        threshold: 0.1,
+        includeAA: false
+    });
+
+    // Вычисляем SSIM
+    const ssimValue = calculateSSIM(img1Data, img2Data, finalWidth, finalHeight);
+
+    // Анализ цветовых различий
+    let colorDifferences = 0;
+    let maxColorDiff = 0;
+
+    for (let i = 0; i < img1Data.length; i += 4) {
+        const rDiff = Math.abs(img1Data[i] - img2Data[i]);
+        const gDiff = Math.abs(img1Data[i + 1] - img2Data[i + 1]);
+        const bDiff = Math.abs(img1Data[i + 2] - img2Data[i + 2]);
+        const totalDiff = rDiff + gDiff + bDiff;
+
+        if (totalDiff > 30) { // Порог для значимого отличия
+            colorDifferences++;
+        }
+        maxColorDiff = Math.max(maxColorDiff, totalDiff);
+    }
+
+    const totalPixels = finalWidth * finalHeight;
+    const pixelDifferencePercent = (diffPixels / totalPixels) * 100;
+    const colorDifferencePercent = (colorDifferences / totalPixels) * 100;
+
+    const result = {
+        identical: diffPixels === 0,
+        withinThreshold: pixelDifferencePercent <= (threshold * 100),
+        metrics: {
+            pixelDifferences: diffPixels,
+            pixelDifferencePercent: Math.round(pixelDifferencePercent * 100) / 100,
+            colorDifferencePercent: Math.round(colorDifferencePercent * 100) / 100,
+            ssim: Math.round(ssimValue * 10000) / 10000,
+            maxColorDifference: maxColorDiff,
+            totalPixels: totalPixels
+        },
+        dimensions: {
+            width: finalWidth,
+            height: finalHeight
+        },
+        analysis: {
+            visualSimilarity: ssimValue > 0.95 ? 'Very High' : ssimValue > 0.85 ? 'High' : ssimValue > 0.7 ? 'Medium' : 'Low',
+            recommendation: pixelDifferencePercent < 1 ? 'Acceptable' : pixelDifferencePercent < 5 ? 'Minor Issues' : 'Significant Differences'
+        }
+    };
+
+    let heatMap = null;
+    if (generateHeatMap && diffPixels > 0) {
+        const diffImg = new Jimp({ data: Buffer.from(diffData), width: finalWidth, height: finalHeight });
+        heatMap = await diffImg.getBufferAsync(Jimp.MIME_PNG);
+    }
+
+    return { result, heatMap, originalDimensions };
+}
+
 /* 19) compareVisualAdvanced - продвинутое сравнение с heat map */
 server.registerTool(
     'compareVisualAdvanced',
@@ -2044,22 +7009,27 @@ Uses advanced computer vision techniques to identify even 1-2% differences in de
             selector: z.string().describe('CSS selector for elements to compare'),
             threshold: z.number().min(0).max(1).optional().describe('Difference threshold (0-1, default: 0.01)'),
             padding: z.number().optional().describe('Padding around element in pixels'),
-            generateHeatMap: z.boolean().optional().describe('Generate difference heat map (default: true)')
+            generateHeatMap: z.boolean().optional().describe('Generate difference heat map (default: true)'),
+            emulation: z.object(emulationSchema).optional().describe('Media features / vision deficiency to emulate on both pages (same fields as setEmulation)')
         }
     },
-    async ({ url1, url2, selector, threshold = 0.01, padding = 0, generateHeatMap = true }) => {
+    async ({ url1, url2, selector, threshold = 0.01, padding = 0, generateHeatMap = true, emulation }) => {
         const { page: page1 } = await createPage();
         const { page: page2 } = await createPage();
         
         try {
+            if (emulation) {
+                await Promise.all([applyEmulation(page1, emulation), applyEmulation(page2, emulation)]);
+            }
+
             await Promise.all([
                 page1.goto(url1, { waitUntil: 'networkidle2' }),
                 page2.goto(url2, { waitUntil: 'networkidle2' })
             ]);
             
             const [element1, element2] = await Promise.all([
-                page1.$(selector),
-                page2.$(selector)
+                locateElement(page1.mainFrame(), selector),
+                locateElement(page2.mainFrame(), selector)
             ]);
             
             if (!element1) throw new Error( `Selector not found on first page: ${selector}`);
@@ -2085,81 +7055,17 @@ Uses advanced computer vision techniques to identify even 1-2% differences in de
             };
             
             const [buffer1, buffer2] = await Promise.all([
-                page1.screenshot({ clip }),
-                page2.screenshot({ clip })
-            ]);
-            
-            // Загружаем изображения через Jimp для детального анализа
-            const [img1, img2] = await Promise.all([
-                Jimp.read(buffer1),
-                Jimp.read(buffer2)
-            ]);
-            
-            // Приводим к одинаковым размерам
-            const finalWidth = Math.max(img1.bitmap.width, img2.bitmap.width);
-            const finalHeight = Math.max(img1.bitmap.height, img2.bitmap.height);
-            
-            img1.resize(finalWidth, finalHeight);
-            img2.resize(finalWidth, finalHeight);
-            
-            const img1Data = new Uint8ClampedArray(img1.bitmap.data);
-            const img2Data = new Uint8ClampedArray(img2.bitmap.data);
-            
-            // Создаем изображение различий
-            const diffData = new Uint8ClampedArray(finalWidth * finalHeight * 4);
-            const diffPixels = pixelmatch(img1Data, img2Data, diffData, finalWidth, finalHeight, {
-                threshold: 0.1,
-                includeAA: false
-            });
-            
-            // Вычисляем SSIM
-            const ssimValue = calculateSSIM(img1Data, img2Data, finalWidth, finalHeight);
-            
-            // Анализ цветовых различий
-            let colorDifferences = 0;
-            let maxColorDiff = 0;
-            
-            for (let i = 0; i < img1Data.length; i += 4) {
-                const rDiff = Math.abs(img1Data[i] - img2Data[i]);
-                const gDiff = Math.abs(img1Data[i + 1] - img2Data[i + 1]);
-                const bDiff = Math.abs(img1Data[i + 2] - img2Data[i + 2]);
-                const totalDiff = rDiff + gDiff + bDiff;
-                
-                if (totalDiff > 30) { // Порог для значимого отличия
-                    colorDifferences++;
-                }
-                maxColorDiff = Math.max(maxColorDiff, totalDiff);
-            }
-            
-            const totalPixels = finalWidth * finalHeight;
-            const pixelDifferencePercent = (diffPixels / totalPixels) * 100;
-            const colorDifferencePercent = (colorDifferences / totalPixels) * 100;
-            
-            const result = {
-                identical: diffPixels === 0,
-                withinThreshold: pixelDifferencePercent <= (threshold * 100),
-                metrics: {
-                    pixelDifferences: diffPixels,
-                    pixelDifferencePercent: Math.round(pixelDifferencePercent * 100) / 100,
-                    colorDifferencePercent: Math.round(colorDifferencePercent * 100) / 100,
-                    ssim: Math.round(ssimValue * 10000) / 10000,
-                    maxColorDifference: maxColorDiff,
-                    totalPixels: totalPixels
-                },
-                dimensions: {
-                    width: finalWidth,
-                    height: finalHeight
-                },
-                analysis: {
-                    visualSimilarity: ssimValue > 0.95 ? 'Very High' : ssimValue > 0.85 ? 'High' : ssimValue > 0.7 ? 'Medium' : 'Low',
-                    recommendation: pixelDifferencePercent < 1 ? 'Acceptable' : pixelDifferencePercent < 5 ? 'Minor Issues' : 'Significant Differences'
-                }
-            };
+                page1.screenshot({ clip }),
+                page2.screenshot({ clip })
+            ]);
+            
+            const { result, heatMap } = await analyzeImageDifference(buffer1, buffer2, { threshold, generateHeatMap });
+            const activeEmulation = describeEmulation(page1);
             
             const content = [
                 {
                     type: 'text',
-                    text: JSON.stringify(result, null, 2)
+                    text: JSON.stringify(activeEmulation ? { ...result, emulation: activeEmulation } : result, null, 2)
                 },
                 {
                     type: 'image',
@@ -2173,13 +7079,10 @@ Uses advanced computer vision techniques to identify even 1-2% differences in de
                 }
             ];
             
-            if (generateHeatMap && diffPixels > 0) {
-                const diffImg = new Jimp({ data: Buffer.from(diffData), width: finalWidth, height: finalHeight });
-                const diffBuffer = await diffImg.getBufferAsync(Jimp.MIME_PNG);
-                
+            if (heatMap) {
                 content.push({
                     type: 'image',
-                    data: diffBuffer.toString('base64'),
+                    data: heatMap.toString('base64'),
                     mimeType: 'image/png'
                 });
             }
@@ -2221,8 +7124,8 @@ server.registerTool(
             ]);
             
             const [element1, element2] = await Promise.all([
-                page1.$(selector),
-                page2.$(selector)
+                locateElement(page1.mainFrame(), selector),
+                locateElement(page2.mainFrame(), selector)
             ]);
             
             if (!element1) throw new Error( `Selector not found on first page: ${selector}`);
@@ -2355,6 +7258,483 @@ server.registerTool(
     }
 );
 
+/* ================== ЭТАЛОННЫЕ СКРИНШОТЫ (BASELINES) ================== */
+
+/* Утилита: пути к файлам baseline по имени */
+function getBaselinePaths(name) {
+    // Имя не переписываем: "a b" и "a_b" иначе попали бы в один файл, а "foo.actual" - в снимок baseline "foo"
+    const safeName = String(name || '');
+    if (!/^[a-zA-Z0-9][a-zA-Z0-9._-]*$/.test(safeName) || safeName.endsWith('.actual')) {
+        throw new Error(`Invalid baseline name: "${name}". Use letters, digits, ".", "_" or "-", starting with a letter or digit and not ending in ".actual"`);
+    }
+    return {
+        name: safeName,
+        image: path.join(BASELINE_DIR, `${safeName}.png`),
+        actual: path.join(BASELINE_DIR, `${safeName}.actual.png`),
+        meta: path.join(BASELINE_DIR, `${safeName}.json`)
+    };
+}
+
+/* Утилита: прочитать метаданные baseline */
+function readBaselineMeta(name) {
+    const paths = getBaselinePaths(name);
+    if (!fs.existsSync(paths.meta) || !fs.existsSync(paths.image)) {
+        throw new Error(`Baseline not found: "${name}" (looked in ${BASELINE_DIR}). Create it with saveBaseline first.`);
+    }
+    return { paths, meta: JSON.parse(fs.readFileSync(paths.meta, 'utf8')) };
+}
+
+/* Утилита: текущий viewport страницы (page.viewport() пуст при defaultViewport: null) */
+async function getCurrentViewport(page) {
+    const viewport = page.viewport();
+    if (viewport) {
+        return { width: viewport.width, height: viewport.height, deviceScaleFactor: viewport.deviceScaleFactor || 1 };
+    }
+    return page.evaluate(() => ({
+        width: window.innerWidth,
+        height: window.innerHeight,
+        deviceScaleFactor: window.devicePixelRatio
+    }));
+}
+
+/* Утилита: скриншот элемента с отступом (та же логика clip, что и в screenshot) */
+async function captureElementScreenshot(page, selector, padding = 0, frame) {
+    const el = await resolveElement(page, selector, frame);
+
+    const clip = await getElementClip(page, el, padding);
+    if (!clip) {
+        throw new Error(`Element is not visible or has no bounding box: ${selector}`);
+    }
+
+    const buffer = await page.screenshot({ clip });
+    return { buffer, clip };
+}
+
+/* Утилита: переснять элемент эталона на странице и сравнить с сохранённым PNG (снимок пишется в <name>.actual.png) */
+async function compareElementToBaseline(page, name, { threshold = 0.01, generateHeatMap = true } = {}) {
+    const { paths, meta } = readBaselineMeta(name);
+    const current = await getCurrentViewport(page);
+    // viewport эталона - только на время снимка, иначе следующие шаги сценария шли бы уже в нём
+    const previousViewport = page.viewport();
+    const switchViewport = meta.viewport && (current.width !== meta.viewport.width || current.height !== meta.viewport.height ||
+        current.deviceScaleFactor !== meta.viewport.deviceScaleFactor);
+    let buffer;
+    try {
+        if (switchViewport) {
+            await page.setViewport(meta.viewport);
+        }
+        ({ buffer } = await captureElementScreenshot(page, meta.selector, meta.padding || 0, meta.frame));
+    } finally {
+        if (switchViewport) {
+            await page.setViewport(previousViewport).catch(() => {});
+        }
+    }
+    const baselineBuffer = fs.readFileSync(paths.image);
+    fs.writeFileSync(paths.actual, buffer);
+
+    const { result, heatMap, originalDimensions } = await analyzeImageDifference(baselineBuffer, buffer, { threshold, generateHeatMap });
+
+    const report = {
+        baseline: {
+            name: meta.name,
+            url: meta.url,
+            selector: meta.selector,
+            frame: meta.frame,
+            viewport: meta.viewport,
+            updatedAt: meta.updatedAt
+        },
+        comparedUrl: page.url(),
+        dimensionsChanged: originalDimensions.image1.width !== originalDimensions.image2.width ||
+            originalDimensions.image1.height !== originalDimensions.image2.height,
+        originalDimensions: {
+            baseline: originalDimensions.image1,
+            actual: originalDimensions.image2
+        },
+        ...result,
+        actualFile: paths.actual,
+        nextStep: result.identical
+            ? 'Baseline matches'
+            : `If this change is intended, call acceptBaseline({ name: "${meta.name}" }) to make the new capture the baseline`
+    };
+
+    return { report, baselineBuffer, buffer, heatMap };
+}
+
+/* saveBaseline - сохранение эталонного скриншота элемента */
+server.registerTool(
+    'saveBaseline',
+    {
+        title: 'Save Visual Baseline',
+        description: `Capture an element and store it as a named visual baseline (PNG + JSON metadata with URL, selector, viewport and padding) in the local baseline directory (BASELINE_DIR env var, default: ./.devchrome/baselines).
+
+Use compareToBaseline later to check the same element against this stored reference - no second live URL needed. Refuses to replace an existing baseline unless overwrite is true; to promote a new capture after a comparison, use acceptBaseline.`,
+        inputSchema: {
+            name: z.string().describe('Baseline name, e.g. "header-desktop" (letters, digits, ".", "_", "-")'),
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            selector: z.string().describe('CSS selector for the element to capture'),
+            frame: frameSchema,
+            padding: z.number().optional().describe('Padding around element in pixels'),
+            viewport: z.object({
+                width: z.number().min(320).max(4000).describe('Viewport width in pixels'),
+                height: z.number().min(200).max(3000).describe('Viewport height in pixels'),
+                deviceScaleFactor: z.number().min(0.5).max(3).optional().describe('Device pixel ratio (default: 1)')
+            }).optional().describe('Viewport to set before capturing (optional, current viewport is recorded otherwise)'),
+            overwrite: z.boolean().optional().describe('Replace an existing baseline with the same name (default: false)')
+        }
+    },
+    async ({ name, url, pageId, selector, frame, padding = 0, viewport, overwrite = false }) => {
+        const paths = getBaselinePaths(name);
+        if (!overwrite && fs.existsSync(paths.image)) {
+            throw new Error(`Baseline "${paths.name}" already exists. Pass overwrite: true or use compareToBaseline + acceptBaseline.`);
+        }
+
+        const page = await getPageForOperation(url, pageId);
+        // viewport из параметров - только на время снимка (null - эмуляции не было, снимаем её)
+        const previousViewport = page.viewport();
+        let buffer;
+        let clip;
+        let baselineViewport;
+        try {
+            if (viewport) {
+                await page.setViewport({ deviceScaleFactor: 1, ...viewport });
+            }
+            ({ buffer, clip } = await captureElementScreenshot(page, selector, padding, frame));
+            baselineViewport = await getCurrentViewport(page);
+        } finally {
+            if (viewport) {
+                await page.setViewport(previousViewport).catch(() => {});
+            }
+        }
+        const image = await Jimp.read(buffer);
+        const now = new Date().toISOString();
+        const previous = fs.existsSync(paths.meta) ? JSON.parse(fs.readFileSync(paths.meta, 'utf8')) : null;
+
+        const meta = {
+            name: paths.name,
+            url: page.url(),
+            selector,
+            frame,
+            padding,
+            viewport: baselineViewport,
+            dimensions: { width: image.bitmap.width, height: image.bitmap.height },
+            clip,
+            createdAt: previous?.createdAt || now,
+            updatedAt: now
+        };
+
+        fs.mkdirSync(BASELINE_DIR, { recursive: true });
+        fs.writeFileSync(paths.image, buffer);
+        fs.writeFileSync(paths.meta, JSON.stringify(meta, null, 2));
+        fs.rmSync(paths.actual, { force: true });
+
+        return {
+            content: [
+                { type: 'text', text: JSON.stringify({ saved: true, file: paths.image, baseline: meta }, null, 2) },
+                { type: 'image', data: buffer.toString('base64'), mimeType: 'image/png' }
+            ]
+        };
+    }
+);
+
+/* compareToBaseline - сравнение элемента с сохранённым эталоном */
+server.registerTool(
+    'compareToBaseline',
+    {
+        title: 'Compare to Visual Baseline',
+        description: `Re-capture the element of a stored baseline and compare it against the saved PNG using the same pixelmatch + SSIM pipeline as compareVisualAdvanced.
+
+The stored viewport is applied for the capture (the previous one is put back afterwards), and the page is taken from the stored URL unless url is given (e.g. to compare staging against a baseline saved on production). The new capture is kept next to the baseline as <name>.actual.png; if the change is intended, call acceptBaseline to promote it.
+
+Returns metrics (pixel difference, SSIM, color difference), the baseline image, the new capture and a heat map when they differ.`,
+        inputSchema: {
+            name: z.string().describe('Baseline name used with saveBaseline'),
+            url: z.string().optional().describe('Page URL (optional, defaults to the URL stored with the baseline)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            threshold: z.number().min(0).max(1).optional().describe('Difference threshold (0-1, default: 0.01)'),
+            generateHeatMap: z.boolean().optional().describe('Generate difference heat map (default: true)')
+        }
+    },
+    async ({ name, url, pageId, threshold = 0.01, generateHeatMap = true }) => {
+        const { meta } = readBaselineMeta(name);
+
+        const page = await getPageForOperation(url || meta.url, pageId);
+        const { report, baselineBuffer, buffer, heatMap } = await compareElementToBaseline(page, name, { threshold, generateHeatMap });
+
+        const content = [
+            { type: 'text', text: JSON.stringify(report, null, 2) },
+            { type: 'image', data: baselineBuffer.toString('base64'), mimeType: 'image/png' },
+            { type: 'image', data: buffer.toString('base64'), mimeType: 'image/png' }
+        ];
+
+        if (heatMap) {
+            content.push({ type: 'image', data: heatMap.toString('base64'), mimeType: 'image/png' });
+        }
+
+        return { content };
+    }
+);
+
+/* acceptBaseline - принять последний снимок как новый эталон */
+server.registerTool(
+    'acceptBaseline',
+    {
+        title: 'Accept New Visual Baseline',
+        description: 'Promote the capture taken by the last compareToBaseline call (<name>.actual.png) to be the stored baseline. Use this only after reviewing the comparison and confirming the visual change is intended.',
+        inputSchema: {
+            name: z.string().describe('Baseline name used with saveBaseline')
+        }
+    },
+    async ({ name }) => {
+        const { paths, meta } = readBaselineMeta(name);
+        if (!fs.existsSync(paths.actual)) {
+            throw new Error(`No pending capture for baseline "${meta.name}". Run compareToBaseline first.`);
+        }
+
+        const buffer = fs.readFileSync(paths.actual);
+        const image = await Jimp.read(buffer);
+        const updated = {
+            ...meta,
+            dimensions: { width: image.bitmap.width, height: image.bitmap.height },
+            updatedAt: new Date().toISOString()
+        };
+
+        fs.renameSync(paths.actual, paths.image);
+        fs.writeFileSync(paths.meta, JSON.stringify(updated, null, 2));
+
+        return {
+            content: [
+                { type: 'text', text: JSON.stringify({ accepted: true, file: paths.image, baseline: updated }, null, 2) },
+                { type: 'image', data: buffer.toString('base64'), mimeType: 'image/png' }
+            ]
+        };
+    }
+);
+
+/* listBaselines - список сохранённых эталонов */
+server.registerTool(
+    'listBaselines',
+    {
+        title: 'List Visual Baselines',
+        description: 'List stored visual baselines with their metadata (URL, selector, viewport, dimensions, last update) and whether a capture is pending acceptance.',
+        inputSchema: {}
+    },
+    async () => {
+        const baselines = [];
+        if (fs.existsSync(BASELINE_DIR)) {
+            for (const file of fs.readdirSync(BASELINE_DIR).sort()) {
+                if (!file.endsWith('.json')) continue;
+                try {
+                    const meta = JSON.parse(fs.readFileSync(path.join(BASELINE_DIR, file), 'utf8'));
+                    const paths = getBaselinePaths(meta.name);
+                    baselines.push({ ...meta, pendingCapture: fs.existsSync(paths.actual) });
+                } catch (e) {
+                    // Пропускаем повреждённые файлы метаданных
+                    continue;
+                }
+            }
+        }
+
+        return {
+            content: [{
+                type: 'text',
+                text: JSON.stringify({ directory: BASELINE_DIR, total: baselines.length, baselines }, null, 2)
+            }]
+        };
+    }
+);
+
+/* ================== СЦЕНАРИИ ================== */
+
+const SCENARIO_ACTIONS = ['navigate', 'click', 'type', 'press', 'hover', 'wait-for', 'assert-text', 'assert-visible', 'screenshot', 'compare-to-baseline'];
+
+const scenarioStepSchema = z.object({
+    action: z.enum(SCENARIO_ACTIONS).describe('Step type'),
+    label: z.string().optional().describe('Human-readable step name for the log'),
+    url: z.string().optional().describe('navigate: URL to open'),
+    selector: z.string().optional().describe('Target element (click, type, hover, assert-*, wait-for, screenshot; optional for press)'),
+    frame: frameSchema.describe('Frame of the step\'s elements: iframe name/id, URL substring or index (default: main frame)'),
+    text: z.string().optional().describe('type: text to type; assert-text / wait-for: expected text'),
+    key: z.string().optional().describe('press: key or chord, e.g. "Enter", "Shift+Tab", "Control+A"'),
+    exact: z.boolean().optional().describe('assert-text: require the whole text to match (default: substring)'),
+    state: z.enum(['visible', 'hidden', 'attached', 'detached']).optional().describe('wait-for: element state (default: visible)'),
+    within: z.string().optional().describe('wait-for: element to search the text in (default: body)'),
+    urlMatches: z.string().optional().describe('wait-for: URL substring or /regex/'),
+    networkIdleMs: z.number().optional().describe('wait-for: no network requests for this many ms'),
+    predicate: z.string().optional().describe('wait-for: JS expression or function that must become truthy'),
+    animationsFinished: z.boolean().optional().describe('wait-for: finite animations finished (in selector or the whole page)'),
+    ms: z.number().optional().describe('wait-for: fixed pause in ms (when no other condition is given)'),
+    delayMs: z.number().optional().describe('type: delay between key presses'),
+    fullPage: z.boolean().optional().describe('screenshot without selector: full page instead of viewport'),
+    padding: z.number().optional().describe('screenshot: padding around the element'),
+    name: z.string().optional().describe('compare-to-baseline: baseline name (see saveBaseline)'),
+    threshold: z.number().min(0).max(1).optional().describe('compare-to-baseline: difference threshold (default: 0.01)'),
+    waitUntil: z.enum(['load', 'domcontentloaded', 'networkidle0', 'networkidle2']).optional().describe('navigate: wait until event (default: networkidle2)'),
+    timeoutMs: z.number().optional().describe('Override the scenario step timeout for this step')
+});
+
+// Выполнить один шаг сценария; возвращает { detail, images }
+async function runScenarioStep(page, step, timeout) {
+    const need = (field) => {
+        if (step[field] === undefined) throw new Error(`Step "${step.action}" requires ${field}`);
+        return step[field];
+    };
+    // Элементы шага ищем во фрейме step.frame (если задан)
+    const context = await resolveFrame(page, step.frame);
+
+    switch (step.action) {
+        case 'navigate': {
+            const target = need('url');
+            await syncInterception(page);
+            const response = await page.goto(target, { waitUntil: step.waitUntil || 'networkidle2', timeout: Math.max(timeout, 30000) });
+            return { detail: `${response ? response.status() : 'no response'} ${page.url()}` };
+        }
+        case 'click': {
+            const element = await waitForElementState(context, need('selector'), 'visible', timeout);
+            const method = await activateElement(page, element);
+            return { detail: method === 'tap' ? 'tapped' : 'clicked' };
+        }
+        case 'hover': {
+            const element = await waitForElementState(context, need('selector'), 'visible', timeout);
+            await element.hover();
+            return {};
+        }
+        case 'type': {
+            const element = await waitForElementState(context, need('selector'), 'visible', timeout);
+            await typeIntoElement(page, element, need('text'), { delay: step.delayMs || 0 });
+            return {};
+        }
+        case 'press': {
+            if (step.selector) {
+                const element = await waitForElementState(context, step.selector, 'visible', timeout);
+                await element.focus();
+            }
+            await pressKeyChord(page, need('key'));
+            return {};
+        }
+        case 'wait-for': {
+            const { selector, state, text, within, urlMatches, networkIdleMs, predicate, animationsFinished } = step;
+            const condition = { selector, state, text, within, frame: step.frame, urlMatches, networkIdleMs, predicate, animationsFinished, timeoutMs: timeout };
+            if (hasWaitCondition(condition)) {
+                const { conditions } = await waitForConditions(page, condition);
+                return { detail: conditions.join(', ') };
+            }
+            await new Promise(resolve => setTimeout(resolve, need('ms')));
+            return {};
+        }
+        case 'assert-text': {
+            const selector = step.selector || 'body';
+            await waitForTextContent(context, selector, need('text'), step.exact === true, timeout);
+            return { detail: `${selector} ${step.exact ? 'equals' : 'contains'} "${step.text}"` };
+        }
+        case 'assert-visible': {
+            await waitForElementState(context, need('selector'), 'visible', timeout);
+            return { detail: `${step.selector} is visible` };
+        }
+        case 'screenshot': {
+            if (step.selector) {
+                await waitForElementState(context, step.selector, 'visible', timeout);
+                const { buffer } = await captureElementScreenshot(page, step.selector, step.padding || 0, step.frame);
+                return { images: [buffer] };
+            }
+            return { images: [await page.screenshot({ fullPage: step.fullPage === true })] };
+        }
+        case 'compare-to-baseline': {
+            const { report, buffer, heatMap } = await compareElementToBaseline(page, need('name'), { threshold: step.threshold ?? 0.01 });
+            const images = heatMap ? [buffer, heatMap] : [buffer];
+            if (!report.withinThreshold) {
+                const error = new Error(`Baseline "${step.name}" differs: ${report.metrics.pixelDifferencePercent}% pixels (threshold ${(step.threshold ?? 0.01) * 100}%)${report.dimensionsChanged ? ', dimensions changed' : ''}`);
+                error.images = images;
+                throw error;
+            }
+            return { detail: `matches baseline (${report.metrics.pixelDifferencePercent}% pixels differ)`, images };
+        }
+        default:
+            throw new Error(`Unknown step action: ${step.action}`);
+    }
+}
+
+/* runScenario - пошаговый сценарий на одной странице до первой ошибки */
+server.registerTool(
+    'runScenario',
+    {
+        title: 'Run Multi-Step Scenario',
+        description: `Run an ordered list of steps on one page in a single call and stop at the first failure. Replaces separate click/hover/scrollTo round trips with fixed sleeps: every step waits for its element (visible) up to the step timeout instead.
+
+Steps: navigate (url), click (selector; a tap on touch device presets), type (selector, text, delayMs), press (key or chord like "Shift+Tab", optional selector to focus), hover (selector), wait-for (selector + state, text, urlMatches, networkIdleMs, predicate, animationsFinished - same conditions as the waitFor tool - or a fixed ms pause), assert-text (text in selector or body, substring unless exact), assert-visible (selector), screenshot (selector or viewport/fullPage), compare-to-baseline (name from saveBaseline, threshold).
+
+Returns a per-step log (status passed/failed/skipped, durationMs, detail or error, indexes of captured images) followed by the images. On failure a viewport screenshot of the failure state is added.`,
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            steps: z.array(scenarioStepSchema).min(1).describe('Ordered steps'),
+            stepTimeoutMs: z.number().optional().describe('Default timeout for waiting in each step (default: 10000)'),
+            screenshotOnFailure: z.boolean().optional().describe('Capture the viewport when a step fails (default: true)')
+        }
+    },
+    async ({ url, pageId, steps, stepTimeoutMs = 10000, screenshotOnFailure = true }) => {
+        const page = await getPageForOperation(url, pageId);
+        const log = [];
+        const images = [];
+        let failed = null;
+        const startedAt = Date.now();
+
+        const addImages = (buffers = []) => buffers.map(buffer => {
+            images.push(buffer);
+            return images.length;
+        });
+
+        for (let i = 0; i < steps.length; i++) {
+            const step = steps[i];
+            const entry = { step: i + 1, action: step.action };
+            if (step.label) entry.label = step.label;
+            if (failed) {
+                log.push({ ...entry, status: 'skipped' });
+                continue;
+            }
+
+            const stepStart = Date.now();
+            try {
+                const { detail, images: stepImages } = await runScenarioStep(page, step, step.timeoutMs ?? stepTimeoutMs);
+                entry.status = 'passed';
+                if (detail) entry.detail = detail;
+                if (stepImages) entry.images = addImages(stepImages);
+            } catch (error) {
+                entry.status = 'failed';
+                entry.error = error.message;
+                if (error.images) entry.images = addImages(error.images);
+                if (screenshotOnFailure) {
+                    const failureShot = await page.screenshot().catch(() => null);
+                    if (failureShot) entry.failureScreenshot = addImages([failureShot])[0];
+                }
+                failed = entry;
+            }
+            entry.durationMs = Date.now() - stepStart;
+            log.push(entry);
+        }
+
+        const summary = {
+            status: failed ? 'failed' : 'passed',
+            passed: log.filter(e => e.status === 'passed').length,
+            failed: failed ? 1 : 0,
+            skipped: log.filter(e => e.status === 'skipped').length,
+            totalDurationMs: Date.now() - startedAt,
+            pageId: page._pageId,
+            finalUrl: page.url()
+        };
+        if (failed) {
+            summary.failedAt = `step ${failed.step} (${failed.label || failed.action}): ${failed.error}`;
+        }
+
+        return {
+            content: [
+                { type: 'text', name: 'scenario', text: JSON.stringify({ summary, steps: log }, null, 2) },
+                ...images.map(buffer => ({ type: 'image', data: Buffer.from(buffer).toString('base64'), mimeType: 'image/png' }))
+            ]
+        };
+    }
+);
+
 /* ================== БЛОК 2: FIGMA ИНТЕГРАЦИЯ ================== */
 
 /* Утилита для работы с Figma API */
@@ -2524,21 +7904,20 @@ Eliminates guesswork by providing direct, automated design-vs-reality comparison
             figmaToken: z.string().optional().describe('Figma API token (optional if FIGMA_TOKEN env var is set)'),
             fileKey: z.string().describe('Figma file key'),
             nodeId: z.string().describe('Figma frame/component ID'),
-            url: z.string().url().describe('Web page URL'),
             url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
-
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
             selector: z.string().describe('CSS selector for page element'),
             threshold: z.number().min(0).max(1).optional().describe('Difference threshold (0-1, default: 0.05)'),
             figmaScale: z.number().min(0.1).max(4).optional().describe('Figma export scale (default: 2)')
         }
     },
-    async ({ figmaToken, fileKey, nodeId, url, selector, threshold = 0.05, figmaScale = 2 }) => {
+    async ({ figmaToken, fileKey, nodeId, url, pageId, selector, threshold = 0.05, figmaScale = 2 }) => {
         // Use provided token or fall back to environment variable
         const token = figmaToken || FIGMA_TOKEN;
         if (!token) {
             throw new McpError(ErrorCode.InvalidRequest, 'Figma token is required. Pass it as parameter or set FIGMA_TOKEN environment variable in MCP config.');
         }
-        const page = await getPageForOperation(url);
+        const page = await getPageForOperation(url, pageId);
         
         try {
             // Получаем Figma изображение
@@ -2555,7 +7934,7 @@ Eliminates guesswork by providing direct, automated design-vs-reality comparison
             const figmaResponse = await fetch(figmaImageUrl);
             const figmaBuffer = await figmaResponse.buffer();
             
-            // Получаем скриншот элемента страницы            const element = await page.$(selector);
+            // Получаем скриншот элемента страницы            const element = await locateElement(page.mainFrame(), selector);
             
             if (!element) {
                 throw new Error( `Selector not found: ${selector}`);
@@ -2629,8 +8008,8 @@ Eliminates guesswork by providing direct, automated design-vs-reality comparison
             
             return { content };
             
-        } finally {
-            await page.close().catch(() => {});
+        } catch (error) {
+            throw error;
         }
     }
 );
@@ -2807,8 +8186,7 @@ server.registerTool(
             
             // Получаем типографические свойства с обеих страниц
             async function getTypographyData(page, sel) {
-                return await page.evaluate((selector) => {
-                    const elements = document.querySelectorAll(selector);
+                return await page.evaluate((selector, ...elements) => {
                     const results = [];
                     
                     elements.forEach((element, index) => {
@@ -2833,7 +8211,7 @@ server.registerTool(
                     });
                     
                     return results;
-                }, sel);
+                }, sel, ...await locateAllElements(page.mainFrame(), sel));
             }
             
             const [typography1, typography2] = await Promise.all([
@@ -2982,8 +8360,7 @@ server.registerTool(
             
             // Получаем данные о spacing
             async function getSpacingData(page, sel) {
-                return await page.evaluate((selector) => {
-                    const elements = document.querySelectorAll(selector);
+                return await page.evaluate((selector, ...elements) => {
                     const results = [];
                     
                     elements.forEach((element, index) => {
@@ -3030,7 +8407,7 @@ server.registerTool(
                     });
                     
                     return results;
-                }, sel);
+                }, sel, ...await locateAllElements(page.mainFrame(), sel));
             }
             
             const [spacing1, spacing2] = await Promise.all([
@@ -3190,8 +8567,7 @@ server.registerTool(
             
             // Получаем данные о layout
             async function getLayoutData(page, sel, includeChilds) {
-                return await page.evaluate((selector, includeChildren) => {
-                    const elements = document.querySelectorAll(selector);
+                return await page.evaluate((selector, includeChildren, ...elements) => {
                     const results = [];
                     
                     elements.forEach((element, index) => {
@@ -3270,7 +8646,7 @@ server.registerTool(
                     });
                     
                     return results;
-                }, sel, includeChilds);
+                }, sel, includeChilds, ...await locateAllElements(page.mainFrame(), sel));
             }
             
             const [layout1, layout2] = await Promise.all([
@@ -3523,8 +8899,7 @@ The tool suggests tolerance adjustments based on failure patterns:
             
             // Получаем данные для сравнения
             async function getComparisonData(page, sel) {
-                return await page.evaluate((selector) => {
-                    const elements = document.querySelectorAll(selector);
+                return await page.evaluate((selector, ...elements) => {
                     const results = [];
                     
                     elements.forEach((element, index) => {
@@ -3587,7 +8962,7 @@ The tool suggests tolerance adjustments based on failure patterns:
                     });
                     
                     return results;
-                }, sel);
+                }, sel, ...await locateAllElements(page.mainFrame(), sel));
             }
             
             const [data1, data2] = await Promise.all([
@@ -3795,9 +9170,8 @@ server.registerTool(
         title: 'Validate Design System Compliance',
         description: 'Check if page elements comply with design system standards including colors, typography, spacing, and component variations with defined tolerances.',
         inputSchema: {
-            url: z.string().url().describe('Page URL to validate'),
             url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
-
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
             selector: z.string().describe('CSS selector for elements to validate'),
             designSystem: z.object({
                 colors: z.array(z.string()).optional().describe('Allowed colors in hex format (e.g., ["#FF0000", "#00FF00"])'),
@@ -3811,8 +9185,8 @@ server.registerTool(
             }).optional().describe('Tolerance settings')
         }
     },
-    async ({ selector, designSystem, tolerance = {} }) => {
-        const page = await getPageForOperation(url);
+    async ({ url, pageId, selector, designSystem, tolerance = {} }) => {
+        const page = await getPageForOperation(url, pageId);
         
         const config = {
             colorTolerance: tolerance.color || 15,
@@ -3820,8 +9194,7 @@ server.registerTool(
         };
         
         try {            // Получаем данные элементов
-            const elementData = await page.evaluate((sel) => {
-                const elements = document.querySelectorAll(sel);
+            const elementData = await page.evaluate((sel, ...elements) => {
                 const results = [];
                 
                 elements.forEach((element, index) => {
@@ -3874,7 +9247,7 @@ server.registerTool(
                 });
                 
                 return results;
-            }, selector);
+            }, selector, ...await locateAllElements(page.mainFrame(), selector));
             
             if (elementData.length === 0) {
                 throw new Error( `No elements found for selector "${selector}"`);
@@ -4090,8 +9463,8 @@ server.registerTool(
                 ]
             };
             
-        } finally {
-            await page.close().catch(() => {});
+        } catch (error) {
+            throw error;
         }
     }
 );
@@ -4133,19 +9506,20 @@ Perfect for ensuring proper HTML semantics, accessibility structure, and compone
 - Interactive elements inventory
 - ARIA implementation assessment`,
         inputSchema: {
-            url: z.string().url().describe('Page URL to analyze'),
             url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
-
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
             selector: z.string().optional().describe('Root selector to analyze (default: body)'),
             includeAttributes: z.boolean().optional().describe('Include detailed attribute analysis (default: true)'),
-            maxDepth: z.number().min(1).max(20).optional().describe('Maximum nesting depth to analyze (default: 10)')
+            maxDepth: z.number().min(1).max(20).optional().describe('Maximum nesting depth to analyze (default: 10)'),
+            frame: frameSchema
         }
     },
-    async ({ selector = 'body', includeAttributes = true, maxDepth = 10 }) => {
-        const page = await getPageForOperation(url);
+    async ({ url, pageId, selector = 'body', includeAttributes = true, maxDepth = 10, frame }) => {
+        const page = await getPageForOperation(url, pageId);
         
-        try {            const structure = await page.evaluate((rootSelector, includeAttrs, maxD) => {
-                const rootElement = document.querySelector(rootSelector);
+        try {            const context = await resolveFrame(page, frame);
+            const root = await locateElement(context, selector);
+            const structure = await context.evaluate((rootElement, includeAttrs, maxD) => {
                 if (!rootElement) return null;
                 
                 function analyzeElement(element, depth = 0) {
@@ -4221,7 +9595,7 @@ Perfect for ensuring proper HTML semantics, accessibility structure, and compone
                 }
                 
                 return analyzeElement(rootElement);
-            }, selector, includeAttributes, maxDepth);
+            }, root, includeAttributes, maxDepth);
             
             if (!structure) {
                 throw new Error( `Selector "${selector}" not found or analysis failed`);
@@ -4340,8 +9714,8 @@ Perfect for ensuring proper HTML semantics, accessibility structure, and compone
                 ]
             };
             
-        } finally {
-            await page.close().catch(() => {});
+        } catch (error) {
+            throw error;
         }
     }
 );
@@ -4385,7 +9759,8 @@ Ensures components are properly composed and follow best practices.
             
             // Получаем иерархию с обеих страниц
             async function getHierarchy(page, sel) {
-                return await page.evaluate((selector, compareAttrs, ignoreOrd) => {
+                const root = await locateElement(page.mainFrame(), sel);
+                return await page.evaluate((root, compareAttrs, ignoreOrd) => {
                     function buildHierarchy(element) {
                         const node = {
                             tagName: element.tagName.toLowerCase(),
@@ -4417,9 +9792,8 @@ Ensures components are properly composed and follow best practices.
                         return node;
                     }
                     
-                    const element = document.querySelector(selector);
-                    return element ? buildHierarchy(element) : null;
-                }, sel, compareAttributes, ignoreOrder);
+                    return root ? buildHierarchy(root) : null;
+                }, root, compareAttributes, ignoreOrder);
             }
             
             const [hierarchy1, hierarchy2] = await Promise.all([
@@ -4590,19 +9964,20 @@ Ensures buttons work, forms submit, links navigate, and accessibility is maintai
 - Validating ARIA states and properties for screen readers
 - Testing focus management and tab order`,
         inputSchema: {
-            url: z.string().url().describe('Page URL to analyze'),
             url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
-
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
             selector: z.string().optional().describe('Container selector (default: body)'),
             testInteractions: z.boolean().optional().describe('Actually test interactions (default: false)'),
-            includeKeyboard: z.boolean().optional().describe('Test keyboard accessibility (default: true)')
+            includeKeyboard: z.boolean().optional().describe('Test keyboard accessibility (default: true)'),
+            frame: frameSchema
         }
     },
-    async ({ url, selector = 'body', testInteractions = false, includeKeyboard = true }) => {
-        const page = await getPageForOperation(url);
+    async ({ url, pageId, selector = 'body', testInteractions = false, includeKeyboard = true, frame }) => {
+        const page = await getPageForOperation(url, pageId);
         
-        try {            const analysis = await page.evaluate(async (containerSel, testInter, testKeyboard) => {
-                const container = document.querySelector(containerSel);
+        try {            const context = await resolveFrame(page, frame);
+            const root = await locateElement(context, selector);
+            const analysis = await context.evaluate(async (container, testInter, testKeyboard) => {
                 if (!container) return null;
                 
                 // Находим все интерактивные элементы
@@ -4686,7 +10061,7 @@ Ensures buttons work, forms submit, links navigate, and accessibility is maintai
                 }
                 
                 return results;
-            }, selector, testInteractions, includeKeyboard);
+            }, root, testInteractions, includeKeyboard);
             
             if (!analysis) {
                 throw new Error( `Selector "${selector}" not found`);
@@ -4805,8 +10180,362 @@ Ensures buttons work, forms submit, links navigate, and accessibility is maintai
                 ]
             };
             
-        } finally {
-            await page.close().catch(() => {});
+        } catch (error) {
+            throw error;
+        }
+    }
+);
+
+/* -------------------- Обход клавиатурой (Tab / Shift+Tab) -------------------- */
+// Описание текущего фокуса: проходит через shadow root и same-origin iframe до реального элемента.
+// Идентичность элементов между вызовами держим в WeakMap на window, не трогая DOM.
+function describeActiveElementScript() {
+    const ids = window.__devchromeFocusIds || (window.__devchromeFocusIds = { map: new WeakMap(), next: 1 });
+    const selectorFor = (el) => {
+        if (el.id) return `#${CSS.escape(el.id)}`;
+        const parts = [];
+        let current = el;
+        while (current && current.nodeType === 1 && parts.length < 5) {
+            if (current.id) {
+                parts.unshift(`#${CSS.escape(current.id)}`);
+                break;
+            }
+            let part = current.tagName.toLowerCase();
+            const parent = current.parentElement;
+            if (parent) {
+                const sameTag = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+                if (sameTag.length > 1) part += `:nth-of-type(${sameTag.indexOf(current) + 1})`;
+            }
+            parts.unshift(part);
+            current = parent;
+        }
+        return parts.join(' > ');
+    };
+
+    let active = document.activeElement;
+    let offsetX = 0;
+    let offsetY = 0;
+    const path = [];
+    while (active) {
+        if (active.shadowRoot && active.shadowRoot.activeElement) {
+            path.push(selectorFor(active));
+            active = active.shadowRoot.activeElement;
+            continue;
+        }
+        if ((active.tagName === 'IFRAME' || active.tagName === 'FRAME') && active.contentDocument?.activeElement &&
+            active.contentDocument.activeElement !== active.contentDocument.body) {
+            const frameRect = active.getBoundingClientRect();
+            offsetX += frameRect.left;
+            offsetY += frameRect.top;
+            path.push(selectorFor(active));
+            active = active.contentDocument.activeElement;
+            continue;
+        }
+        break;
+    }
+    if (!active || active === document.body || active === document.documentElement) {
+        return null;
+    }
+
+    if (!ids.map.has(active)) ids.map.set(active, ids.next++);
+    const rect = active.getBoundingClientRect();
+    const style = getComputedStyle(active);
+
+    // Причины, по которым элемент в фокусе не виден пользователю
+    const invisibleReasons = [];
+    if (rect.width * rect.height <= 1) invisibleReasons.push('zero or 1px size');
+    if (style.visibility === 'hidden') invisibleReasons.push('visibility: hidden');
+    let opacity = 1;
+    for (let el = active; el && el.nodeType === 1; el = el.parentElement) {
+        opacity *= parseFloat(getComputedStyle(el).opacity);
+    }
+    if (opacity < 0.05) invisibleReasons.push('opacity ~0');
+    const docWidth = Math.max(document.documentElement.scrollWidth, innerWidth);
+    const docHeight = Math.max(document.documentElement.scrollHeight, innerHeight);
+    const docLeft = rect.left + scrollX;
+    const docTop = rect.top + scrollY;
+    if (docLeft + rect.width <= 0 || docTop + rect.height <= 0 || docLeft >= docWidth || docTop >= docHeight) {
+        invisibleReasons.push('positioned outside the page');
+    } else {
+        for (let el = active.parentElement; el && el !== document.body; el = el.parentElement) {
+            const parentStyle = getComputedStyle(el);
+            if (parentStyle.overflow === 'visible' && parentStyle.clipPath === 'none') continue;
+            const box = el.getBoundingClientRect();
+            if (rect.right <= box.left || rect.left >= box.right || rect.bottom <= box.top || rect.top >= box.bottom ||
+                box.width * box.height <= 1) {
+                invisibleReasons.push(`clipped by ${selectorFor(el)}`);
+                break;
+            }
+        }
+    }
+    if (active.closest('[aria-hidden="true"]')) invisibleReasons.push('inside aria-hidden="true"');
+
+    const name = (active.getAttribute('aria-label') || active.innerText || active.value || active.getAttribute('title') ||
+        active.getAttribute('placeholder') || active.getAttribute('alt') || '').trim().replace(/\s+/g, ' ').slice(0, 60);
+
+    return {
+        key: `${path.join('|')}|${ids.map.get(active)}`,
+        selector: [...path, selectorFor(active)].join(' >>> '),
+        tag: active.tagName.toLowerCase(),
+        role: active.getAttribute('role') || undefined,
+        name: name || undefined,
+        tabIndex: active.tabIndex,
+        box: {
+            x: Math.round(docLeft + offsetX),
+            y: Math.round(docTop + offsetY),
+            width: Math.round(rect.width),
+            height: Math.round(rect.height)
+        },
+        fixed: ['fixed', 'sticky'].includes(style.position) || undefined,
+        inModal: !!active.closest('dialog[open], [aria-modal="true"]') || undefined,
+        visible: invisibleReasons.length === 0,
+        invisibleReasons: invisibleReasons.length > 0 ? invisibleReasons : undefined
+    };
+}
+
+// Элементы документа, доступные с клавиатуры, до которых обход так и не дошёл (ключи - из describeActiveElementScript)
+function findUnreachedTabStopsScript(visitedKeys) {
+    const ids = window.__devchromeFocusIds;
+    const visited = new Set(visitedKeys);
+    const candidates = document.querySelectorAll('a[href], area[href], button, input, select, textarea, iframe, summary, [tabindex], [contenteditable=""], [contenteditable="true"]');
+    const unreached = Array.from(candidates).filter(el => {
+        if (el.tabIndex < 0 || el.disabled || (el.tagName === 'INPUT' && el.type === 'hidden')) return false;
+        if (el.getClientRects().length === 0 || getComputedStyle(el).visibility === 'hidden' || el.closest('[inert]')) return false;
+        return !(ids && ids.map.has(el) && visited.has(`|${ids.map.get(el)}`));
+    });
+    return {
+        count: unreached.length,
+        examples: unreached.slice(0, 5).map(el => `${el.tagName.toLowerCase()}${el.id ? `#${el.id}` : ''}`)
+    };
+}
+
+// Нарисовать пронумерованные остановки фокуса поверх страницы (в координатах документа)
+function drawFocusOverlayScript(stops) {
+    const overlay = document.createElement('div');
+    overlay.id = '__devchrome-focus-overlay';
+    overlay.style.cssText = 'position:absolute;left:0;top:0;width:0;height:0;z-index:2147483647;pointer-events:none;';
+    const docWidth = document.documentElement.scrollWidth;
+    const docHeight = document.documentElement.scrollHeight;
+    let previous = null;
+    const placed = [];
+    for (const stop of stops) {
+        const color = stop.visible ? '#e5007a' : '#ff8c00';
+        let x = Math.min(Math.max(stop.box.x, 10), docWidth - 24);
+        const y = Math.min(Math.max(stop.box.y, 10), docHeight - 24);
+        // Сдвигаем номер вправо, если он наезжает на уже нарисованный
+        while (placed.some(p => Math.abs(p.x - x) < 22 && Math.abs(p.y - y) < 20)) x += 22;
+        placed.push({ x, y });
+        const frame = document.createElement('div');
+        frame.style.cssText = `position:absolute;left:${stop.box.x}px;top:${stop.box.y}px;width:${stop.box.width}px;height:${stop.box.height}px;` +
+            `outline:2px ${stop.visible ? 'solid' : 'dashed'} ${color};outline-offset:1px;`;
+        const badge = document.createElement('div');
+        badge.textContent = String(stop.index);
+        badge.style.cssText = `position:absolute;left:${x - 10}px;top:${y - 10}px;min-width:20px;height:20px;padding:0 3px;box-sizing:border-box;` +
+            `border-radius:10px;background:${color};color:#fff;font:bold 12px/20px sans-serif;text-align:center;`;
+        overlay.append(frame, badge);
+        // Линия от предыдущей остановки - чтобы был виден путь фокуса
+        if (previous) {
+            const dx = x - previous.x;
+            const dy = y - previous.y;
+            const line = document.createElement('div');
+            line.style.cssText = `position:absolute;left:${previous.x}px;top:${previous.y}px;width:${Math.hypot(dx, dy)}px;height:0;` +
+                `border-top:1px dashed ${color};transform-origin:0 0;transform:rotate(${Math.atan2(dy, dx)}rad);opacity:0.6;`;
+            overlay.append(line);
+        }
+        previous = { x, y };
+    }
+    document.body.append(overlay);
+}
+
+/* walkKeyboardNavigation - реальный обход Tab/Shift+Tab с картой порядка фокуса */
+server.registerTool(
+    'walkKeyboardNavigation',
+    {
+        title: 'Walk Keyboard Navigation',
+        description: `Press Tab through the page (real key events) and record the focus order: selector, tag, role, accessible name and bounding box of every focus stop. Then walks back with Shift+Tab and checks that the reverse order matches.
+
+Detects:
+- focus traps: Tab stops moving or cycles through a subset of elements without reaching the rest of the page (traps inside dialog[open]/[aria-modal] are reported as modal traps)
+- reachable but invisible stops: zero/1px size, visibility hidden, opacity ~0, off-page, clipped by an overflow container or inside aria-hidden="true"
+
+Returns an annotated full-page screenshot with numbered focus stops (dashed orange = invisible stop). Focus inside open shadow roots and same-origin iframes is followed; selectors use "host >>> inner".`,
+        inputSchema: {
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
+            startSelector: z.string().optional().describe('Focus this element before walking (default: start of the document)'),
+            maxStops: z.number().int().min(1).optional().describe('Maximum number of Tab presses (default: 100)'),
+            checkReverse: z.boolean().optional().describe('Walk back with Shift+Tab and compare the order (default: true)'),
+            settleMs: z.number().min(0).optional().describe('Wait after each key press for focus handlers (default: 30)'),
+            screenshot: z.boolean().optional().describe('Return an annotated full-page screenshot (default: true)')
+        }
+    },
+    async ({ url, pageId, startSelector, maxStops = 100, checkReverse = true, settleMs = 30, screenshot = true }) => {
+        const page = await getPageForOperation(url, pageId);
+        try {
+            const initialScroll = await page.evaluate(() => ({ x: scrollX, y: scrollY }));
+
+            // Точка старта: указанный элемент или начало документа
+            if (startSelector) {
+                const start = await locateElement(page.mainFrame(), startSelector);
+                if (!start) {
+                    throw new Error(`Selector not found: ${startSelector}`);
+                }
+                await start.focus();
+            } else {
+                await page.evaluate(() => {
+                    document.activeElement?.blur?.();
+                    const body = document.body;
+                    const hadTabIndex = body.hasAttribute('tabindex');
+                    if (!hadTabIndex) body.setAttribute('tabindex', '-1');
+                    body.focus({ preventScroll: true });
+                    if (!hadTabIndex) body.removeAttribute('tabindex');
+                });
+            }
+            const startStop = startSelector ? await page.evaluate(describeActiveElementScript) : null;
+
+            const pressAndDescribe = async (key) => {
+                await pressKeyChord(page, key);
+                if (settleMs > 0) await new Promise(resolve => setTimeout(resolve, settleMs));
+                return page.evaluate(describeActiveElementScript);
+            };
+
+            // Прямой обход
+            const stops = [];
+            const seen = new Map();
+            const traps = [];
+            let endedBy = 'maxStops';
+            for (let i = 0; i < maxStops; i++) {
+                const stop = await pressAndDescribe('Tab');
+                if (!stop) {
+                    endedBy = 'left-document';
+                    break;
+                }
+                const firstKey = startStop ? startStop.key : stops[0]?.key;
+                if (stop.key === firstKey) {
+                    // Возврат к началу - нормальный круг, только если по дороге пройдена вся страница,
+                    // а не одна модалка (фокус часто стартует уже внутри открытого диалога)
+                    const visited = startStop ? [startStop, ...stops] : stops;
+                    const inModal = visited.every(s => s.inModal);
+                    const unreached = await page.evaluate(findUnreachedTabStopsScript, visited.map(s => s.key));
+                    if (inModal || unreached.count > 0) {
+                        traps.push({
+                            type: 'cycle',
+                            fromStop: 1,
+                            toStop: stops.length,
+                            selectors: visited.map(s => s.selector),
+                            message: `Focus cycles through ${visited.length} element(s)${inModal ? ' inside a modal' : ''} and never reaches the rest of the page` +
+                                (unreached.count > 0 ? ` (${unreached.count} focusable element(s) not reached, e.g. ${unreached.examples.join(', ')})` : ''),
+                            inModal: inModal || undefined
+                        });
+                        endedBy = 'trap';
+                    } else {
+                        endedBy = 'cycle';
+                    }
+                    break;
+                }
+                const last = stops[stops.length - 1];
+                if (last && stop.key === last.key) {
+                    traps.push({
+                        type: 'stuck',
+                        atStop: last.index,
+                        selector: last.selector,
+                        message: `Tab does not move focus away from ${last.selector}`,
+                        inModal: last.inModal
+                    });
+                    endedBy = 'trap';
+                    break;
+                }
+                if (seen.has(stop.key)) {
+                    const from = seen.get(stop.key);
+                    const cycle = stops.slice(from - 1);
+                    traps.push({
+                        type: 'cycle',
+                        fromStop: from,
+                        toStop: stops.length,
+                        selectors: cycle.map(s => s.selector),
+                        message: `Focus cycles through stops ${from}-${stops.length} and never reaches the rest of the page`,
+                        inModal: cycle.every(s => s.inModal) || undefined
+                    });
+                    endedBy = 'trap';
+                    break;
+                }
+                const { key, ...publicStop } = stop;
+                stops.push({ index: stops.length + 1, key, ...publicStop });
+                seen.set(key, stops.length);
+            }
+
+            // Обратный обход Shift+Tab от последней остановки
+            let reverse = null;
+            if (checkReverse && stops.length > 1 && endedBy !== 'trap') {
+                const lastStop = stops[stops.length - 1];
+                await page.evaluate(() => document.activeElement?.blur?.());
+                const expected = stops.slice(0, -1).reverse();
+                const mismatches = [];
+                // Возвращаемся на последнюю остановку: проходим Tab заново до неё
+                await page.evaluate(() => {
+                    const body = document.body;
+                    const hadTabIndex = body.hasAttribute('tabindex');
+                    if (!hadTabIndex) body.setAttribute('tabindex', '-1');
+                    body.focus({ preventScroll: true });
+                    if (!hadTabIndex) body.removeAttribute('tabindex');
+                });
+                if (startSelector) await (await locateElement(page.mainFrame(), startSelector))?.focus();
+                let current = null;
+                for (let i = 0; i < stops.length && current?.key !== lastStop.key; i++) {
+                    current = await pressAndDescribe('Tab');
+                }
+                if (current?.key === lastStop.key) {
+                    for (const expectedStop of expected) {
+                        const actual = await pressAndDescribe('Shift+Tab');
+                        if (actual?.key !== expectedStop.key) {
+                            mismatches.push({
+                                afterStop: expectedStop.index + 1,
+                                expected: expectedStop.selector,
+                                actual: actual ? actual.selector : '(focus left the document)'
+                            });
+                            break;
+                        }
+                    }
+                    reverse = { checked: true, matches: mismatches.length === 0, mismatches };
+                } else {
+                    reverse = { checked: false, reason: 'could not return to the last stop' };
+                }
+            }
+
+            const publicStops = stops.map(({ key, ...stop }) => stop);
+            const invisibleStops = publicStops.filter(stop => !stop.visible);
+            const result = {
+                summary: {
+                    stops: publicStops.length,
+                    endedBy,
+                    traps: traps.length,
+                    invisibleStops: invisibleStops.length,
+                    reverseOrderMatches: reverse?.checked ? reverse.matches : undefined
+                },
+                focusOrder: publicStops,
+                traps,
+                invisibleStops: invisibleStops.map(stop => ({ index: stop.index, selector: stop.selector, reasons: stop.invisibleReasons }))
+            };
+            if (reverse) result.reverse = reverse;
+            if (endedBy === 'maxStops') {
+                result.note = `Stopped after ${maxStops} Tab presses; increase maxStops to walk further`;
+            }
+
+            const content = [{ type: 'text', name: 'focusOrder', text: JSON.stringify(result, null, 2) }];
+            if (screenshot && publicStops.length > 0) {
+                await page.evaluate(drawFocusOverlayScript, publicStops);
+                try {
+                    const image = await page.screenshot({ encoding: 'base64', fullPage: true });
+                    content.push({ type: 'image', data: image, mimeType: 'image/png' });
+                } finally {
+                    await page.evaluate(() => document.getElementById('__devchrome-focus-overlay')?.remove());
+                }
+            }
+            await page.evaluate(({ x, y }) => window.scrollTo(x, y), initialScroll);
+
+            return { content };
+        } catch (error) {
+            throw error;
         }
     }
 );
@@ -4917,8 +10646,8 @@ Perfect for design review meetings, client presentations, and development docume
                     ]);
                     
                     const [element1, element2] = await Promise.all([
-                        page1.$(selector),
-                        page2.$(selector)
+                        locateElement(page1.mainFrame(), selector),
+                        locateElement(page2.mainFrame(), selector)
                     ]);
                     
                     if (element1 && element2) {
@@ -4989,7 +10718,7 @@ Perfect for design review meetings, client presentations, and development docume
             // 2. Figma Comparison (if configured)
             if (figmaConfig) {
                 try {
-                    const page = await getPageForOperation(url);
+                    const { page } = await createPage();
                     
                     try {
                         // Use provided token or fall back to environment variable
@@ -5009,7 +10738,7 @@ Perfect for design review meetings, client presentations, and development docume
                             const figmaBuffer = await figmaResponse.buffer();
                             
                             await page.goto(url2, { waitUntil: 'networkidle2' });
-                            const element = await page.$(selector);
+                            const element = await locateElement(page.mainFrame(), selector);
                             
                             if (element) {
                                 const pageBuffer = await element.screenshot();
@@ -5080,10 +10809,7 @@ Perfect for design review meetings, client presentations, and development docume
                 
                 // Упрощенная версия compareWithTolerance для отчета
                 async function getComparisonData(page, sel) {
-                    return await page.evaluate((selector) => {
-                        const elements = document.querySelectorAll(selector);
-                        return elements.length;
-                    }, sel);
+                    return (await locateAllElements(page.mainFrame(), sel)).length;
                 }
                 
                 const [count1, count2] = await Promise.all([
@@ -5110,15 +10836,13 @@ Perfect for design review meetings, client presentations, and development docume
             
             // 4. Semantic Analysis (if enabled)
             if (options.includeSemantics) {
-                const page = await getPageForOperation(url);
+                const { page } = await createPage();
                 
                 try {
                     await page.goto(url2, { waitUntil: 'networkidle2' });
                     
-                    const semanticAnalysis = await page.evaluate((sel) => {
-                        const container = document.querySelector(sel);
-                        if (!container) return null;
-                        
+                    const root = await locateElement(page.mainFrame(), selector);
+                    const semanticAnalysis = root && await root.evaluate((container) => {
                         const semanticTags = ['header', 'nav', 'main', 'article', 'section', 'aside', 'footer'];
                         const interactiveTags = ['button', 'a', 'input', 'select', 'textarea'];
                         const headingTags = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
@@ -5138,7 +10862,7 @@ Perfect for design review meetings, client presentations, and development docume
                             semanticRatio: allElements.length > 0 ? (semanticCount / allElements.length) * 100 : 0,
                             accessibilityRatio: interactiveCount > 0 ? (ariaCount / interactiveCount) * 100 : 100
                         };
-                    }, selector);
+                    });
                     
                     if (semanticAnalysis) {
                         const semanticScore = (semanticAnalysis.semanticRatio * 0.6) + (semanticAnalysis.accessibilityRatio * 0.4);
@@ -5277,26 +11001,21 @@ Perfect for design reviews, client feedback, and developer guidance.
 - Missing/extra element markers
 - Alignment guides and measurement tools`,
         inputSchema: {
-            url: z.string().url().describe('Page URL to annotate'),
             url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
-
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
             selector: z.string().describe('Element selector to focus on'),
             annotationTypes: z.array(z.enum(['spacing', 'colors', 'typography', 'alignment', 'elements'])).optional().describe('Types of annotations to include'),
-            outputFormat: z.enum(['base64', 'measurements']).optional().describe('Output format (default: base64)')
+            outputFormat: z.enum(['base64', 'measurements']).optional().describe('Output format (default: base64)'),
+            frame: frameSchema
         }
     },
-    async ({ url, selector, annotationTypes = ['spacing', 'colors', 'alignment'], outputFormat = 'base64' }) => {
-        const page = await getPageForOperation(url);
+    async ({ url, pageId, selector, annotationTypes = ['spacing', 'colors', 'alignment'], outputFormat = 'base64', frame }) => {
+        const page = await getPageForOperation(url, pageId);
         
-        try {            const element = await page.$(selector);
-            if (!element) {
-                throw new Error( `Selector "${selector}" not found`);
-            }
+        try {            const element = await resolveElement(page, selector, frame);
             
             // Получаем детальную информацию об элементе
-            const elementInfo = await page.evaluate((sel, annotations) => {
-                const element = document.querySelector(sel);
-                if (!element) return null;
+            const elementInfo = await element.evaluate((element, annotations) => {
                 
                 const rect = element.getBoundingClientRect();
                 const computedStyle = window.getComputedStyle(element);
@@ -5409,7 +11128,7 @@ Perfect for design reviews, client feedback, and developer guidance.
                 }
                 
                 return info;
-            }, selector, annotationTypes);
+            }, annotationTypes);
             
             if (!elementInfo) {
                 throw new Error( 'Element analysis failed');
@@ -5457,8 +11176,8 @@ Perfect for design reviews, client feedback, and developer guidance.
                 };
             }
             
-        } finally {
-            await page.close().catch(() => {});
+        } catch (error) {
+            throw error;
         }
     }
 );
@@ -5481,9 +11200,8 @@ Creates detailed, structured prompts that help AI understand and work with web p
 - Generating code review prompts from implementation
 - Creating accessibility audit prompts`,
         inputSchema: {
-            url: z.string().url().describe('Page URL to analyze'),
             url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
-
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
             selector: z.string().optional().describe('Optional selector to focus analysis'),
             promptType: z.enum([
                 'bug-report',
@@ -5505,15 +11223,16 @@ Creates detailed, structured prompts that help AI understand and work with web p
             includePageData: z.boolean().optional().default(true).describe('Include page analysis in prompt')
         }
     },
-    async ({ url, selector, promptType, context = {}, includePageData = true }) => {
-        const { page, client } = await createPage();
+    async ({ url, pageId, selector, promptType, context = {}, includePageData = true }) => {
+        const page = await getPageForOperation(url, pageId);
         
         try {            let pageAnalysis = {};
             
             if (includePageData) {
                 // Сбор данных о странице
-                pageAnalysis = await page.evaluate((sel) => {
-                    const targetElement = sel ? document.querySelector(sel) : document.body;
+                const target = selector ? await locateElement(page.mainFrame(), selector) : null;
+                pageAnalysis = await page.evaluate((sel, target) => {
+                    const targetElement = sel ? target : document.body;
                     if (!targetElement) return null;
                     
                     // Анализ структуры
@@ -5576,7 +11295,7 @@ Creates detailed, structured prompts that help AI understand and work with web p
                         semantic,
                         meta
                     };
-                }, selector);
+                }, selector, target);
                 
                 if (!pageAnalysis) {
                     throw new Error( 'Element not found or analysis failed');
@@ -6003,8 +11722,8 @@ Based on the page structure and provided context, please:
                 ]
             };
             
-        } finally {
-            await page.close().catch(() => {});
+        } catch (error) {
+            throw error;
         }
     }
 );
@@ -6281,7 +12000,8 @@ server.registerTool(
         inputSchema: {
             figmaToken: z.string().optional().describe('Figma API token'),
             fileKey: z.string().describe('Figma file key'),
-            url: z.string().describe('Web page URL to compare'),
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
             comparisons: z.array(z.object({
                 figmaNodeId: z.string().describe('Figma node ID'),
                 url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
@@ -6291,13 +12011,13 @@ server.registerTool(
             })).describe('Array of comparison pairs')
         }
     },
-    async ({ figmaToken, fileKey, url, comparisons }) => {
+    async ({ figmaToken, fileKey, url, pageId, comparisons }) => {
         const token = figmaToken || FIGMA_TOKEN;
         if (!token) {
             throw new McpError(ErrorCode.InvalidRequest, 'Figma token is required');
         }
 
-        const { page, client } = await createPage();
+        const page = await getPageForOperation(url, pageId);
         
         try {            const results = [];
             let passedCount = 0;
@@ -6338,7 +12058,7 @@ server.registerTool(
                     const figmaBuffer = await figmaImageResponse.buffer();
                     
                     // Screenshot HTML element
-                    const element = await page.$(comparison.selector);
+                    const element = await locateElement(page.mainFrame(), comparison.selector);
                     if (!element) {
                         results.push({
                             figmaNodeId: comparison.figmaNodeId,
@@ -6416,8 +12136,8 @@ server.registerTool(
                 }]
             };
             
-        } finally {
-            await page.close().catch(() => {});
+        } catch (error) {
+            throw error;
         }
     }
 );
@@ -6429,13 +12149,15 @@ server.registerTool(
         title: 'Execute JavaScript',
         description: 'Execute arbitrary JavaScript code in the page context. Perfect for complex interactions, setting values, triggering events, or any custom page manipulation that other tools cannot handle.',
         inputSchema: {
-            // url parameter removed - uses active tab by default,
+            url: z.string().optional().describe('Page URL (optional, uses last opened page if not provided)'),
+            pageId: z.string().optional().describe('Page ID from navigateTo/listSessions (optional, takes precedence over url)'),
             script: z.string().describe('JavaScript code to execute in page context'),
-            waitAfter: z.number().optional().describe('Milliseconds to wait after execution (default: 500)')
+            waitAfter: z.number().optional().describe('Milliseconds to wait after execution (default: 500, ignored when waitFor is given)'),
+            waitFor: waitConditionSchema.optional().describe('Conditions to wait for after the action (see waitFor tool)')
         }
     },
-    async ({ url, script, waitAfter = 500 }) => {
-        const page = await getPageForOperation(url);
+    async ({ url, pageId, script, waitAfter = 500, waitFor }) => {
+        const page = await getPageForOperation(url, pageId);
         try {
 // Выполняем скрипт
             const result = await page.evaluate((code) => {
@@ -6448,8 +12170,8 @@ server.registerTool(
                 }
             }, script);
 
-            // Ждем после выполнения
-            await new Promise(resolve => setTimeout(resolve, waitAfter));
+            // Ждем после выполнения: явные условия waitFor или фиксированная пауза waitAfter
+            const waited = await waitAfterAction(page, waitFor, waitAfter);
 
             // Делаем скриншот после выполнения
             const screenshot = await page.screenshot({ encoding: 'base64', fullPage: false });
@@ -6459,7 +12181,7 @@ server.registerTool(
                     {
                         type: 'text',
                         text: result.success
-                            ? `Script executed successfully. Result: ${JSON.stringify(result.result)}`
+                            ? `Script executed successfully. Result: ${JSON.stringify(result.result)}${waited}`
                             : `Script execution failed: ${result.error}`
                     },
                     { type: 'image', data: screenshot, mimeType: 'image/png' }